@@ -0,0 +1,34 @@
+/**
+ * Configuration for Element Plus Button.
+ * File: src/configs/element-plus/button.config.js
+ */
+
+export default {
+    extends: 'button',
+    baseComponent: 'ElButton',
+    propMappings: [
+        { type: 'enum', source: 'color', target: 'type', values: { primary: 'primary', secondary: 'info', success: 'success', warning: 'warning', danger: 'danger', info: 'info' } },
+        { type: 'value', source: 'variant', target: 'plain', transform: '(variant) => variant === "outlined" || variant === "tonal"' },
+        { type: 'value', source: 'variant', target: 'text', transform: '(variant) => variant === "text" || variant === "plain"' },
+        { type: 'enum', source: 'size', target: 'size', values: { 'x-small': 'small', small: 'small', large: 'large', 'x-large': 'large' }, default: 'default' },
+        { type: 'direct', source: 'disabled', target: 'disabled' },
+        { type: 'direct', source: 'loading', target: 'loading' },
+        { type: 'direct', source: 'icon', target: 'icon' },
+        // ElButton always renders its icon before the label, so the styles below move it to the right
+        { type: 'direct', source: 'iconPosition', target: 'data-icon-position' },
+        { type: 'direct', source: 'rounded', target: 'round' }
+    ],
+    slots: [
+        { name: 'default', fallback: 'label' }
+    ],
+    styles: `
+.el-button[data-icon-position="right"] {
+  flex-direction: row-reverse;
+}
+.el-button[data-icon-position="right"] :deep([class*="el-icon"] + span) {
+  margin-left: 0;
+  margin-right: 6px;
+}
+`,
+    performance: { memoize: true, lazyLoad: false, treeshake: true }
+}
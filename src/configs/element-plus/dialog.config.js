@@ -0,0 +1,16 @@
+/**
+ * Configuration for Element Plus Dialog.
+ * File: src/configs/element-plus/dialog.config.js
+ */
+
+export default {
+    extends: 'dialog',
+    baseComponent: 'ElDialog',
+    model: { target: 'modelValue' },
+    propMappings: [
+        { type: 'direct', source: 'width', target: 'width' },
+        { type: 'value', source: 'persistent', target: 'close-on-click-modal', transform: '(persistent) => !persistent' },
+        { type: 'value', source: 'persistent', target: 'close-on-press-escape', transform: '(persistent) => !persistent' }
+    ],
+    performance: { memoize: true, lazyLoad: true, treeshake: true }
+}
@@ -0,0 +1,17 @@
+/**
+ * Configuration for Element Plus Input.
+ * File: src/configs/element-plus/textfield.config.js
+ */
+
+export default {
+    extends: 'textfield',
+    baseComponent: 'ElInput',
+    propMappings: [
+        { type: 'value', source: 'label', target: 'aria-label', transform: '(label) => label || undefined' },
+        { type: 'direct', source: 'placeholder', target: 'placeholder' },
+        { type: 'direct', source: 'type', target: 'type' },
+        { type: 'direct', source: 'disabled', target: 'disabled' },
+        { type: 'direct', source: 'readonly', target: 'readonly' }
+    ],
+    performance: { memoize: true, lazyLoad: false, treeshake: true }
+}
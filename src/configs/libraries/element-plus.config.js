@@ -0,0 +1,100 @@
+/**
+ * Element Plus Library Configuration
+ * Minimal configuration for library setup and initialization
+ */
+
+export default {
+    name: 'element-plus',
+    version: '2.8.4',
+    package: 'element-plus',
+
+    // Adapter definition: how generated components import library components
+    adapter: {
+        label: 'Element Plus',
+        configDir: 'src/configs/element-plus',
+        importTemplate: { type: 'named', from: 'element-plus' }
+    },
+
+    // Setup configuration
+    setup: {
+        // Import statements needed for library setup
+        imports: [
+            "import ElementPlus from 'element-plus'",
+            "import 'element-plus/dist/index.css'",
+            "import 'element-plus/theme-chalk/dark/css-vars.css'"
+        ],
+
+        // Library initialization code
+        initialization: `
+            app.use(ElementPlus)
+        `,
+
+        // How to apply theme configuration to the library
+        themeApplication: `
+            // Element Plus reads its palette from --el-* CSS variables and
+            // switches to its dark palette through the 'dark' class on <html>
+            const applyElementPlusTheme = (themeName) => {
+                const root = document.documentElement
+                const theme = themeConfig[themeName]
+
+                if (!theme || !theme.colors) return
+
+                root.classList.toggle('dark', theme.dark)
+
+                const brandColors = {
+                    primary: theme.colors.primary,
+                    success: theme.colors.success,
+                    warning: theme.colors.warning,
+                    danger: theme.colors.error,
+                    error: theme.colors.error,
+                    info: theme.colors.info
+                }
+
+                Object.entries(brandColors).forEach(([type, color]) => {
+                    if (!color) return
+                    root.style.setProperty(\`--el-color-\${type}\`, color)
+                    // Element Plus derives hover/active shades at build time, so mix them here
+                    ;[3, 5, 7, 8, 9].forEach(level => {
+                        root.style.setProperty(\`--el-color-\${type}-light-\${level}\`, \`color-mix(in srgb, \${color}, white \${level * 10}%)\`)
+                    })
+                    root.style.setProperty(\`--el-color-\${type}-dark-2\`, \`color-mix(in srgb, \${color}, black 20%)\`)
+                })
+
+                root.style.setProperty('--el-bg-color', theme.colors.surface)
+                root.style.setProperty('--el-bg-color-page', theme.colors.background)
+                root.style.setProperty('--el-bg-color-overlay', theme.colors['surface-container-high'])
+                root.style.setProperty('--el-text-color-primary', theme.colors['on-surface'])
+                root.style.setProperty('--el-text-color-regular', theme.colors['on-surface-variant'])
+                root.style.setProperty('--el-border-color', theme.colors.outline)
+                root.style.setProperty('--el-border-color-light', theme.colors['outline-variant'])
+            }
+
+            applyElementPlusTheme(options.theme || 'light')
+        `,
+
+        // Utility functions specific to this library
+        utilities: `
+            switchLibraryTheme(themeName) {
+                applyElementPlusTheme(themeName)
+            }
+        `
+    },
+
+    // Bundle-specific settings
+    bundle: {
+        // External dependencies that should remain external
+        external: ['vue', 'element-plus'],
+
+        // Globals for UMD build
+        globals: {
+            'vue': 'Vue',
+            'element-plus': 'ElementPlus'
+        },
+
+        // CSS imports to include
+        cssImports: [
+            'element-plus/dist/index.css',
+            'element-plus/theme-chalk/dark/css-vars.css'
+        ]
+    }
+}
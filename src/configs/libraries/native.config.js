@@ -0,0 +1,55 @@
+/**
+ * Native HTML Library Configuration
+ * Library-free setup: components are plain HTML elements styled through --opc-* CSS variables
+ */
+
+export default {
+    name: 'native',
+    version: '1.0.0',
+
+    // Adapter definition: how generated components import library components
+    adapter: {
+        label: 'native',
+        configDir: 'src/configs/native',
+        importTemplate: { type: 'none' }
+    },
+
+    // Setup configuration
+    setup: {
+        // No UI library to import
+        imports: [],
+
+        // Nothing to install on the app
+        initialization: '',
+
+        // How to apply theme configuration to the library
+        themeApplication: `
+            // Components read --opc-* variables directly, so applying them is the whole theme setup
+            const theme = designTokens[options.theme || 'light']
+
+            if (theme) {
+                const root = document.documentElement
+                Object.entries(transformer.extractCSSVariables(theme)).forEach(([property, value]) => {
+                    root.style.setProperty(property, value)
+                })
+            }
+        `,
+
+        // Theme switching is fully handled by the design system theme manager
+        utilities: ''
+    },
+
+    // Bundle-specific settings
+    bundle: {
+        // External dependencies that should remain external
+        external: ['vue'],
+
+        // Globals for UMD build
+        globals: {
+            'vue': 'Vue'
+        },
+
+        // CSS imports to include
+        cssImports: []
+    }
+}
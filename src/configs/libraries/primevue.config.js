@@ -6,6 +6,14 @@
 export default {
     name: 'primevue',
     version: '3.53.1',
+    package: 'primevue',
+
+    // Adapter definition: how generated components import library components
+    adapter: {
+        label: 'PrimeVue',
+        configDir: 'src/configs/primevue',
+        importTemplate: { type: 'default', from: 'primevue/{{lowercase}}' }
+    },
 
     // Setup configuration
     setup: {
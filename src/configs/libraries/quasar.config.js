@@ -0,0 +1,91 @@
+/**
+ * Quasar Library Configuration
+ * Minimal configuration for library setup and initialization
+ */
+
+export default {
+    name: 'quasar',
+    version: '2.17.0',
+    package: 'quasar',
+
+    // Adapter definition: how generated components import library components
+    adapter: {
+        label: 'Quasar',
+        configDir: 'src/configs/quasar',
+        importTemplate: { type: 'named', from: 'quasar' }
+    },
+
+    // Setup configuration
+    setup: {
+        // Import statements needed for library setup
+        imports: [
+            "import { Quasar, Dark, setCssVar } from 'quasar'",
+            "import '@quasar/extras/material-icons/material-icons.css'",
+            "import 'quasar/dist/quasar.css'"
+        ],
+
+        // Library initialization code
+        initialization: `
+            app.use(Quasar, {
+                plugins: {} // Quasar plugins (Notify, Dialog, ...) are opt-in
+            })
+        `,
+
+        // How to apply theme configuration to the library
+        themeApplication: `
+            // Quasar exposes its brand palette as CSS variables set through setCssVar
+            const applyQuasarTheme = (themeName) => {
+                const theme = themeConfig[themeName]
+
+                if (!theme || !theme.colors) return
+
+                Dark.set(theme.dark)
+
+                const brandColors = {
+                    primary: theme.colors.primary,
+                    secondary: theme.colors.secondary,
+                    accent: theme.colors.tertiary,
+                    positive: theme.colors.success,
+                    negative: theme.colors.error,
+                    info: theme.colors.info,
+                    warning: theme.colors.warning,
+                    dark: theme.colors['inverse-surface'],
+                    'dark-page': theme.colors['inverse-surface']
+                }
+
+                Object.entries(brandColors).forEach(([brand, color]) => {
+                    if (color) {
+                        setCssVar(brand, color)
+                    }
+                })
+            }
+
+            applyQuasarTheme(options.theme || 'light')
+        `,
+
+        // Utility functions specific to this library
+        utilities: `
+            switchLibraryTheme(themeName) {
+                applyQuasarTheme(themeName)
+            }
+        `
+    },
+
+    // Bundle-specific settings
+    bundle: {
+        // External dependencies that should remain external
+        external: ['vue', 'quasar'],
+
+        // Globals for UMD build
+        globals: {
+            'vue': 'Vue',
+            'quasar': 'Quasar'
+        },
+
+        // CSS imports to include
+        cssImports: [
+            '@quasar/extras/material-icons/material-icons.css',
+            'quasar/dist/quasar.css'
+        ]
+    }
+}
@@ -6,6 +6,14 @@
 export default {
     name: 'vuetify',
     version: '3.7.2',
+    package: 'vuetify',
+
+    // Adapter definition: how generated components import library components
+    adapter: {
+        label: 'Vuetify',
+        configDir: 'src/configs/vuetify',
+        importTemplate: { type: 'named', from: 'vuetify/components' }
+    },
 
     // Setup configuration
     setup: {
@@ -0,0 +1,58 @@
+/**
+ * Configuration for native HTML Button.
+ * File: src/configs/native/button.config.js
+ */
+
+export default {
+    extends: 'button',
+    baseComponent: 'button',
+    propMappings: [
+        { type: 'direct', source: 'color', target: 'data-color' },
+        { type: 'direct', source: 'variant', target: 'data-variant' },
+        { type: 'direct', source: 'size', target: 'data-size' },
+        { type: 'direct', source: 'disabled', target: 'disabled' },
+        { type: 'value', source: 'loading', target: 'aria-busy', transform: '(loading) => loading || undefined' },
+        { type: 'direct', source: 'icon', target: 'data-icon' },
+        { type: 'direct', source: 'iconPosition', target: 'data-icon-position' },
+        { type: 'value', source: 'rounded', target: 'data-rounded', transform: '(rounded) => rounded || undefined' }
+    ],
+    slots: [
+        { name: 'default', fallback: 'label' }
+    ],
+    styles: `
+button {
+  display: inline-flex;
+  align-items: center;
+  justify-content: center;
+  gap: var(--opc-spacing-2, 0.5rem);
+  padding: var(--opc-spacing-2, 0.5rem) var(--opc-spacing-4, 1rem);
+  border: 1px solid transparent;
+  border-radius: var(--opc-border-border-radius-base, 0.25rem);
+  font-family: var(--opc-typography-font-family-sans, inherit);
+  font-size: 0.875rem;
+  cursor: pointer;
+  --opc-button-color: var(--opc-color-primary);
+  --opc-button-on-color: var(--opc-color-on-primary);
+  background: var(--opc-button-color);
+  color: var(--opc-button-on-color);
+}
+button[data-color="secondary"] { --opc-button-color: var(--opc-color-secondary); --opc-button-on-color: var(--opc-color-on-secondary); }
+button[data-color="success"] { --opc-button-color: var(--opc-color-success); --opc-button-on-color: var(--opc-color-on-success); }
+button[data-color="warning"] { --opc-button-color: var(--opc-color-warning); --opc-button-on-color: var(--opc-color-on-warning); }
+button[data-color="danger"] { --opc-button-color: var(--opc-color-error); --opc-button-on-color: var(--opc-color-on-error); }
+button[data-color="info"] { --opc-button-color: var(--opc-color-info); --opc-button-on-color: var(--opc-color-on-info); }
+button[data-variant="elevated"] { box-shadow: var(--opc-shadow-button-elevated); }
+button[data-variant="tonal"] { background: color-mix(in srgb, var(--opc-button-color), transparent 80%); color: var(--opc-button-color); }
+button[data-variant="outlined"] { background: transparent; border-color: currentColor; color: var(--opc-button-color); }
+button[data-variant="text"],
+button[data-variant="plain"] { background: transparent; color: var(--opc-button-color); }
+button[data-size="x-small"] { padding: var(--opc-spacing-1, 0.25rem) var(--opc-spacing-2, 0.5rem); font-size: 0.625rem; }
+button[data-size="small"] { padding: var(--opc-spacing-1, 0.25rem) var(--opc-spacing-3, 0.75rem); font-size: 0.75rem; }
+button[data-size="large"] { padding: var(--opc-spacing-3, 0.75rem) var(--opc-spacing-5, 1.25rem); font-size: 1rem; }
+button[data-size="x-large"] { padding: var(--opc-spacing-4, 1rem) var(--opc-spacing-6, 1.5rem); font-size: 1.125rem; }
+button[data-rounded] { border-radius: var(--opc-border-border-radius-full, 9999px); }
+button[aria-busy="true"] { cursor: progress; opacity: 0.7; }
+button:disabled { cursor: not-allowed; opacity: 0.5; }
+`,
+    performance: { memoize: true, lazyLoad: false, treeshake: true }
+}
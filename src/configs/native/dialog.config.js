@@ -0,0 +1,26 @@
+/**
+ * Configuration for native HTML dialog.
+ * File: src/configs/native/dialog.config.js
+ */
+
+export default {
+    extends: 'dialog',
+    baseComponent: 'dialog',
+    // <dialog> reflects the open attribute and fires close when dismissed (Escape or form method="dialog")
+    model: { target: 'open', event: 'close', transform: '() => false' },
+    propMappings: [
+        { type: 'value', source: 'width', target: 'style', transform: '(width) => ({ width })' },
+        { type: 'value', source: 'persistent', target: 'data-persistent', transform: '(persistent) => persistent || undefined' }
+    ],
+    styles: `
+dialog {
+  max-width: 90vw;
+  padding: var(--opc-spacing-6, 1.5rem);
+  border: none;
+  border-radius: var(--opc-border-border-radius-lg, 0.5rem);
+  background: var(--opc-color-surface-container-high);
+  color: var(--opc-color-on-surface);
+}
+`,
+    performance: { memoize: true, lazyLoad: true, treeshake: true }
+}
@@ -0,0 +1,93 @@
+/**
+ * Configuration for native HTML form field.
+ * File: src/configs/native/formfield.config.js
+ */
+
+export default {
+    name: 'FormField',
+    category: 'Form',
+    description: 'Labelled text input with an optional hint, bound with v-model',
+    baseComponent: 'div',
+    props: [
+        { name: 'label', type: 'string', required: false, default: '' },
+        { name: 'hint', type: 'string', required: false },
+        { name: 'placeholder', type: 'string', required: false },
+        { name: 'type', type: 'string', required: false, default: 'text', options: ['text', 'email', 'password', 'number', 'search', 'tel', 'url'] },
+        { name: 'disabled', type: 'boolean', required: false, default: false },
+        { name: 'required', type: 'boolean', required: false, default: false }
+    ],
+    propMappings: [],
+    events: [],
+    methods: [
+        { name: 'focus' },
+        { name: 'blur' }
+    ],
+    // The <label> wraps the input, so clicking the label text focuses it
+    children: [
+        {
+            baseComponent: 'label',
+            children: [
+                {
+                    baseComponent: 'span',
+                    slots: [
+                        { name: 'label', description: 'Label content, falls back to the label prop', fallback: 'label' }
+                    ]
+                },
+                {
+                    baseComponent: 'input',
+                    ref: true,
+                    model: { name: 'modelValue', type: 'string', default: '', target: 'value', event: 'input', extract: 'target.value' },
+                    propMappings: [
+                        { type: 'direct', source: 'placeholder', target: 'placeholder' },
+                        { type: 'direct', source: 'type', target: 'type' },
+                        { type: 'direct', source: 'disabled', target: 'disabled' },
+                        { type: 'direct', source: 'required', target: 'required' }
+                    ],
+                    events: [
+                        { name: 'focus', emit: 'focus', payload: 'FocusEvent' },
+                        { name: 'blur', emit: 'blur', payload: 'FocusEvent' }
+                    ]
+                }
+            ]
+        },
+        {
+            baseComponent: 'small',
+            if: 'hint',
+            slots: [
+                { name: 'hint', description: 'Hint content, shown when the hint prop is set', fallback: 'hint' }
+            ]
+        }
+    ],
+    styles: `
+div {
+  display: flex;
+  flex-direction: column;
+  gap: var(--opc-spacing-1, 0.25rem);
+}
+label {
+  display: flex;
+  flex-direction: column;
+  gap: var(--opc-spacing-1, 0.25rem);
+  color: var(--opc-color-on-surface);
+  font-family: var(--opc-typography-font-family-sans, inherit);
+  font-size: 0.75rem;
+}
+input {
+  padding: var(--opc-spacing-2, 0.5rem) var(--opc-spacing-3, 0.75rem);
+  border: 1px solid var(--opc-color-outline);
+  border-radius: var(--opc-border-border-radius-base, 0.25rem);
+  background: var(--opc-color-surface);
+  color: var(--opc-color-on-surface);
+  font-family: inherit;
+  font-size: 0.875rem;
+}
+input:focus-visible { outline: 2px solid var(--opc-color-primary); outline-offset: 1px; }
+input:disabled { opacity: 0.38; cursor: not-allowed; }
+small {
+  color: var(--opc-color-on-surface-variant);
+  font-family: var(--opc-typography-font-family-sans, inherit);
+  font-size: 0.75rem;
+}
+`,
+    performance: { memoize: true, lazyLoad: false, treeshake: true }
+}
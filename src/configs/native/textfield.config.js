@@ -0,0 +1,32 @@
+/**
+ * Configuration for native HTML text input.
+ * File: src/configs/native/textfield.config.js
+ */
+
+export default {
+    extends: 'textfield',
+    baseComponent: 'input',
+    // <input> has no modelValue prop, bind its value and read it back from the input event
+    model: { target: 'value', event: 'input', extract: 'target.value' },
+    propMappings: [
+        { type: 'value', source: 'label', target: 'aria-label', transform: '(label) => label || undefined' },
+        { type: 'direct', source: 'placeholder', target: 'placeholder' },
+        { type: 'direct', source: 'type', target: 'type' },
+        { type: 'direct', source: 'disabled', target: 'disabled' },
+        { type: 'direct', source: 'readonly', target: 'readonly' }
+    ],
+    styles: `
+input {
+  padding: var(--opc-spacing-2, 0.5rem) var(--opc-spacing-3, 0.75rem);
+  border: 1px solid var(--opc-color-outline);
+  border-radius: var(--opc-border-border-radius-base, 0.25rem);
+  background: var(--opc-color-surface);
+  color: var(--opc-color-on-surface);
+  font-family: var(--opc-typography-font-family-sans, inherit);
+  font-size: 0.875rem;
+}
+input:focus-visible { outline: 2px solid var(--opc-color-primary); outline-offset: 1px; }
+input:disabled { opacity: 0.38; cursor: not-allowed; }
+`,
+    performance: { memoize: true, lazyLoad: false, treeshake: true }
+}
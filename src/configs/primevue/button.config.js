@@ -3,38 +3,28 @@
  * File: src/configs/primevue/button.config.js
  */
 export default {
-    name: 'Button',
-    category: 'Form',
-    description: 'Button Component with multiple variants and states',
+    extends: 'button',
     baseComponent: 'Button',
-    props: [
-        { name: 'label', type: 'string', required: false, default: '' },
-        { name: 'color', type: 'string', required: false, default: 'primary', options: ['primary', 'secondary', 'success', 'warning', 'danger', 'info'] },
-        { name: 'variant', type: 'string', required: false, default: 'elevated', options: ['elevated', 'flat', 'tonal', 'outlined', 'text', 'plain'] },
-        { name: 'size', type: 'string', required: false, default: 'default', options: ['x-small', 'small', 'default', 'large', 'x-large'] },
-        { name: 'disabled', type: 'boolean', required: false, default: false },
-        { name: 'loading', type: 'boolean', required: false, default: false },
-        { name: 'icon', type: 'string', required: false },
-        { name: 'iconPosition', type: 'string', required: false, default: 'left', options: ['left', 'right'] },
-        { name: 'rounded', type: 'boolean', required: false, default: false }
-    ],
     propMappings: [
         { type: 'direct', source: 'label', target: 'label' },
-        { type: 'direct', source: 'color', target: 'severity' },
-        { type: 'direct', source: 'size', target: 'size' },
+        { type: 'direct', source: 'color', target: 'severity', libraryVersion: '<4' },
+        { type: 'value', sources: ['color', 'variant'], target: 'severity', libraryVersion: '>=4', transform: '(color, variant) => variant === "plain" ? "secondary" : color === "warning" ? "warn" : color === "primary" ? undefined : color' },
+        { type: 'value', source: 'variant', target: 'raised', transform: '(variant) => variant === "elevated"' },
+        { type: 'value', source: 'variant', target: 'outlined', transform: '(variant) => variant === "outlined"' },
+        { type: 'value', source: 'variant', target: 'text', transform: '(variant) => variant === "text" || variant === "plain"' },
+        { type: 'value', source: 'variant', target: 'plain', libraryVersion: '<4', transform: '(variant) => variant === "plain"' },
+        { type: 'enum', source: 'size', target: 'size', values: { 'x-small': 'small', small: 'small', default: undefined, large: 'large', 'x-large': 'large' } },
         { type: 'direct', source: 'disabled', target: 'disabled' },
         { type: 'direct', source: 'loading', target: 'loading' },
         { type: 'direct', source: 'icon', target: 'icon' },
-        { type: 'conditional', source: 'iconPosition', target: 'iconPos', condition: 'iconPosition === "right"', fallback: '"left"' }
-    ],
-    events: [
-        { name: 'click', emit: 'click', payload: 'MouseEvent' },
-        { name: 'focus', emit: 'focus', payload: 'FocusEvent' },
-        { name: 'blur', emit: 'blur', payload: 'FocusEvent' }
+        { type: 'conditional', source: 'iconPosition', target: 'iconPos', condition: 'iconPosition === "right"', fallback: '"left"' },
+        { type: 'direct', source: 'rounded', target: 'rounded' }
     ],
+    // Library props forwarded as-is from the consumer (<OPCButton :pt="...">)
+    passthrough: { allow: ['pt', 'ptOptions', 'unstyled', 'badge', 'badgeSeverity'] },
     slots: [
-        { name: 'default', description: 'Button content when label prop is not used' },
-        { name: 'icon', description: 'Custom icon content' }
+        { name: 'icon', props: ['class'] },
+        { name: 'loading', target: 'loadingicon', props: ['class'] }
     ],
     performance: { memoize: true, lazyLoad: false, treeshake: true }
 }
\ No newline at end of file
@@ -0,0 +1,46 @@
+/**
+ * Configuration for PrimeVue Confirm Dialog.
+ * Composed from Dialog and Button rather than PrimeVue's ConfirmDialog, which is driven by the ConfirmationService.
+ * File: src/configs/primevue/confirmdialog.config.js
+ */
+
+export default {
+    extends: 'confirmdialog',
+    baseComponent: 'Dialog',
+    model: { target: 'visible' },
+    propMappings: [
+        { type: 'direct', source: 'title', target: 'header' },
+        { type: 'value', source: 'width', target: 'style', transform: '(width) => ({ width })' },
+        { type: 'value', source: 'persistent', target: 'closeOnEscape', transform: '(persistent) => !persistent' },
+        { type: 'librarySpecific', library: 'primevue', target: 'modal', transform: 'true' }
+    ],
+    slots: [
+        // Only passed when provided, so Dialog renders the header prop otherwise
+        { name: 'title', target: 'header' },
+        { name: 'default', fallback: 'message' }
+    ],
+    children: [
+        {
+            baseComponent: 'Button',
+            slot: 'footer',
+            propMappings: [
+                { type: 'direct', source: 'cancelText', target: 'label' },
+                { type: 'librarySpecific', library: 'primevue', target: 'text', transform: 'true' }
+            ],
+            events: [
+                { name: 'click', emit: 'cancel', payload: 'MouseEvent' }
+            ]
+        },
+        {
+            baseComponent: 'Button',
+            slot: 'footer',
+            propMappings: [
+                { type: 'direct', source: 'confirmText', target: 'label' }
+            ],
+            events: [
+                { name: 'click', emit: 'confirm', payload: 'MouseEvent' }
+            ]
+        }
+    ],
+    performance: { memoize: true, lazyLoad: true, treeshake: true }
+}
@@ -0,0 +1,16 @@
+/**
+ * Configuration for PrimeVue Dialog.
+ * File: src/configs/primevue/dialog.config.js
+ */
+
+export default {
+    extends: 'dialog',
+    baseComponent: 'Dialog',
+    model: { target: 'visible' },
+    propMappings: [
+        { type: 'value', source: 'width', target: 'style', transform: '(width) => ({ width })' },
+        { type: 'value', source: 'persistent', target: 'closeOnEscape', transform: '(persistent) => !persistent' },
+        { type: 'librarySpecific', library: 'primevue', target: 'modal', transform: 'true' }
+    ],
+    performance: { memoize: true, lazyLoad: true, treeshake: true }
+}
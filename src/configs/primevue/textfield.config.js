@@ -0,0 +1,23 @@
+/**
+ * Configuration for PrimeVue InputText.
+ * File: src/configs/primevue/textfield.config.js
+ */
+
+export default {
+    extends: 'textfield',
+    baseComponent: 'InputText',
+    propMappings: [
+        // InputText renders a bare <input>, so the label is exposed to assistive technology only
+        { type: 'value', source: 'label', target: 'aria-label', transform: '(label) => label || undefined' },
+        { type: 'direct', source: 'placeholder', target: 'placeholder' },
+        { type: 'direct', source: 'type', target: 'type' },
+        { type: 'direct', source: 'disabled', target: 'disabled' },
+        { type: 'direct', source: 'readonly', target: 'readonly' }
+    ],
+    // InputText does not expose focus()/blur(), call them on its <input> element
+    methods: [
+        { name: 'focus', target: '$el.focus' },
+        { name: 'blur', target: '$el.blur' }
+    ],
+    performance: { memoize: true, lazyLoad: false, treeshake: true }
+}
@@ -0,0 +1,11 @@
+/**
+ * Configuration for Quasar App Component.
+ * File: src/configs/quasar/app.config.js
+ */
+
+export default {
+    extends: 'app',
+    baseComponent: 'QLayout',
+    propMappings: [],
+    performance: { memoize: true, lazyLoad: false, treeshake: true }
+}
@@ -0,0 +1,27 @@
+/**
+ * Configuration for Quasar Button.
+ * File: src/configs/quasar/button.config.js
+ */
+
+export default {
+    extends: 'button',
+    baseComponent: 'QBtn',
+    propMappings: [
+        { type: 'direct', source: 'label', target: 'label' },
+        { type: 'enum', source: 'color', target: 'color', values: { primary: 'primary', secondary: 'secondary', success: 'positive', warning: 'warning', danger: 'negative', info: 'info' } },
+        { type: 'value', source: 'variant', target: 'outline', transform: '(variant) => variant === "outlined"' },
+        { type: 'value', source: 'variant', target: 'flat', transform: '(variant) => variant === "flat" || variant === "text" || variant === "plain"' },
+        { type: 'value', source: 'variant', target: 'unelevated', transform: '(variant) => variant === "tonal"' },
+        { type: 'enum', source: 'size', target: 'size', values: { 'x-small': 'xs', small: 'sm', default: 'md', large: 'lg', 'x-large': 'xl' } },
+        { type: 'direct', source: 'disabled', target: 'disable' },
+        { type: 'direct', source: 'loading', target: 'loading' },
+        { type: 'conditional', sources: ['icon', 'iconPosition'], target: 'icon', condition: 'iconPosition === "left" && icon', fallback: 'undefined' },
+        { type: 'conditional', sources: ['icon', 'iconPosition'], target: 'iconRight', condition: 'iconPosition === "right" && icon', fallback: 'undefined' },
+        { type: 'direct', source: 'rounded', target: 'rounded' }
+    ],
+    // QBtn only has default and loading slots; the icon is set through the icon props
+    slots: [
+        { name: 'icon', unsupported: true }
+    ],
+    performance: { memoize: true, lazyLoad: false, treeshake: true }
+}
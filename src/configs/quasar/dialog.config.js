@@ -0,0 +1,27 @@
+/**
+ * Configuration for Quasar Dialog.
+ * File: src/configs/quasar/dialog.config.js
+ */
+
+export default {
+    extends: 'dialog',
+    baseComponent: 'QDialog',
+    model: { target: 'modelValue' },
+    propMappings: [
+        { type: 'direct', source: 'persistent', target: 'persistent' }
+    ],
+    // QDialog has no width prop and sizes itself from its content, so the content renders in a sized QCard
+    children: [
+        {
+            baseComponent: 'QCard',
+            propMappings: [
+                // QDialog caps cards at 560px unless their max-width is set too
+                { type: 'value', source: 'width', target: 'style', transform: '(width) => ({ width, maxWidth: width })' }
+            ],
+            slots: [
+                { name: 'default' }
+            ]
+        }
+    ],
+    performance: { memoize: true, lazyLoad: true, treeshake: true }
+}
@@ -0,0 +1,17 @@
+/**
+ * Configuration for Quasar Input.
+ * File: src/configs/quasar/textfield.config.js
+ */
+
+export default {
+    extends: 'textfield',
+    baseComponent: 'QInput',
+    propMappings: [
+        { type: 'direct', source: 'label', target: 'label' },
+        { type: 'direct', source: 'placeholder', target: 'placeholder' },
+        { type: 'direct', source: 'type', target: 'type' },
+        { type: 'direct', source: 'disabled', target: 'disable' },
+        { type: 'direct', source: 'readonly', target: 'readonly' }
+    ],
+    performance: { memoize: true, lazyLoad: false, treeshake: true }
+}
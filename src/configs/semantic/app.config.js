@@ -0,0 +1,15 @@
+/**
+ * Semantic definition of App, shared by every library through `extends: 'app'`.
+ * File: src/configs/semantic/app.config.js
+ */
+
+export default {
+    name: 'App',
+    category: 'Parent',
+    description: 'Parent Component',
+    props: [],
+    events: [],
+    slots: [
+        { name: 'default', description: 'App Content' }
+    ]
+}
@@ -0,0 +1,31 @@
+/**
+ * Semantic definition of Button, shared by every library through `extends: 'button'`.
+ * File: src/configs/semantic/button.config.js
+ */
+
+export default {
+    name: 'Button',
+    category: 'Form',
+    description: 'Button Component with multiple variants and states',
+    props: [
+        { name: 'label', type: 'string', required: false, default: '' },
+        { name: 'color', type: 'string', required: false, default: 'primary', options: ['primary', 'secondary', 'success', 'warning', 'danger', 'info'] },
+        { name: 'variant', type: 'string', required: false, default: 'elevated', options: ['elevated', 'flat', 'tonal', 'outlined', 'text', 'plain'] },
+        { name: 'size', type: 'string', required: false, default: 'default', options: ['x-small', 'small', 'default', 'large', 'x-large'] },
+        { name: 'disabled', type: 'boolean', required: false, default: false },
+        { name: 'loading', type: 'boolean', required: false, default: false },
+        { name: 'icon', type: 'string', required: false },
+        { name: 'iconPosition', type: 'string', required: false, default: 'left', options: ['left', 'right'] },
+        { name: 'rounded', type: 'boolean', required: false, default: false }
+    ],
+    events: [
+        { name: 'click', emit: 'click', payload: 'MouseEvent' },
+        { name: 'focus', emit: 'focus', payload: 'FocusEvent' },
+        { name: 'blur', emit: 'blur', payload: 'FocusEvent' }
+    ],
+    slots: [
+        { name: 'icon', description: 'Custom icon content' },
+        { name: 'default', description: 'Button content' },
+        { name: 'loading', description: 'Custom loading indicator' }
+    ]
+}
@@ -0,0 +1,25 @@
+/**
+ * Semantic definition of ConfirmDialog, shared by every library through `extends: 'confirmdialog'`.
+ * Libraries compose it from their own components and place its slots on the children that render them.
+ * File: src/configs/semantic/confirmdialog.config.js
+ */
+
+export default {
+    name: 'ConfirmDialog',
+    category: 'Overlay',
+    description: 'Dialog asking the user to confirm or cancel, opened with v-model:open',
+    model: { name: 'open', type: 'boolean', default: false },
+    props: [
+        { name: 'title', type: 'string', required: false, default: '' },
+        { name: 'message', type: 'string', required: false, default: '' },
+        { name: 'confirmText', type: 'string', required: false, default: 'Confirm' },
+        { name: 'cancelText', type: 'string', required: false, default: 'Cancel' },
+        { name: 'width', type: 'string', required: false, default: '400px' },
+        { name: 'persistent', type: 'boolean', required: false, default: false }
+    ],
+    events: [],
+    slots: [
+        { name: 'title', description: 'Dialog title, falls back to the title prop' },
+        { name: 'default', description: 'Dialog message, falls back to the message prop' }
+    ]
+}
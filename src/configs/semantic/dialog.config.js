@@ -0,0 +1,19 @@
+/**
+ * Semantic definition of Dialog, shared by every library through `extends: 'dialog'`.
+ * File: src/configs/semantic/dialog.config.js
+ */
+
+export default {
+    name: 'Dialog',
+    category: 'Overlay',
+    description: 'Modal dialog opened with v-model:open',
+    model: { name: 'open', type: 'boolean', default: false },
+    props: [
+        { name: 'width', type: 'string', required: false, default: '500px' },
+        { name: 'persistent', type: 'boolean', required: false, default: false }
+    ],
+    events: [],
+    slots: [
+        { name: 'default', description: 'Dialog content' }
+    ]
+}
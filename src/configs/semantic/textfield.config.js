@@ -0,0 +1,27 @@
+/**
+ * Semantic definition of TextField, shared by every library through `extends: 'textfield'`.
+ * File: src/configs/semantic/textfield.config.js
+ */
+
+export default {
+    name: 'TextField',
+    category: 'Form',
+    description: 'Single-line text input bound with v-model',
+    model: { name: 'modelValue', type: 'string', default: '' },
+    props: [
+        { name: 'label', type: 'string', required: false, default: '' },
+        { name: 'placeholder', type: 'string', required: false },
+        { name: 'type', type: 'string', required: false, default: 'text', options: ['text', 'email', 'password', 'number', 'search', 'tel', 'url'] },
+        { name: 'disabled', type: 'boolean', required: false, default: false },
+        { name: 'readonly', type: 'boolean', required: false, default: false }
+    ],
+    events: [
+        { name: 'focus', emit: 'focus', payload: 'FocusEvent' },
+        { name: 'blur', emit: 'blur', payload: 'FocusEvent' }
+    ],
+    methods: [
+        { name: 'focus' },
+        { name: 'blur' }
+    ],
+    slots: []
+}
@@ -4,16 +4,9 @@
  */
 
 export default {
-    name: 'App',
-    category: 'Parent',
-    description: 'Parent Component',
+    extends: 'app',
     baseComponent: 'VApp',
-    props: [],
     propMappings: [],
-    events: [],
-    slots: [
-        { name: 'default', description: 'App Content' },
-    ],
     performance: {
         memoize: true, lazyLoad: false, treeshake: true, vuetifyOptimizations: { useDirectives: true, optimizeClasses: true }
     }
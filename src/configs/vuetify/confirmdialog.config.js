@@ -0,0 +1,59 @@
+/**
+ * Configuration for Vuetify Confirm Dialog.
+ * File: src/configs/vuetify/confirmdialog.config.js
+ */
+
+export default {
+    extends: 'confirmdialog',
+    baseComponent: 'VDialog',
+    model: { target: 'modelValue' },
+    propMappings: [
+        { type: 'direct', source: 'width', target: 'max-width' },
+        { type: 'direct', source: 'persistent', target: 'persistent' }
+    ],
+    children: [
+        {
+            baseComponent: 'VCard',
+            children: [
+                {
+                    baseComponent: 'VCardTitle',
+                    slots: [
+                        { name: 'title', target: 'default', fallback: 'title' }
+                    ]
+                },
+                {
+                    baseComponent: 'VCardText',
+                    slots: [
+                        { name: 'default', fallback: 'message' }
+                    ]
+                },
+                {
+                    baseComponent: 'VCardActions',
+                    children: [
+                        { baseComponent: 'VSpacer' },
+                        {
+                            baseComponent: 'VBtn',
+                            propMappings: [
+                                { type: 'direct', source: 'cancelText', target: 'text' }
+                            ],
+                            events: [
+                                { name: 'click', emit: 'cancel', payload: 'MouseEvent' }
+                            ]
+                        },
+                        {
+                            baseComponent: 'VBtn',
+                            propMappings: [
+                                { type: 'direct', source: 'confirmText', target: 'text' },
+                                { type: 'librarySpecific', library: 'vuetify', target: 'color', transform: "'primary'" }
+                            ],
+                            events: [
+                                { name: 'click', emit: 'confirm', payload: 'MouseEvent' }
+                            ]
+                        }
+                    ]
+                }
+            ]
+        }
+    ],
+    performance: { memoize: true, lazyLoad: true, treeshake: true }
+}
@@ -0,0 +1,15 @@
+/**
+ * Configuration for Vuetify Dialog.
+ * File: src/configs/vuetify/dialog.config.js
+ */
+
+export default {
+    extends: 'dialog',
+    baseComponent: 'VDialog',
+    model: { target: 'modelValue' },
+    propMappings: [
+        { type: 'direct', source: 'width', target: 'max-width' },
+        { type: 'direct', source: 'persistent', target: 'persistent' }
+    ],
+    performance: { memoize: true, lazyLoad: true, treeshake: true }
+}
@@ -0,0 +1,17 @@
+/**
+ * Configuration for Vuetify Text Field.
+ * File: src/configs/vuetify/textfield.config.js
+ */
+
+export default {
+    extends: 'textfield',
+    baseComponent: 'VTextField',
+    propMappings: [
+        { type: 'direct', source: 'label', target: 'label' },
+        { type: 'direct', source: 'placeholder', target: 'placeholder' },
+        { type: 'direct', source: 'type', target: 'type' },
+        { type: 'direct', source: 'disabled', target: 'disabled' },
+        { type: 'direct', source: 'readonly', target: 'readonly' }
+    ],
+    performance: { memoize: true, lazyLoad: false, treeshake: true }
+}
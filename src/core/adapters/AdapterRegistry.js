@@ -0,0 +1,281 @@
+/**
+ * Adapter Registry.
+ * Single source of library adapters for the CLI scripts: built-in adapters plus
+ * adapters declared in a project config file or shipped as npm packages.
+ *
+ * File: src/core/adapters/AdapterRegistry.js
+ */
+
+import { LibraryAdapter } from './LibraryAdapter.js'
+import { VuetifyAdapter } from './VuetifyAdapter.js'
+import { PrimeVueAdapter } from './PrimeVueAdapter.js'
+import { ElementPlusAdapter } from './ElementPlusAdapter.js'
+import { QuasarAdapter } from './QuasarAdapter.js'
+import { NativeAdapter } from './NativeAdapter.js'
+import { DeclarativeAdapter } from './DeclarativeAdapter.js'
+import { SchemaValidator } from '../schema/SchemaValidator.js'
+import { readdirSync, readFileSync, existsSync } from 'fs'
+import { pathToFileURL } from 'url'
+import chalk from 'chalk'
+import path from 'path'
+
+// Library configs with an `adapter` section become adapters without any code
+export const LIBRARY_CONFIG_DIR = 'src/configs/libraries'
+
+// Project-level file that can declare additional adapters
+export const PROJECT_CONFIG_FILE = 'design-system.config.js'
+
+// npm packages named `vue-design-codegen-adapter-<library>` (optionally scoped) are discovered automatically
+export const ADAPTER_PACKAGE_PREFIX = 'vue-design-codegen-adapter-'
+
+export class AdapterRegistry {
+    constructor(options = {}) {
+        this.cwd = options.cwd || process.cwd()
+        this.entries = new Map()
+        this.discovered = false
+
+        this.registerBuiltins()
+    }
+
+    /**
+     * Register adapters shipped with the generator
+     */
+    registerBuiltins() {
+        this.register('vuetify', () => new VuetifyAdapter())
+        this.register('primevue', () => new PrimeVueAdapter())
+        this.register('element-plus', () => new ElementPlusAdapter())
+        this.register('quasar', () => new QuasarAdapter())
+        this.register('native', () => new NativeAdapter())
+    }
+
+    /**
+     * Register an adapter factory
+     * @param {String} name - Library name used on the command line
+     * @param {Function} factory - Returns a new LibraryAdapter instance
+     * @param {String} source - Where the adapter came from (builtin, project, package name)
+     */
+    register(name, factory, source = 'builtin') {
+        if (typeof factory !== 'function') {
+            throw new Error(`Adapter '${name}' must be registered with a factory function`)
+        }
+        this.entries.set(name, { name, factory, source })
+    }
+
+    /**
+     * Check if an adapter is registered
+     * @param {String} name
+     * @returns {Boolean}
+     */
+    has(name) {
+        return this.entries.has(name)
+    }
+
+    /**
+     * Create a new adapter instance
+     * @param {String} name
+     * @returns {LibraryAdapter}
+     */
+    create(name) {
+        const entry = this.entries.get(name)
+        if (!entry) {
+            throw new Error(`Unsupported library: ${name}. Available: ${this.getNames().join(', ')}`)
+        }
+        return entry.factory()
+    }
+
+    /**
+     * Get all registered adapter names
+     * @returns {String[]}
+     */
+    getNames() {
+        return Array.from(this.entries.keys())
+    }
+
+    /**
+     * Discover adapters from library configs, node_modules packages and the project config file.
+     * Later sources override earlier ones, so a project can replace a built-in adapter.
+     */
+    async discover() {
+        if (this.discovered) return this
+
+        await this.discoverLibraryConfigAdapters()
+        await this.discoverPackageAdapters()
+        await this.discoverProjectAdapters()
+
+        this.discovered = true
+        return this
+    }
+
+    /**
+     * Register a DeclarativeAdapter for every library config that declares an
+     * `adapter` section and has no dedicated adapter class
+     */
+    async discoverLibraryConfigAdapters() {
+        const libraryConfigDir = path.join(this.cwd, LIBRARY_CONFIG_DIR)
+        if (!existsSync(libraryConfigDir)) return
+
+        const configFiles = readdirSync(libraryConfigDir).filter(file => file.endsWith('.config.js'))
+
+        for (const configFile of configFiles) {
+            const configPath = path.join(libraryConfigDir, configFile)
+
+            try {
+                const module = await import(pathToFileURL(configPath).href)
+                const libraryConfig = module.default || module
+
+                const schemaErrors = SchemaValidator.load('library').validate(libraryConfig)
+                if (schemaErrors.length > 0) {
+                    console.log(chalk.yellow(`Invalid library config ${configFile}: ${schemaErrors.map(SchemaValidator.format).join('; ')}`))
+                    continue
+                }
+
+                if (libraryConfig.adapter && !this.has(libraryConfig.name)) {
+                    this.register(libraryConfig.name, () => new DeclarativeAdapter(libraryConfig, null, configPath), configFile)
+                }
+            } catch (error) {
+                console.log(chalk.yellow(`Failed to load library config ${configFile}: ${error.message}`))
+            }
+        }
+    }
+
+    /**
+     * Load adapters declared under `adapters` in design-system.config.js
+     */
+    async discoverProjectAdapters() {
+        const configPath = path.join(this.cwd, PROJECT_CONFIG_FILE)
+        if (!existsSync(configPath)) return
+
+        let projectConfig
+        try {
+            const module = await import(pathToFileURL(configPath).href)
+            projectConfig = module.default || module
+        } catch (error) {
+            console.log(chalk.yellow(`Failed to load ${PROJECT_CONFIG_FILE}: ${error.message}`))
+            return
+        }
+        const adapters = projectConfig.adapters || {}
+
+        for (const [name, definition] of Object.entries(adapters)) {
+            try {
+                const resolved = typeof definition === 'string'
+                    ? await this.importAdapterModule(path.resolve(path.dirname(configPath), definition))
+                    : definition
+                this.register(name, this.toFactory(resolved, name), PROJECT_CONFIG_FILE)
+            } catch (error) {
+                console.log(chalk.yellow(`Failed to load adapter '${name}' from ${PROJECT_CONFIG_FILE}: ${error.message}`))
+            }
+        }
+    }
+
+    /**
+     * Load adapters from installed packages following the naming convention
+     */
+    async discoverPackageAdapters() {
+        for (const packageName of this.findAdapterPackages()) {
+            const name = packageName.split('/').pop().slice(ADAPTER_PACKAGE_PREFIX.length)
+
+            try {
+                const entryPath = this.resolvePackageEntry(packageName)
+                const resolved = await this.importAdapterModule(entryPath)
+                this.register(name, this.toFactory(resolved, name), packageName)
+            } catch (error) {
+                console.log(chalk.yellow(`Failed to load adapter package ${packageName}: ${error.message}`))
+            }
+        }
+    }
+
+    /**
+     * List installed packages matching the adapter naming convention
+     * @returns {String[]} Package names
+     */
+    findAdapterPackages() {
+        const modulesDir = path.join(this.cwd, 'node_modules')
+        if (!existsSync(modulesDir)) return []
+
+        const packages = []
+
+        readdirSync(modulesDir).forEach(entry => {
+            if (entry.startsWith(ADAPTER_PACKAGE_PREFIX)) {
+                packages.push(entry)
+            } else if (entry.startsWith('@')) {
+                readdirSync(path.join(modulesDir, entry))
+                    .filter(scoped => scoped.startsWith(ADAPTER_PACKAGE_PREFIX))
+                    .forEach(scoped => packages.push(`${entry}/${scoped}`))
+            }
+        })
+
+        return packages
+    }
+
+    /**
+     * Resolve the ES module entry file of an installed package
+     * @param {String} packageName
+     * @returns {String} Absolute entry path
+     */
+    resolvePackageEntry(packageName) {
+        const packageDir = path.join(this.cwd, 'node_modules', packageName)
+        const packageJson = JSON.parse(readFileSync(path.join(packageDir, 'package.json'), 'utf8'))
+        const rootExport = packageJson.exports?.['.'] ?? packageJson.exports
+        const entry = (typeof rootExport === 'string' ? rootExport : rootExport?.import) ||
+            packageJson.module ||
+            packageJson.main ||
+            'index.js'
+
+        return path.join(packageDir, entry)
+    }
+
+    /**
+     * Import an adapter module and return its default (or first adapter-like) export
+     * @param {String} modulePath - Absolute module path
+     */
+    async importAdapterModule(modulePath) {
+        const module = await import(pathToFileURL(modulePath).href)
+        const adapterClass = Object.values(module).find(value =>
+            typeof value === 'function' && value.prototype instanceof LibraryAdapter
+        )
+        return module.default || module.createAdapter || adapterClass
+    }
+
+    /**
+     * Normalize an adapter definition (class, factory or instance) into a factory
+     * @param {*} definition
+     * @param {String} name
+     * @returns {Function}
+     */
+    toFactory(definition, name) {
+        if (definition instanceof LibraryAdapter) {
+            return () => definition
+        }
+        if (typeof definition === 'function' && definition.prototype instanceof LibraryAdapter) {
+            return () => new definition()
+        }
+        if (typeof definition === 'function') {
+            return definition
+        }
+        throw new Error(`Adapter '${name}' must export a LibraryAdapter subclass, instance or factory function`)
+    }
+
+    /**
+     * Describe every registered adapter (initializes each one to count components)
+     * @returns {Promise<Object[]>} Array of { name, version, source, components }
+     */
+    async describe() {
+        const descriptions = []
+
+        for (const { name, source } of this.entries.values()) {
+            const adapter = this.create(name)
+            if (typeof adapter.initialize === 'function') {
+                await adapter.initialize()
+            }
+
+            descriptions.push({
+                name,
+                version: adapter.version,
+                source,
+                components: adapter.getAllComponents().map(([semanticName, libraryName]) => ({ semanticName, libraryName }))
+            })
+        }
+
+        return descriptions
+    }
+}
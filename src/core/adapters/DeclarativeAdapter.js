@@ -0,0 +1,224 @@
+/**
+ * Declarative Adapter built from a library configuration.
+ * Reads the `adapter` section of src/configs/libraries/*.config.js so a new
+ * library can be supported with config only: component imports come from an import
+ * template (named, default or none) followed by any CSS side-effect imports.
+ *
+ * Library config shape:
+ *   package: 'primevue',                        // npm package used to detect the installed version
+ *   adapter: {
+ *       label: 'PrimeVue',                      // Name used in log messages
+ *       configDir: 'src/configs/primevue',      // Component configs (default: src/configs/<name>)
+ *       importTemplate: {
+ *           type: 'default',                    // 'named' | 'default' | 'none'
+ *           from: 'primevue/{{lowercase}}',     // Placeholders: {{component}}, {{lowercase}}, {{kebab}}
+ *           css: []                             // Side-effect imports emitted after the component import
+ *       }
+ *   }
+ *
+ * File: src/core/adapters/DeclarativeAdapter.js
+ */
+
+import { LibraryAdapter } from './LibraryAdapter.js'
+import { ConfigLoader } from '../config/ConfigLoader.js'
+import { readdirSync, existsSync } from 'fs'
+import chalk from 'chalk'
+import path from 'path'
+
+const IMPORT_TYPES = ['named', 'default', 'none']
+
+export class DeclarativeAdapter extends LibraryAdapter {
+    /**
+     * @param {Object} libraryConfig - Library config object
+     * @param {String|null} version - Library version (default: installed package version)
+     * @param {String|null} libraryConfigPath - File the library config was loaded from
+     */
+    constructor(libraryConfig, version = null, libraryConfigPath = null) {
+        super(libraryConfig.name, version)
+
+        const adapterConfig = libraryConfig.adapter || {}
+
+        // Read by the build and bundle scripts instead of guessing src/configs/libraries/<name>.config.js
+        this.libraryConfigPath = libraryConfigPath ? path.resolve(libraryConfigPath) : null
+
+        // Prefer the installed package version; the config version is only a fallback
+        this.packageName = libraryConfig.package || null
+        this.version = version ||
+            this.detectInstalledVersion(this.packageName) ||
+            libraryConfig.version
+
+        this.label = adapterConfig.label || libraryConfig.name
+        this.importTemplate = adapterConfig.importTemplate || { type: 'named', from: libraryConfig.name }
+        this.configsLoaded = false
+        this.configDir = path.resolve(adapterConfig.configDir || `./src/configs/${libraryConfig.name}`)
+        this.configPromise = null
+        this.configLoader = new ConfigLoader()
+
+        if (!IMPORT_TYPES.includes(this.importTemplate.type)) {
+            throw new Error(`${this.label} importTemplate type must be one of: ${IMPORT_TYPES.join(', ')}`)
+        }
+    }
+
+    /**
+     * Returns import statement for the given component.
+     * @param {String} componentName - Component name
+     * @returns {String}
+     */
+    getImportStatement(componentName) {
+        this.ensureConfigsLoaded()
+        const actualComponent = this.getComponent(componentName)
+        const { type, from, css = [] } = this.importTemplate
+
+        const lines = []
+
+        if (type === 'named') {
+            lines.push(`import { ${actualComponent} } from '${this.resolveImportPath(from, actualComponent)}'`)
+        } else if (type === 'default') {
+            lines.push(`import ${actualComponent} from '${this.resolveImportPath(from, actualComponent)}'`)
+        }
+
+        css.forEach(cssPath => lines.push(`import '${this.resolveImportPath(cssPath, actualComponent)}'`))
+
+        return lines.join('\n')
+    }
+
+    /**
+     * Returns import statements for several components.
+     * Named imports from the same path are merged into a single statement.
+     * @param {String[]} componentNames - Component names
+     * @returns {String}
+     */
+    getImportStatements(componentNames) {
+        const { type, from, css = [] } = this.importTemplate
+
+        if (type !== 'named') {
+            return super.getImportStatements(componentNames)
+        }
+
+        this.ensureConfigsLoaded()
+        const namedImports = new Map()
+        const sideEffects = new Set()
+
+        new Set(componentNames).forEach(componentName => {
+            const actualComponent = this.getComponent(componentName)
+            const importPath = this.resolveImportPath(from, actualComponent)
+
+            namedImports.set(importPath, [...(namedImports.get(importPath) || []), actualComponent])
+            css.forEach(cssPath => sideEffects.add(`import '${this.resolveImportPath(cssPath, actualComponent)}'`))
+        })
+
+        return [
+            ...Array.from(namedImports, ([importPath, names]) => `import { ${names.join(', ')} } from '${importPath}'`),
+            ...sideEffects
+        ].join('\n')
+    }
+
+    /**
+     * Substitute component placeholders in an import path
+     * @param {String} template - Path with {{component}}, {{lowercase}} or {{kebab}} placeholders
+     * @param {String} componentName - Library component name
+     * @returns {String}
+     */
+    resolveImportPath(template, componentName) {
+        const kebab = componentName.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase()
+
+        return template
+            .replace(/\{\{component\}\}/g, componentName)
+            .replace(/\{\{lowercase\}\}/g, componentName.toLowerCase())
+            .replace(/\{\{kebab\}\}/g, kebab)
+    }
+
+    /**
+     * Returns library component name
+     * @param {String} semanticName
+     * @returns {String}
+     */
+    getComponent(semanticName) {
+        this.ensureConfigsLoaded()
+        return super.getComponent(semanticName)
+    }
+
+    /**
+     * Check if component is registered
+     * @param {String} semanticName
+     * @returns {Boolean}
+     */
+    hasComponent(semanticName) {
+        this.ensureConfigsLoaded()
+        return super.hasComponent(semanticName)
+    }
+
+    /**
+     * Synchronously ensure configs are loaded (blocks if needed)
+     */
+    ensureConfigsLoaded() {
+        if (this.configsLoaded) return
+
+        if (!this.configPromise) {
+            this.configPromise = this.loadConfigurations()
+        }
+
+        if (!this.configsLoaded) {
+            throw new Error(`${this.label} adapter configs not loaded. Call await adapter.initialize() first.`)
+        }
+    }
+
+    /**
+     * Initialize adapter asynchronously (must be called before use)
+     */
+    async initialize() {
+        if (!this.configsLoaded) {
+            await this.loadConfigurations()
+        }
+        return this
+    }
+
+    /**
+     * Load configurations asynchronously
+     */
+    async loadConfigurations() {
+        if (this.configsLoaded) return
+
+        if (!existsSync(this.configDir)) {
+            console.log(chalk.yellow(`${this.label} config directory not found: ${this.configDir}`))
+            this.configsLoaded = true
+            return
+        }
+
+        try {
+            const configFiles = readdirSync(this.configDir).filter(file =>
+                file.endsWith('.config.js')
+            )
+
+            await Promise.all(
+                configFiles.map(configFile => {
+                    const configPath = path.join(this.configDir, configFile)
+                    return this.loadConfigFileAsync(configPath)
+                })
+            )
+
+            this.configsLoaded = true
+            console.log(chalk.green(`Loaded ${configFiles.length} ${this.label} component configs`))
+        } catch (error) {
+            console.log(chalk.yellow(`Error loading ${this.label} configurations: ${error.message}`))
+            this.configsLoaded = true
+        }
+    }
+
+    /**
+     * Load config file through the shared ConfigLoader, so overlays register
+     * under the name of the semantic config they extend
+     * @param {String} configPath
+     */
+    async loadConfigFileAsync(configPath) {
+        try {
+            const config = await this.configLoader.load(configPath)
+
+            if (config && config.baseComponent) {
+                this.registerComponent(config.name, config.baseComponent)
+            }
+        } catch (error) {
+            console.log(chalk.yellow(`Failed to load config file ${configPath}: ${error.message}`))
+        }
+    }
+}
@@ -0,0 +1,18 @@
+/**
+ * Adapter Implementation for Element Plus.
+ * Thin instance of DeclarativeAdapter driven by src/configs/libraries/element-plus.config.js
+ * 
+ * File: src/core/adapters/ElementPlusAdapter.js
+ */
+
+import { DeclarativeAdapter } from './DeclarativeAdapter.js'
+import { fileURLToPath } from 'url'
+import libraryConfig from '../../configs/libraries/element-plus.config.js'
+
+const LIBRARY_CONFIG_PATH = fileURLToPath(new URL('../../configs/libraries/element-plus.config.js', import.meta.url))
+
+export class ElementPlusAdapter extends DeclarativeAdapter {
+    constructor(version) {
+        super(libraryConfig, version, LIBRARY_CONFIG_PATH)
+    }
+}
@@ -5,6 +5,28 @@
  * File: src/core/adapters/LibraryAdapter.js
  */
 
+import { readFileSync, existsSync } from 'fs'
+import path from 'path'
+
+// Plain HTML elements usable as baseComponent without any library import (HTML Living Standard)
+const NATIVE_ELEMENTS = new Set([
+    'a', 'abbr', 'address', 'area', 'article', 'aside', 'audio', 'b', 'base', 'bdi', 'bdo',
+    'blockquote', 'body', 'br', 'button', 'canvas', 'caption', 'cite', 'code', 'col', 'colgroup',
+    'data', 'datalist', 'dd', 'del', 'details', 'dfn', 'dialog', 'div', 'dl', 'dt', 'em', 'embed',
+    'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'head', 'header', 'hgroup', 'hr', 'html', 'i', 'iframe', 'img', 'input', 'ins', 'kbd', 'label',
+    'legend', 'li', 'link', 'main', 'map', 'mark', 'menu', 'meta', 'meter', 'nav', 'noscript',
+    'object', 'ol', 'optgroup', 'option', 'output', 'p', 'picture', 'pre', 'progress', 'q', 'rp',
+    'rt', 'ruby', 's', 'samp', 'script', 'search', 'section', 'select', 'slot', 'small', 'source',
+    'span', 'strong', 'style', 'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'template',
+    'textarea', 'tfoot', 'th', 'thead', 'time', 'title', 'tr', 'track', 'u', 'ul', 'var', 'video', 'wbr'
+])
+
+// Native elements that cannot have children and must be self-closed
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+])
+
 export class LibraryAdapter {
     constructor(name, version) {
         this.name = name
@@ -30,6 +52,25 @@ export class LibraryAdapter {
         throw new Error(`${this.name} Adapter must implement getImportStatement()`)
     }
 
+    /**
+     * Generate the imports for several components, e.g. the children of a compound component.
+     * Lines shared between components (side-effect CSS imports) are emitted once.
+     * @param {String[]} componentNames - Component names
+     * @returns {String} Import statements
+     */
+    getImportStatements(componentNames) {
+        const lines = new Set()
+
+        new Set(componentNames).forEach(componentName => {
+            this.getImportStatement(componentName)
+                .split('\n')
+                .filter(Boolean)
+                .forEach(line => lines.add(line))
+        })
+
+        return Array.from(lines).join('\n')
+    }
+
     /**
      * Register Component Mapping
      * @param {String} semanticName - Generic component name
@@ -55,4 +96,61 @@ export class LibraryAdapter {
     getAllComponents() {
         return Array.from(this.componentMap.entries())
     }
-}
\ No newline at end of file
+
+    /**
+     * Detect the installed version of the library package.
+     * Walks up from the working directory looking for node_modules/<package>/package.json.
+     * @param {String} packageName - npm package name
+     * @param {String} cwd - Directory to start from
+     * @returns {String|null} Installed version, or null when the package is not installed
+     */
+    detectInstalledVersion(packageName, cwd = process.cwd()) {
+        const packageDir = LibraryAdapter.findPackageDir(packageName, cwd)
+        if (!packageDir) return null
+
+        try {
+            return JSON.parse(readFileSync(path.join(packageDir, 'package.json'), 'utf8')).version || null
+        } catch {
+            return null
+        }
+    }
+
+    /**
+     * Find node_modules/<package> walking up from a directory, the way Node resolves packages
+     * @param {String} packageName - npm package name
+     * @param {String} cwd - Directory to start from
+     * @returns {String|null} Package directory, or null when the package is not installed
+     */
+    static findPackageDir(packageName, cwd = process.cwd()) {
+        if (!packageName) return null
+
+        let dir = path.resolve(cwd)
+
+        while (true) {
+            const packageDir = path.join(dir, 'node_modules', packageName)
+            if (existsSync(path.join(packageDir, 'package.json'))) return packageDir
+
+            const parent = path.dirname(dir)
+            if (parent === dir) return null
+            dir = parent
+        }
+    }
+
+    /**
+     * Check if a component name refers to a plain HTML element
+     * @param {String} componentName - Library component or tag name
+     * @returns {Boolean}
+     */
+    static isNativeElement(componentName) {
+        return NATIVE_ELEMENTS.has(componentName)
+    }
+
+    /**
+     * Check if a component name refers to a void HTML element (no children, no slots)
+     * @param {String} componentName - Library component or tag name
+     * @returns {Boolean}
+     */
+    static isVoidElement(componentName) {
+        return VOID_ELEMENTS.has(componentName)
+    }
+}
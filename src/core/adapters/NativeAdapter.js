@@ -0,0 +1,35 @@
+/**
+ * Adapter Implementation for plain HTML elements (no UI library).
+ * Thin instance of DeclarativeAdapter driven by src/configs/libraries/native.config.js.
+ * Base components are HTML elements, so no import statements are emitted.
+ * 
+ * File: src/core/adapters/NativeAdapter.js
+ */
+
+import { DeclarativeAdapter } from './DeclarativeAdapter.js'
+import { LibraryAdapter } from './LibraryAdapter.js'
+import { fileURLToPath } from 'url'
+import libraryConfig from '../../configs/libraries/native.config.js'
+
+const LIBRARY_CONFIG_PATH = fileURLToPath(new URL('../../configs/libraries/native.config.js', import.meta.url))
+
+export class NativeAdapter extends DeclarativeAdapter {
+    constructor(version) {
+        super(libraryConfig, version, LIBRARY_CONFIG_PATH)
+    }
+
+    /**
+     * Returns import statement for the given component.
+     * Native elements need no import, so this is always empty.
+     * @param {String} componentName - Component name
+     * @returns {String}
+     */
+    getImportStatement(componentName) {
+        const actualComponent = this.getComponent(componentName)
+
+        if (!LibraryAdapter.isNativeElement(actualComponent)) {
+            throw new Error(`Native adapter cannot import '${actualComponent}'. Use a plain HTML element as baseComponent.`)
+        }
+        return super.getImportStatement(componentName)
+    }
+}
@@ -0,0 +1,18 @@
+/**
+ * Adapter Implementation for PrimeVue.
+ * Thin instance of DeclarativeAdapter driven by src/configs/libraries/primevue.config.js
+ * 
+ * File: src/core/adapters/PrimeVueAdapter.js
+ */
+
+import { DeclarativeAdapter } from './DeclarativeAdapter.js'
+import { fileURLToPath } from 'url'
+import libraryConfig from '../../configs/libraries/primevue.config.js'
+
+const LIBRARY_CONFIG_PATH = fileURLToPath(new URL('../../configs/libraries/primevue.config.js', import.meta.url))
+
+export class PrimeVueAdapter extends DeclarativeAdapter {
+    constructor(version) {
+        super(libraryConfig, version, LIBRARY_CONFIG_PATH)
+    }
+}
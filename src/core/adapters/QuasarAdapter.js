@@ -0,0 +1,18 @@
+/**
+ * Adapter Implementation for Quasar.
+ * Thin instance of DeclarativeAdapter driven by src/configs/libraries/quasar.config.js
+ * 
+ * File: src/core/adapters/QuasarAdapter.js
+ */
+
+import { DeclarativeAdapter } from './DeclarativeAdapter.js'
+import { fileURLToPath } from 'url'
+import libraryConfig from '../../configs/libraries/quasar.config.js'
+
+const LIBRARY_CONFIG_PATH = fileURLToPath(new URL('../../configs/libraries/quasar.config.js', import.meta.url))
+
+export class QuasarAdapter extends DeclarativeAdapter {
+    constructor(version) {
+        super(libraryConfig, version, LIBRARY_CONFIG_PATH)
+    }
+}
@@ -41,7 +41,8 @@ export class BundleGenerator {
     }
 
     async loadLibraryConfig() {
-        const configPath = path.resolve(`./src/configs/libraries/${this.libraryName}.config.js`)
+        const configPath = this.adapter?.libraryConfigPath ||
+            path.resolve(`./src/configs/libraries/${this.libraryName}.config.js`)
 
         try {
             const module = await import(pathToFileURL(configPath).href)
@@ -150,7 +151,7 @@ export * from './core.js'
 
         lines.push('// Component imports')
         this.generatedComponents.forEach(comp => {
-            lines.push(`import ${comp.name} from './components/${comp.name}.vue'`)
+            lines.push(`import ${comp.name} from './components/${path.basename(comp.path)}'`)
         })
         lines.push('')
 
@@ -304,7 +305,7 @@ export * from './core.js'
         lines.push('// Component Index')
         lines.push('')
         this.generatedComponents.forEach(comp => {
-            lines.push(`import ${comp.name} from './${comp.name}.vue'`)
+            lines.push(`import ${comp.name} from './${path.basename(comp.path)}'`)
         })
         lines.push('')
         lines.push('export default {')
@@ -343,7 +344,7 @@ export * from './core.js'
 
         lines.push('// Design System Type Definitions')
         lines.push('')
-        lines.push("import { App } from 'vue'")
+        lines.push("import { App, DefineComponent } from 'vue'")
         lines.push('')
         lines.push('export interface DesignSystemOptions {')
         lines.push('  theme?: string')
@@ -352,19 +353,56 @@ export * from './core.js'
         lines.push('')
 
         this.generatedComponents.forEach(comp => {
-            lines.push(`export declare const ${comp.name}: any`)
+            lines.push(...this.createComponentTypes(comp))
+            lines.push('')
         })
-        lines.push('')
 
         lines.push('declare const DesignSystem: {')
         lines.push('  install(app: App, options?: DesignSystemOptions): void')
         lines.push('}')
         lines.push('')
         lines.push('export default DesignSystem')
+        lines.push('')
+
+        // Components are registered globally by the plugin, so let Volar type-check them in templates
+        lines.push("declare module 'vue' {")
+        lines.push('  export interface GlobalComponents {')
+        this.generatedComponents.forEach(comp => lines.push(`    ${comp.name}: typeof ${comp.name}`))
+        lines.push('  }')
+        lines.push('}')
 
         writeFileSync(path.join(this.outputDir, 'types', 'index.d.ts'), lines.join('\n'))
     }
 
+    /**
+     * Create the props/emits/methods interfaces and DefineComponent declaration of a generated component
+     * @param {Object} comp - ComponentGenerator result with `types` metadata
+     * @returns {String[]} Declaration lines
+     */
+    createComponentTypes(comp) {
+        const { props = [], emits = [], methods = [] } = comp.types || {}
+        const lines = []
+
+        lines.push(`export interface ${comp.name}Props {`)
+        props.forEach(member => lines.push(`  ${member}`))
+        lines.push('}')
+        lines.push('')
+        lines.push(`export interface ${comp.name}Emits {`)
+        emits.forEach(({ name, payloadName, payloadType }) => {
+            const key = /^[A-Za-z_$][\w$]*$/.test(name) ? name : `'${name}'`
+            lines.push(`  ${key}: (${payloadName}: ${payloadType}) => void`)
+        })
+        lines.push('}')
+        lines.push('')
+        lines.push(`export interface ${comp.name}Methods {`)
+        methods.forEach(name => lines.push(`  ${name}(...args: any[]): any`))
+        lines.push('}')
+        lines.push('')
+        lines.push(`export declare const ${comp.name}: DefineComponent<${comp.name}Props, {}, {}, {}, ${comp.name}Methods, {}, {}, ${comp.name}Emits>`)
+
+        return lines
+    }
+
     async generatePackageJson() {
         const packageData = {
             name: "@company/design-system",
@@ -474,7 +512,7 @@ export * from './core.js'
         console.log(chalk.cyan(`  Library: ${this.libraryName}`))
         console.log(chalk.cyan(`  Components: ${this.generatedComponents.length}`))
         this.generatedComponents.forEach(comp => {
-            console.log(chalk.gray(`    • ${comp.name}.vue`))
+            console.log(chalk.gray(`    • ${path.basename(comp.path)}`))
         })
         console.log(chalk.cyan(`  Themes: ${Object.keys(this.designTokens).length}`))
         console.log(chalk.cyan(`  Output: ${path.resolve(this.outputDir)}`))
@@ -11,12 +11,30 @@ import { writeFileSync } from 'fs'
 import chalk from 'chalk'
 import path from 'path'
 import { TransformationEngine } from './TransformationEngine.js'
+import { ExpressionCompiler } from './ExpressionCompiler.js'
+import { LibraryAdapter } from '../adapters/LibraryAdapter.js'
+
+// 'sfc' (Options API), 'setup' (<script setup>) or 'jsx'
+export const TEMPLATE_TYPES = ['sfc', 'setup', 'jsx']
+
+// Script language of generated components; TypeScript is emitted for the 'setup' template
+export const SCRIPT_LANGS = ['js', 'ts']
 
 export class ComponentGenerator {
     constructor(options = {}) {
         this.libraryAdapter = options.libraryAdapter || null
         this.outputDir = options.outputDir || 'dist/components'
         this.templateType = options.templateType || 'sfc'
+        if (!TEMPLATE_TYPES.includes(this.templateType)) {
+            throw new Error(`Unknown template type '${this.templateType}'. Available: ${TEMPLATE_TYPES.join(', ')}`)
+        }
+        this.lang = options.lang || 'js'
+        if (!SCRIPT_LANGS.includes(this.lang)) {
+            throw new Error(`Unknown script language '${this.lang}'. Available: ${SCRIPT_LANGS.join(', ')}`)
+        }
+        if (this.lang === 'ts' && this.templateType !== 'setup') {
+            throw new Error(`TypeScript output requires the 'setup' template (got '${this.templateType}')`)
+        }
         this.transformationEngine = new TransformationEngine(this.libraryAdapter)
         this.templateCache = new Map()
 
@@ -40,7 +58,7 @@ export class ComponentGenerator {
             await this.libraryAdapter.initialize()
         }
 
-        const templateData = this.buildTemplateData(config)
+        const templateData = this.buildTemplateData(this.removeUnsupportedSlots(config))
         const componentCode = this.renderTemplate(templateData)
         const componentName = this.getComponentName(config.name)
         const outputPath = this.writeComponent(componentName, componentCode)
@@ -49,15 +67,39 @@ export class ComponentGenerator {
             name: componentName,
             originalName: config.name,
             path: outputPath,
+            // Prop and emit types, used for the bundle's type declarations
+            types: {
+                props: this.transformationEngine.generatePropsInterface(this.getAllProps(config)),
+                emits: this.transformationEngine.getEmitSignatures(this.getAllEvents(config), this.getAllModels(config)),
+                methods: this.transformationEngine.resolveMethods(config.methods).map(method => method.name)
+            },
             metadata: {
                 generatedAt: new Date().toISOString(),
                 library: this.libraryAdapter?.name || 'generic',
                 templateType: this.templateType,
+                lang: this.lang,
                 bundleMode: this.bundleMode
             }
         }
     }
 
+    /**
+     * Drop the slots an overlay marks `unsupported` from every node of the tree,
+     * so no template targets a slot the library component does not have
+     * @param {Object} node - Root config or child node
+     * @returns {Object} Copy of the node
+     */
+    removeUnsupportedSlots(node) {
+        const copy = { ...node }
+        if (Array.isArray(node.slots)) {
+            copy.slots = node.slots.filter(slot => !slot.unsupported)
+        }
+        if (Array.isArray(node.children)) {
+            copy.children = node.children.map(child => this.removeUnsupportedSlots(child))
+        }
+        return copy
+    }
+
     /**
      * Build all template data in single pass.
      * @param {Object} config
@@ -67,19 +109,432 @@ export class ComponentGenerator {
         const baseComponent = this.getBaseComponent(config)
         const importStatement = this.getImportStatement(config)
         const componentName = this.getComponentName(config.name)
+        const propMappings = this.transformationEngine.resolveMappings(config.propMappings)
+        const allProps = this.getAllProps(config)
+        const tree = { root: config, props: allProps, propMappings: this.getAllMappings(config), refNode: this.getRefNode(config) }
 
-        return {
+        const data = {
             componentName,
             baseComponent,
             importStatement,
-            propsDefinition: this.transformationEngine.generatePropsDefinition(config.props),
-            templateProps: this.generateAllTemplatePropBindings(config),
-            templateEvents: this.transformationEngine.generateEventBindings(config.events),
-            computedProperties: this.transformationEngine.generateComputedProperties(config.propMappings),
-            emitsArray: this.buildEmitsArray(config.events),
-            slots: this.buildSlots(config.slots),
+            componentsDefinition: this.buildComponentsDefinition(this.getLibraryComponents(config)),
+            inheritAttrs: this.transformationEngine.resolvePassthrough(config.passthrough) ? '\n  inheritAttrs: false,' : '',
+            propsDefinition: this.transformationEngine.generatePropsDefinition(allProps),
+            templateProps: this.generateAllTemplatePropBindings(config, propMappings),
+            templateEvents: this.transformationEngine.generateEventBindings(config.events, allProps) +
+                this.transformationEngine.generateModelEventBindings(config.model, allProps),
+            computedProperties: this.transformationEngine.generateComputedProperties(tree.propMappings, config.passthrough),
+            methodsDefinition: this.transformationEngine.generateMethodsDefinition(config.methods),
+            emitsArray: this.buildEmitsArray([
+                ...this.transformationEngine.resolveEvents(this.getAllEvents(config)),
+                ...this.transformationEngine.normalizeModels(this.getAllModels(config))
+            ]),
+            slots: this.buildNodeContent(config, baseComponent, tree),
+            elementContent: this.buildElementContent(baseComponent),
             styles: this.buildStyles(config)
         }
+
+        if (this.templateType === 'setup') {
+            return { ...data, ...this.buildSetupScriptData(config, data, tree) }
+        }
+        if (this.templateType === 'jsx') {
+            return { ...data, ...this.buildJSXData(config, data, propMappings, tree) }
+        }
+        return data
+    }
+
+    /**
+     * Get declared props plus the props generated for v-model
+     * @param {Object} config
+     * @returns {Array}
+     */
+    getAllProps(config) {
+        return [...(config.props || []), ...this.transformationEngine.getModelProps(this.getAllModels(config))]
+    }
+
+    /**
+     * Flatten the component tree: the root config followed by its `children`, depth first.
+     * Compound components (label + input + hint, dialog + actions) describe each child
+     * with its own baseComponent, propMappings, events, model, slots and children.
+     * @param {Object} config
+     * @returns {Object[]} Tree nodes
+     */
+    getComponentNodes(config) {
+        const walk = node => [node, ...(node.children || []).flatMap(walk)]
+        return walk(config)
+    }
+
+    /**
+     * Get the events of every node in the component tree
+     * @param {Object} config
+     * @returns {Array}
+     */
+    getAllEvents(config) {
+        return this.getComponentNodes(config).flatMap(node => node.events || [])
+    }
+
+    /**
+     * Get the v-model definitions of every node in the component tree
+     * @param {Object} config
+     * @returns {Array}
+     */
+    getAllModels(config) {
+        return this.getComponentNodes(config).flatMap(node => node.model ? [].concat(node.model) : [])
+    }
+
+    /**
+     * Get the mappings of every node that apply to the library version; their computed
+     * properties are all declared on the wrapper
+     * @param {Object} config
+     * @returns {Array}
+     */
+    getAllMappings(config) {
+        return this.getComponentNodes(config).flatMap(node => this.transformationEngine.resolveMappings(node.propMappings))
+    }
+
+    /**
+     * Get the library components used by the tree, without plain HTML elements
+     * @param {Object} config
+     * @returns {String[]} Unique component names, root first
+     */
+    getLibraryComponents(config) {
+        const components = this.getComponentNodes(config).map(node => this.getBaseComponent(node))
+        return Array.from(new Set(components)).filter(component => !LibraryAdapter.isNativeElement(component))
+    }
+
+    /**
+     * Get the node exposed methods are forwarded to: the child marked `ref: true`, or the root
+     * @param {Object} config
+     * @returns {Object|null} Tree node, or null when the config exposes no methods
+     */
+    getRefNode(config) {
+        if (this.transformationEngine.resolveMethods(config.methods).length === 0) return null
+        return this.getComponentNodes(config).find(node => node !== config && node.ref) || config
+    }
+
+    /**
+     * Build the script part of <script setup> output. The template section is shared
+     * with the Options API output; props, emits and computed mappings become macros,
+     * typed from the config when generating TypeScript.
+     * @param {Object} config
+     * @param {Object} data - Options API template data
+     * @param {Object} tree - Props, mappings and ref node of the whole component tree
+     * @returns {Object} Script data replacing the Options API values
+     */
+    buildSetupScriptData(config, data, tree) {
+        const engine = this.transformationEngine
+        const typescript = this.lang === 'ts'
+        const allProps = tree.props
+        const computedProperties = engine.generateSetupComputedProperties(tree.propMappings, config.passthrough)
+        const readsProps = tree.propMappings.some(mapping => mapping.type === 'computed' || mapping.type === 'value')
+        // Filtered passthrough attrs are computed from useAttrs()
+        const readsAttrs = engine.generatePassthroughFilter(config.passthrough, 'attrs') !== null
+        const propsDefinition = typescript
+            ? engine.generateTypedPropsDefinition(allProps)
+            : engine.generateSetupPropsDefinition(allProps)
+        const propsDeclaration = readsProps ? `const props = ${propsDefinition}` : propsDefinition
+        const exposeDefinition = engine.generateExposeDefinition(config.methods, 'defineExpose', typescript)
+
+        return {
+            scriptLang: typescript ? ' lang="ts"' : '',
+            importStatement: [
+                this.buildVueImport({ computed: computedProperties, useAttrs: readsAttrs, ref: exposeDefinition }),
+                data.importStatement
+            ].filter(Boolean).join('\n'),
+            componentsDefinition: '',
+            inheritAttrs: this.transformationEngine.resolvePassthrough(config.passthrough) ? ', inheritAttrs: false' : '',
+            propsDefinition: typescript
+                ? `${engine.generatePropsInterfaceDeclaration(allProps)}\n\n${propsDeclaration}`
+                : propsDeclaration,
+            emitsDefinition: typescript
+                ? engine.generateTypedEmitsDefinition(this.getAllEvents(config), this.getAllModels(config))
+                : `defineEmits([${data.emitsArray}])`,
+            computedProperties: computedProperties
+                ? `\n\n${readsAttrs ? 'const attrs = useAttrs()\n' : ''}${computedProperties}`
+                : '',
+            methodsDefinition: exposeDefinition
+                ? `\n\nconst baseRef = ${typescript ? 'ref<any>()' : 'ref()'}\n\n${exposeDefinition}`
+                : ''
+        }
+    }
+
+    /**
+     * Build the named import from 'vue' needed by generated script code
+     * @param {Object} usage - Map of Vue API name to whether it is used
+     * @returns {String} Import statement, or '' when nothing is used
+     */
+    buildVueImport(usage) {
+        const names = Object.keys(usage).filter(name => usage[name])
+        return names.length > 0 ? `import { ${names.join(', ')} } from 'vue'` : ''
+    }
+
+    /**
+     * Build render-function data for JSX output: props, listeners and slots in JSX
+     * syntax, with computed mappings declared in setup().
+     * @param {Object} config
+     * @param {Object} data - Options API template data
+     * @param {Array} propMappings - Root mappings applicable to the library version
+     * @param {Object} tree - Props, mappings and ref node of the whole component tree
+     * @returns {Object} Data replacing the template-syntax values
+     */
+    buildJSXData(config, data, propMappings, tree) {
+        const engine = this.transformationEngine
+        const allProps = tree.props
+        const computedProperties = engine.generateSetupComputedProperties(tree.propMappings, config.passthrough)
+        // Filtered attrs are a computed ref in setup(), unfiltered ones are spread as they are
+        const passthrough = engine.getPassthroughBinding(config.passthrough, 'attrs')
+        const passthroughSpread = passthrough && passthrough !== 'attrs' ? `${passthrough}.value` : passthrough
+        const attributes = [
+            ...(passthroughSpread ? [`{...${passthroughSpread}}`] : []),
+            ...engine.generateJSXPropBindings(propMappings, allProps, this.getUnmappedProps(config)),
+            ...engine.generateJSXModelBindings(config.model)
+        ]
+        const listeners = engine.generateJSXEventBindings(config.events, config.model, allProps)
+        const exposeDefinition = engine.generateExposeDefinition(config.methods, 'expose')
+        const setupStatements = [
+            computedProperties,
+            exposeDefinition ? `const baseRef = ref()\n\n${exposeDefinition}` : ''
+        ].filter(Boolean).join('\n\n')
+        const indent = '\n        '
+
+        if (tree.refNode === config) {
+            attributes.unshift('ref={baseRef}')
+        }
+
+        return {
+            importStatement: [
+                this.buildVueImport({ computed: computedProperties, ref: exposeDefinition }),
+                data.importStatement
+            ].filter(Boolean).join('\n'),
+            templateProps: attributes.map(attribute => indent + attribute).join(''),
+            templateEvents: listeners.map(listener => indent + listener).join(''),
+            computedProperties: setupStatements
+                ? '\n' + setupStatements.split('\n').map(line => line ? `    ${line}` : '').join('\n') + '\n'
+                : '',
+            methodsDefinition: '',
+            slots: this.buildJSXNodeContent(config, data.baseComponent, tree),
+            elementContent: LibraryAdapter.isVoidElement(data.baseComponent)
+                ? ' />'
+                : '>\n{{slots}}\n      </{{baseComponent}}>'
+        }
+    }
+
+    /**
+     * Build JSX children: slot functions for library components, plain children for native elements.
+     * Follows buildSlots: slot targets, scoped-prop renames and optional forwarding of undeclared slots.
+     * @param {Object[]} slots
+     * @param {String} baseComponent
+     * @param {Boolean} forwardSlots - Forward every slot not declared in the config
+     * @returns {String}
+     */
+    buildJSXSlots(slots = [], baseComponent, forwardSlots = false) {
+        if (LibraryAdapter.isNativeElement(baseComponent)) {
+            return (slots && slots.length > 0 ? slots : [{ name: 'default' }])
+                .map(slot => `        {${this.getSlotAccessor('slots', slot.name)}?.()${slot.fallback ? ` ?? props.${slot.fallback}` : ''}}`)
+                .join('\n')
+        }
+
+        const declaredSlots = slots && slots.length > 0 ? slots : (forwardSlots ? [] : [{ name: 'default' }])
+
+        return `        {{\n${this.buildJSXSlotEntries(declaredSlots, forwardSlots).join(',\n')}\n        }}`
+    }
+
+    /**
+     * Build the entries of a JSX slots object passed to a library component
+     * @param {Object[]} slots - Declared slots
+     * @param {Boolean} forwardSlots - Forward every slot not declared in the config
+     * @returns {String[]}
+     */
+    buildJSXSlotEntries(slots = [], forwardSlots = false) {
+        const entries = (slots || []).map(slot => {
+            const target = slot.target || slot.name
+            const key = /^[A-Za-z_$][\w$]*$/.test(target) ? target : `'${target}'`
+            const slotFunction = this.getSlotAccessor('slots', slot.name)
+            const scopeBindings = this.getSlotScopeBindings(slot)
+            const scope = scopeBindings.length > 0
+                ? `{ ${scopeBindings.map(([semantic, library]) => `${/^[A-Za-z_$][\w$]*$/.test(semantic) ? semantic : `'${semantic}'`}: ${this.getSlotAccessor('scope', library)}`).join(', ')} }`
+                : 'scope'
+
+            if (slot.fallback) {
+                return `          ${key}: (scope) => ${slotFunction}?.(${scope}) ?? props.${slot.fallback}`
+            }
+            // Unprovided slots stay undefined, so the library keeps its own slot defaults
+            return scopeBindings.length > 0
+                ? `          ${key}: ${slotFunction} && ((scope) => ${slotFunction}(${scope}))`
+                : `          ${key}: ${slotFunction}`
+        })
+
+        if (forwardSlots) {
+            const declared = this.getDeclaredSlotNames(slots)
+            entries.unshift(`          ...Object.fromEntries(Object.entries(slots).filter(([name]) => !${declared}.includes(name)))`)
+        }
+
+        return entries
+    }
+
+    /**
+     * Build the JSX content of a tree node, following buildNodeContent: semantic slots first,
+     * then children, passed to library components as slot functions returning vnode arrays
+     * @param {Object} node - Root config or child node
+     * @param {String} baseComponent - Resolved component or tag of the node
+     * @param {Object} tree - Props, mappings and ref node of the whole component tree
+     * @returns {String} JSX children, indented for the root element ('' when empty)
+     */
+    buildJSXNodeContent(node, baseComponent, tree) {
+        const isRoot = node === tree.root
+        const children = node.children || []
+
+        if (isRoot && children.length === 0) {
+            return this.buildJSXSlots(node.slots, baseComponent, node.forwardSlots)
+        }
+
+        const hasSlots = (node.slots && node.slots.length > 0) || (isRoot && node.forwardSlots)
+
+        if (LibraryAdapter.isNativeElement(baseComponent)) {
+            return [
+                hasSlots ? this.buildJSXSlots(node.slots, baseComponent) : '',
+                ...children.map(child => this.indentLines(this.buildJSXChildElement(child, tree, true), 2))
+            ].filter(Boolean).join('\n')
+        }
+
+        const entries = hasSlots ? this.buildJSXSlotEntries(node.slots, isRoot && node.forwardSlots) : []
+        this.groupChildrenBySlot(children, baseComponent).forEach((placed, slotName) => {
+            const key = /^[A-Za-z_$][\w$]*$/.test(slotName) ? slotName : `'${slotName}'`
+            const elements = placed.map(child => this.indentLines(this.buildJSXChildElement(child, tree, false), 6))
+            entries.push(`          ${key}: () => [\n${elements.join(',\n')}\n          ]`)
+        })
+
+        return entries.length > 0 ? `        {{\n${entries.join(',\n')}\n        }}` : ''
+    }
+
+    /**
+     * Build the JSX element of a child node, indented like the root element.
+     * Children with an `if` condition render null when it is falsy.
+     * @param {Object} child - Child node
+     * @param {Object} tree - Props, mappings and ref node of the whole component tree
+     * @param {Boolean} inline - Wrap conditional elements in braces (children of native elements)
+     * @returns {String}
+     */
+    buildJSXChildElement(child, tree, inline) {
+        const engine = this.transformationEngine
+        const baseComponent = this.getBaseComponent(child)
+        const attributes = [
+            ...(child === tree.refNode ? ['ref={baseRef}'] : []),
+            ...engine.generateJSXPropBindings(engine.resolveMappings(child.propMappings), tree.props),
+            ...engine.generateJSXModelBindings(child.model),
+            ...engine.generateJSXEventBindings(child.events, child.model, tree.props)
+        ]
+        const content = this.buildJSXNodeContent(child, baseComponent, tree)
+        const opening = `      <${baseComponent}${attributes.map(attribute => `\n        ${attribute}`).join('')}`
+        const element = LibraryAdapter.isVoidElement(baseComponent) || !content
+            ? `${opening} />`
+            : `${opening}>\n${content}\n      </${baseComponent}>`
+
+        if (!child.if) return element
+
+        const condition = engine.toScriptExpression(String(child.if), tree.props, tree.propMappings, baseComponent)
+        const conditional = `      ${condition} ? (\n${this.indentLines(element, 2)}\n      ) : null`
+        return inline ? conditional.replace(/^( *)/, '$1{') + '}' : conditional
+    }
+
+    /**
+     * Build the content of a tree node: its semantic slots followed by its children.
+     * Children of a library component are placed in the library slot named by their
+     * `slot` (its default slot otherwise); children of native elements render in place.
+     * @param {Object} node - Root config or child node
+     * @param {String} baseComponent - Resolved component or tag of the node
+     * @param {Object} tree - Props, mappings and ref node of the whole component tree
+     * @returns {String} Template content, indented for the root element ('' when empty)
+     */
+    buildNodeContent(node, baseComponent, tree) {
+        const isRoot = node === tree.root
+        const children = node.children || []
+
+        if (isRoot && children.length === 0) {
+            return this.buildSlots(node.slots, baseComponent, node.forwardSlots)
+        }
+
+        const parts = []
+        if ((node.slots && node.slots.length > 0) || (isRoot && node.forwardSlots)) {
+            parts.push(this.buildSlots(node.slots, baseComponent, isRoot && node.forwardSlots))
+        }
+
+        this.groupChildrenBySlot(children, baseComponent).forEach((placed, slotName) => {
+            const elements = placed.map(child => this.buildChildElement(child, tree))
+
+            if (slotName === 'default') {
+                parts.push(...elements.map(element => this.indentLines(element, 2)))
+            } else {
+                parts.push(`    <template #${slotName}>\n${elements.map(element => this.indentLines(element, 4)).join('\n')}\n    </template>`)
+            }
+        })
+
+        return parts.join('\n')
+    }
+
+    /**
+     * Build the template element of a child node, indented like the root element
+     * @param {Object} child - Child node
+     * @param {Object} tree - Props, mappings and ref node of the whole component tree
+     * @returns {String}
+     */
+    buildChildElement(child, tree) {
+        const engine = this.transformationEngine
+        const baseComponent = this.getBaseComponent(child)
+        const bindings = [
+            child.if ? `v-if="${engine.compileExpression(child.if, tree.props, baseComponent)}"` : '',
+            child === tree.refNode ? 'ref="baseRef"' : '',
+            engine.generateTemplatePropBindings(engine.resolveMappings(child.propMappings), tree.props).trimStart(),
+            engine.generateModelPropBindings(child.model)
+        ].filter(Boolean)
+        const events = engine.generateEventBindings(child.events, tree.props) +
+            engine.generateModelEventBindings(child.model, tree.props)
+        const content = this.buildNodeContent(child, baseComponent, tree)
+        const opening = `  <${baseComponent}${bindings.map(binding => `\n    ${binding}`).join('')}${events}`
+
+        return LibraryAdapter.isVoidElement(baseComponent) || !content
+            ? `${opening} />`
+            : `${opening}>\n${content}\n  </${baseComponent}>`
+    }
+
+    /**
+     * Group children by the library slot they are placed in, keeping declaration order.
+     * Native elements have no slots, so all their children render in place.
+     * @param {Object[]} children
+     * @param {String} baseComponent - Resolved component or tag of the parent
+     * @returns {Map} Slot name to children
+     */
+    groupChildrenBySlot(children, baseComponent) {
+        const groups = new Map()
+
+        children.forEach(child => {
+            const slotName = LibraryAdapter.isNativeElement(baseComponent) ? 'default' : (child.slot || 'default')
+            groups.set(slotName, [...(groups.get(slotName) || []), child])
+        })
+
+        return groups
+    }
+
+    /**
+     * Indent every non-empty line of a code fragment
+     * @param {String} code
+     * @param {Number} spaces
+     * @returns {String}
+     */
+    indentLines(code, spaces) {
+        const indent = ' '.repeat(spaces)
+        return code.split('\n').map(line => line ? indent + line : line).join('\n')
+    }
+
+    /**
+     * Closing part of the base element: slots and end tag, or a self-close for void elements
+     * @param {String} baseComponent - Library component or tag name
+     * @returns {String} Template fragment (may contain {{slots}} and {{baseComponent}})
+     */
+    buildElementContent(baseComponent) {
+        return LibraryAdapter.isVoidElement(baseComponent)
+            ? ' />'
+            : '>\n{{slots}}\n  </{{baseComponent}}>'
     }
 
     /**
@@ -96,20 +551,44 @@ export class ComponentGenerator {
     /**
      * Generate template prop bindings including unmapped props
      * @param {Object} config - Component configuration
+     * @param {Array} propMappings - Mappings applicable to the library version
      * @returns {string} All template prop bindings
      */
-    generateAllTemplatePropBindings(config) {
-        const mappedBindings = this.transformationEngine.generateTemplatePropBindings(config.propMappings)
+    generateAllTemplatePropBindings(config, propMappings = config.propMappings) {
+        const mappedBindings = this.transformationEngine.generateTemplatePropBindings(propMappings, config.props).trimStart()
 
-        // Find props that don't have explicit mappings and add direct bindings for them
-        const mappedSources = config.propMappings ? config.propMappings.map(m => m.source).filter(Boolean) : []
-        const unmappedProps = config.props ? config.props.filter(prop => !mappedSources.includes(prop.name)) : []
+        // Forwarded attrs come first so semantic bindings take precedence
+        const passthrough = this.transformationEngine.getPassthroughBinding(config.passthrough)
+        const passthroughBinding = passthrough ? `v-bind="${passthrough}"` : ''
+        // Exposed methods proxy to the library instance through this ref
+        const refBinding = this.getRefNode(config) === config ? 'ref="baseRef"' : ''
+        const unmappedBindings = this.getUnmappedProps(config).map(prop => `:${prop.name}="${prop.name}"`).join('\n    ')
+        const modelBindings = this.transformationEngine.generateModelPropBindings(config.model)
 
-        const unmappedBindings = unmappedProps.map(prop => `:${prop.name}="${prop.name}"`).join('\n    ')
+        const allBindings = [refBinding, passthroughBinding, mappedBindings, unmappedBindings, modelBindings].filter(Boolean)
 
-        const allBindings = [mappedBindings, unmappedBindings].filter(Boolean)
+        return allBindings.length > 0 ? '\n    ' + allBindings.join('\n    ') : ''
+    }
+
+    /**
+     * Find props that don't have explicit mappings; they are bound directly on the root.
+     * Mappings for other library versions still count, so their props are never leaked as raw bindings.
+     * Props consumed anywhere in a compound component's tree (mappings, slot fallbacks, `if` conditions) are mapped too.
+     * @param {Object} config - Component configuration
+     * @returns {Array} Unmapped props
+     */
+    getUnmappedProps(config) {
+        const nodes = this.getComponentNodes(config)
+        const propNames = (config.props || []).map(prop => prop.name)
+        const mappedSources = nodes.flatMap(node => (node.propMappings || []).flatMap(m => this.transformationEngine.getMappingSources(m)))
+        const slotFallbacks = nodes.flatMap(node => (node.slots || []).map(s => s.fallback).filter(Boolean))
+        const conditionReferences = nodes
+            .filter(node => node !== config && node.if)
+            .flatMap(node => new ExpressionCompiler(propNames).compile(String(node.if)).references)
 
-        return allBindings.length > 0 ? '   ' + allBindings.join('\n    ') : ''
+        return config.props
+            ? config.props.filter(prop => ![...mappedSources, ...slotFallbacks, ...conditionReferences].includes(prop.name))
+            : []
     }
 
     /**
@@ -120,14 +599,20 @@ export class ComponentGenerator {
     renderTemplate(data) {
         const template = this.getTemplate(this.templateType)
 
-        return template.replace(/\{\{componentName\}\}/g, data.componentName)
+        return template.replace(/\{\{elementContent\}\}/g, data.elementContent)
+            .replace(/\{\{componentName\}\}/g, data.componentName)
             .replace(/\{\{baseComponent\}\}/g, data.baseComponent)
             .replace(/\{\{importStatement\}\}/g, data.importStatement)
+            .replace(/\{\{componentsDefinition\}\}/g, data.componentsDefinition)
+            .replace(/\{\{inheritAttrs\}\}/g, data.inheritAttrs)
             .replace(/\{\{propsDefinition\}\}/g, data.propsDefinition)
             .replace(/\{\{templateProps\}\}/g, data.templateProps)
             .replace(/\{\{templateEvents\}\}/g, data.templateEvents)
             .replace(/\{\{computedProperties\}\}/g, data.computedProperties)
+            .replace(/\{\{methodsDefinition\}\}/g, data.methodsDefinition)
             .replace(/\{\{emitsArray\}\}/g, data.emitsArray)
+            .replace(/\{\{emitsDefinition\}\}/g, data.emitsDefinition)
+            .replace(/\{\{scriptLang\}\}/g, data.scriptLang)
             .replace(/\{\{slots\}\}/g, data.slots)
             .replace(/\{\{styles\}\}/g, data.styles)
     }
@@ -144,7 +629,12 @@ export class ComponentGenerator {
             return this.templateCache.get(cacheKey)
         }
 
-        const template = type === 'sfc' ? this.getSFCTemplate() : this.getJSXTemplate()
+        const templates = {
+            sfc: () => this.getSFCTemplate(),
+            setup: () => this.getSetupTemplate(),
+            jsx: () => this.getJSXTemplate()
+        }
+        const template = templates[type]()
         this.templateCache.set(cacheKey, template)
         return template
     }
@@ -156,19 +646,16 @@ export class ComponentGenerator {
     getSFCTemplate() {
         const lines = []
         lines.push('<template>')
-        lines.push('  <{{baseComponent}}{{templateProps}}{{templateEvents}}>')
-        lines.push('{{slots}}')
-        lines.push('  </{{baseComponent}}>')
+        lines.push('  <{{baseComponent}}{{templateProps}}{{templateEvents}}{{elementContent}}')
         lines.push('</template>')
         lines.push('')
         lines.push('<script>')
         lines.push('{{importStatement}}')
         lines.push('')
         lines.push('export default {')
-        lines.push('  name: \'{{componentName}}\',')
-        lines.push('  components: { {{baseComponent}} },')
+        lines.push('  name: \'{{componentName}}\',{{componentsDefinition}}{{inheritAttrs}}')
         lines.push('  {{propsDefinition}},')
-        lines.push('  emits: [{{emitsArray}}]{{computedProperties}}')
+        lines.push('  emits: [{{emitsArray}}]{{computedProperties}}{{methodsDefinition}}')
         lines.push('}')
         lines.push('</script>')
         lines.push('')
@@ -179,6 +666,33 @@ export class ComponentGenerator {
         return lines.join('\n')
     }
 
+    /**
+     * Returns <script setup> SFC Template String.
+     * @returns {String}
+     */
+    getSetupTemplate() {
+        const lines = []
+        lines.push('<template>')
+        lines.push('  <{{baseComponent}}{{templateProps}}{{templateEvents}}{{elementContent}}')
+        lines.push('</template>')
+        lines.push('')
+        lines.push('<script setup{{scriptLang}}>')
+        lines.push('{{importStatement}}')
+        lines.push('')
+        lines.push('defineOptions({ name: \'{{componentName}}\'{{inheritAttrs}} })')
+        lines.push('')
+        lines.push('{{propsDefinition}}')
+        lines.push('')
+        lines.push('{{emitsDefinition}}{{computedProperties}}{{methodsDefinition}}')
+        lines.push('</script>')
+        lines.push('')
+        lines.push('<style scoped>')
+        lines.push('{{styles}}')
+        lines.push('</style>')
+
+        return lines.join('\n')
+    }
+
     /**
      * Returns JSX Template String
      * @returns {String} 
@@ -188,15 +702,12 @@ export class ComponentGenerator {
         lines.push('{{importStatement}}')
         lines.push('')
         lines.push('export default {')
-        lines.push('  name: \'{{componentName}}\',')
+        lines.push('  name: \'{{componentName}}\',{{inheritAttrs}}')
         lines.push('  {{propsDefinition}},')
-        lines.push('  emits: [{{emitsArray}}]{{computedProperties}}')
-        lines.push('  setup(props, { emit, slots }) {')
+        lines.push('  emits: [{{emitsArray}}],')
+        lines.push('  setup(props, { emit, slots, attrs, expose }) {{{computedProperties}}')
         lines.push('    return () => (')
-        lines.push('      <{{baseComponent}}{{templateProps}}{{templateEvents}}>')
-        lines.push('        {slots.default?.()}')
-        lines.push('{{slots}}')
-        lines.push('      </{{baseComponent}}>')
+        lines.push('      <{{baseComponent}}{{templateProps}}{{templateEvents}}{{elementContent}}')
         lines.push('    )')
         lines.push('  }')
         lines.push('}')
@@ -210,7 +721,7 @@ export class ComponentGenerator {
      * @param {String} code
      */
     writeComponent(name, code) {
-        const extension = this.templateType === 'sfc' ? 'vue' : 'jsx'
+        const extension = this.templateType === 'jsx' ? 'jsx' : 'vue'
         const outputPath = path.join(this.outputDir, `${name}.${extension}`)
         ensureDirSync(path.dirname(outputPath))
         writeFileSync(outputPath, code)
@@ -232,13 +743,46 @@ export class ComponentGenerator {
     }
 
     /**
-     * Gets import statement from adapter with bundle mode support.
+     * Gets import statements of the root and child components.
      * @param {Object} config
      * @returns {String}
      */
     getImportStatement(config) {
+        return [this.getRootImportStatement(config), this.getChildImportStatements(config)].filter(Boolean).join('\n')
+    }
+
+    /**
+     * Gets import statements of a compound component's children, resolved by the adapter.
+     * Child baseComponents are library component names, imported like any registered component.
+     * @param {Object} config
+     * @returns {String}
+     */
+    getChildImportStatements(config) {
+        const rootComponent = this.getBaseComponent(config)
+        const components = this.getLibraryComponents(config).filter(component => component !== rootComponent)
+
+        if (components.length === 0) return ''
+
+        if (!this.libraryAdapter) {
+            console.log(chalk.yellow(`No adapter to import ${components.join(', ')}, using fallback import`))
+            return components.map(component => `// WARNING: Import for ${component} not found`).join('\n')
+        }
+        return this.libraryAdapter.getImportStatements(components)
+    }
+
+    /**
+     * Gets import statement from adapter with bundle mode support.
+     * @param {Object} config
+     * @returns {String}
+     */
+    getRootImportStatement(config) {
         const baseComponent = this.getBaseComponent(config)
 
+        // Plain HTML elements (button, input, dialog...) are intentional and need no import
+        if (LibraryAdapter.isNativeElement(baseComponent)) {
+            return ''
+        }
+
         if (this.bundleMode) {
             // In bundle mode, import directly from the library instead of internal path
             // This avoids the circular dependency issue
@@ -258,6 +802,18 @@ export class ComponentGenerator {
         return `// WARNING: Import for ${config.baseComponent} not found`
     }
 
+    /**
+     * Build components registration, skipped for plain HTML elements.
+     * @param {String[]} components - Library components of the tree (see getLibraryComponents)
+     * @returns {String}
+     */
+    buildComponentsDefinition(components) {
+        if (components.length === 0) {
+            return ''
+        }
+        return `\n  components: { ${components.join(', ')} },`
+    }
+
     /**
      * Build emits array string.
      * @param {Object[]} events
@@ -265,44 +821,100 @@ export class ComponentGenerator {
      */
     buildEmitsArray(events) {
         if (!events || !events.length) return ''
-        return events.map(event => `'${event.emit || event.name}'`).join(', ')
+        const emitNames = new Set(events.map(event => event.emit || event.name))
+        return Array.from(emitNames).map(name => `'${name}'`).join(', ')
     }
 
     /**
      * Build slots content with scoped slot support.
+     * A slot may declare a `fallback` prop rendered when the consumer provides no content,
+     * a `target` library slot name and scoped-prop renames (`props: { semantic: 'library' }`).
+     * Slots are only passed to the library when the consumer provides them, so the
+     * library keeps its own defaults (e.g. Vuetify's prepend-icon) otherwise.
      * @param {Object[]} slots
+     * @param {String} baseComponent - Library component or tag name
+     * @param {Boolean} forwardSlots - Forward every slot not declared in the config
      * @returns {String}
      */
-    buildSlots(slots) {
-        if (!slots || slots.length === 0) {
+    buildSlots(slots, baseComponent, forwardSlots = false) {
+        if ((!slots || slots.length === 0) && !forwardSlots) {
             return '    <slot />'
         }
 
-        const slotContent = slots.map(slot => {
-            if (slot.name === 'default') {
-                if (slot.props && slot.props.length > 0) {
-                    // Scoped default slot
-                    const slotProps = slot.props.map(p => `:${p}="${p}"`).join(' ')
-                    return `    <slot ${slotProps} />`
-                }
-                return '    <slot />'
-            } else {
-                if (slot.props && slot.props.length > 0) {
-                    // Named scoped slot
-                    const slotProps = slot.props.map(p => `:${p}="${p}"`).join(' ')
-                    return `    <template #${slot.name}>
-      <slot name="${slot.name}" ${slotProps} />
-    </template>`
-                } else {
-                    // Named slot without props
-                    return `    <template #${slot.name}>
-      <slot name="${slot.name}" />
+        // Native elements have no slots of their own, their content is rendered in place
+        if (LibraryAdapter.isNativeElement(baseComponent)) {
+            return (slots || [{ name: 'default' }]).map(slot => `    ${this.buildSlotOutlet(slot, [])}`).join('\n')
+        }
+
+        const slotContent = (slots || []).map(slot => {
+            const target = slot.target || slot.name
+            const scopeBindings = this.getSlotScopeBindings(slot)
+            const outlet = this.buildSlotOutlet(slot, scopeBindings)
+            const condition = slot.fallback ? '' : ` v-if="${this.getSlotAccessor('$slots', slot.name)}"`
+            const scope = scopeBindings.length > 0 ? '="scope"' : ''
+
+            return `    <template${condition} #${target}${scope}>
+      ${outlet}
     </template>`
-                }
-            }
-        }).join('\n')
+        })
+
+        if (forwardSlots) {
+            const declared = this.getDeclaredSlotNames(slots)
+            slotContent.push(`    <template v-for="slotName in Object.keys($slots).filter((name) => !${declared}.includes(name))" #[slotName]="scope">
+      <slot :name="slotName" v-bind="scope || {}" />
+    </template>`)
+        }
+
+        return slotContent.join('\n')
+    }
+
+    /**
+     * Build the <slot> outlet exposing a semantic slot to the consumer
+     * @param {Object} slot - Slot configuration
+     * @param {Array} scopeBindings - [semanticName, libraryName] pairs read from the library scope
+     * @returns {String}
+     */
+    buildSlotOutlet(slot, scopeBindings) {
+        const name = slot.name === 'default' ? '' : ` name="${slot.name}"`
+        const bindings = scopeBindings
+            .map(([semantic, library]) => ` :${semantic}="${this.getSlotAccessor('scope', library)}"`)
+            .join('')
+
+        return slot.fallback
+            ? `<slot${name}${bindings}>{{ ${slot.fallback} }}</slot>`
+            : `<slot${name}${bindings} />`
+    }
 
-        return slotContent
+    /**
+     * Get scoped-prop pairs of a slot. `props: ['item']` exposes library props unchanged,
+     * `props: { option: 'item' }` exposes the library's `item` as `option`.
+     * @param {Object} slot
+     * @returns {Array} [semanticName, libraryName] pairs
+     */
+    getSlotScopeBindings(slot) {
+        if (!slot.props) return []
+        if (Array.isArray(slot.props)) return slot.props.map(name => [name, name])
+        return Object.entries(slot.props)
+    }
+
+    /**
+     * Slot names excluded from forwarding: declared semantic names and their library targets
+     * @param {Object[]} slots
+     * @returns {String} Array literal
+     */
+    getDeclaredSlotNames(slots = []) {
+        const names = new Set((slots || []).flatMap(slot => [slot.name, slot.target || slot.name]))
+        return `[${Array.from(names).map(name => `'${name}'`).join(', ')}]`
+    }
+
+    /**
+     * Property access on a slots or scope object, bracketed for non-identifier names
+     * @param {String} object - e.g. `$slots`, `scope`
+     * @param {String} key
+     * @returns {String}
+     */
+    getSlotAccessor(object, key) {
+        return /^[A-Za-z_$][\w$]*$/.test(key) ? `${object}.${key}` : `${object}['${key}']`
     }
 
     /**
@@ -346,13 +958,13 @@ export class ComponentGenerator {
         const indexPath = outputPath || path.join(this.outputDir, 'index.js')
 
         const imports = components.map(comp =>
-            `import ${comp.name} from './${comp.name}.vue'`
+            `import ${comp.name} from './${path.basename(comp.path)}'`
         ).join('\n')
 
         const exports = components.map(comp => comp.name).join(', ')
 
         const namedExports = components.map(comp =>
-            `export { default as ${comp.name} } from './${comp.name}.vue'`
+            `export { default as ${comp.name} } from './${path.basename(comp.path)}'`
         ).join('\n')
 
         const indexContent = `${imports}
@@ -387,6 +999,12 @@ export const componentList = [${exports}]
             throw new Error('Component configuration must specify a baseComponent')
         }
 
+        this.getComponentNodes(config).forEach(node => {
+            if (!node.baseComponent) {
+                throw new Error(`Component '${config.name}' has a child without a baseComponent`)
+            }
+        })
+
         return true
     }
 
@@ -0,0 +1,98 @@
+/**
+ * Expression Compiler
+ * Parses config expressions (conditions, fallbacks) with Babel, verifies every
+ * identifier against the component's declared props and prints them back as
+ * template-safe JavaScript, or as script code (`props.x`) for render functions.
+ *
+ * File: src/core/components/ExpressionCompiler.js
+ */
+
+import { parse } from '@babel/parser'
+import _traverse from '@babel/traverse'
+import _generate from '@babel/generator'
+
+// @babel/traverse and @babel/generator are CommonJS modules with a default export
+const traverse = _traverse.default || _traverse
+const generate = _generate.default || _generate
+
+// Globals an expression may reference without declaring them as props
+const ALLOWED_GLOBALS = new Set([
+    'undefined', 'NaN', 'Infinity', 'Math', 'Number', 'String', 'Boolean', 'Array', 'Object', 'JSON', 'Date'
+])
+
+export class ExpressionCompiler {
+    /**
+     * @param {String[]} identifiers - Names the expression may reference (declared props)
+     * @param {Object} options
+     * @param {Object} options.rename - Replacement code per identifier, e.g. { label: 'props.label' }
+     * @param {Boolean} options.template - Escape double quotes for use inside a template attribute (default: true)
+     */
+    constructor(identifiers = [], options = {}) {
+        this.identifiers = new Set(identifiers)
+        this.rename = options.rename || {}
+        this.template = options.template !== false
+    }
+
+    /**
+     * Compile an expression into template-safe code
+     * @param {String} expression - Source expression, e.g. `iconPosition === "right" && icon`
+     * @returns {Object} { code, references, errors }
+     */
+    compile(expression) {
+        const errors = []
+        const references = new Set()
+        let ast
+
+        try {
+            ast = parse(`(${expression})`, { sourceType: 'module' })
+        } catch (error) {
+            return { code: null, references: [], errors: [`Invalid expression "${expression}": ${error.message}`] }
+        }
+
+        const statement = ast.program.body[0]
+        if (ast.program.body.length !== 1 || statement.type !== 'ExpressionStatement') {
+            return { code: null, references: [], errors: [`"${expression}" must be a single expression`] }
+        }
+
+        traverse(ast, {
+            ReferencedIdentifier: (path) => {
+                const name = path.node.name
+
+                if (path.scope.hasBinding(name) || ALLOWED_GLOBALS.has(name)) return
+
+                if (this.identifiers.has(name)) {
+                    references.add(name)
+                    if (Object.prototype.hasOwnProperty.call(this.rename, name)) {
+                        path.replaceWithSourceString(this.rename[name])
+                        path.skip()
+                    }
+                } else {
+                    errors.push(`Unknown identifier '${name}' in "${expression}"`)
+                }
+            },
+            ThisExpression: () => {
+                errors.push(`'this' is not allowed in "${expression}", reference props by name`)
+            },
+            'AssignmentExpression|UpdateExpression': () => {
+                errors.push(`Assignments are not allowed in "${expression}"`)
+            },
+            'StringLiteral|TemplateElement': (path) => {
+                // Drop the raw source so the generator re-quotes strings consistently
+                delete path.node.extra
+            }
+        })
+
+        const { code } = generate(statement.expression, {
+            comments: false,
+            concise: true,
+            jsescOption: { quotes: 'single', minimal: true }
+        })
+
+        return {
+            // Double quotes would terminate the surrounding template attribute
+            code: this.template ? code.replace(/"/g, '\\x22') : code,
+            references: Array.from(references),
+            errors
+        }
+    }
+}
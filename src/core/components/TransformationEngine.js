@@ -4,17 +4,47 @@
  * 
  * File: src/core/components/TransformationEngine.js
  */
+import semver from 'semver'
+import { ExpressionCompiler } from './ExpressionCompiler.js'
+
 export class TransformationEngine {
     constructor(libraryAdapter = null) {
         this.libraryAdapter = libraryAdapter
     }
 
+    /**
+     * Resolve the mappings that apply to the adapter's library version.
+     * Mappings may declare a semver range (`libraryVersion: '>=4'`) so the same
+     * config can target several major versions of a library.
+     * @param {Array} propMappings - Array of prop mapping configurations
+     * @returns {Array} Mappings applicable to the current library version
+     */
+    resolveMappings(propMappings) {
+        if (!propMappings) return []
+        return propMappings.filter(mapping => this.isVersionApplicable(mapping.libraryVersion))
+    }
+
+    /**
+     * Check if a semver range matches the adapter's library version
+     * @param {String} range - Semver range, e.g. '>=4' or '~3.5'
+     * @returns {Boolean}
+     */
+    isVersionApplicable(range) {
+        if (!range) return true
+
+        const version = semver.coerce(this.libraryAdapter?.version)
+        if (!version) return false
+
+        return semver.satisfies(version, range)
+    }
+
     /**
      * Generate static prop bindings for template (zero runtime overhead)
      * @param {Array} propMappings - Array of prop mapping configurations
+     * @param {Array} props - Declared component props, used to verify expressions
      * @returns {string} Static template prop bindings
      */
-    generateTemplatePropBindings(propMappings) {
+    generateTemplatePropBindings(propMappings, props = []) {
         if (!propMappings || propMappings.length === 0) {
             return ''
         }
@@ -22,7 +52,7 @@ export class TransformationEngine {
         const bindings = []
 
         for (const mapping of propMappings) {
-            const binding = this.generateSingleBinding(mapping)
+            const binding = this.generateSingleBinding(mapping, props)
             if (binding) {
                 bindings.push(binding)
             }
@@ -34,22 +64,36 @@ export class TransformationEngine {
     /**
      * Generate single prop binding based on type
      */
-    generateSingleBinding(mapping) {
+    generateSingleBinding(mapping, props = []) {
+        const expression = this.generateBindingExpression(mapping, props)
+        return expression === null ? null : `:${mapping.target}="${expression}"`
+    }
+
+    /**
+     * Generate the template expression bound to a mapping target
+     * @param {Object} mapping - Prop mapping
+     * @param {Array} props - Declared component props
+     * @returns {String|null} Template expression, or null when the mapping does not apply
+     */
+    generateBindingExpression(mapping, props = []) {
         switch (mapping.type) {
             case 'direct':
                 return this.generateDirectBinding(mapping)
 
             case 'conditional':
-                return this.generateConditionalBinding(mapping)
+                return this.generateConditionalBinding(mapping, props)
 
             case 'value':
                 return this.generateValueBinding(mapping)
 
+            case 'enum':
+                return this.generateEnumBinding(mapping)
+
             case 'computed':
                 return this.generateComputedBinding(mapping)
 
             case 'librarySpecific':
-                if (this.libraryAdapter && this.libraryAdapter.name === mapping.library) {
+                if (this.isCurrentLibrary(mapping.library)) {
                     return this.generateLibrarySpecificBinding(mapping)
                 }
                 return null
@@ -60,25 +104,43 @@ export class TransformationEngine {
         }
     }
 
+    /**
+     * Get every semantic prop a mapping consumes.
+     * Mappings declare either a single `source` or several `sources`.
+     * @param {Object} mapping
+     * @returns {String[]}
+     */
+    getMappingSources(mapping) {
+        if (Array.isArray(mapping.sources)) return mapping.sources
+        return mapping.source ? [mapping.source] : []
+    }
+
+    /**
+     * Check if a library name refers to the active adapter (case-insensitive)
+     */
+    isCurrentLibrary(library) {
+        return Boolean(this.libraryAdapter && library &&
+            this.libraryAdapter.name.toLowerCase() === library.toLowerCase())
+    }
+
     /**
      * Generate direct prop binding (zero overhead)
      */
     generateDirectBinding(mapping) {
-        return `:${mapping.target}="${mapping.source}"`
+        return mapping.source
     }
 
     /**
      * Generate conditional prop binding (resolved at template compile time)
      */
-    generateConditionalBinding(mapping) {
-        const condition = this.processCondition(mapping.condition, mapping.source)
-        const fallback = mapping.fallback || 'undefined'
-
-        // Properly escape quotes in template bindings
-        const escapedCondition = condition.replace(/"/g, "'")
-        const escapedFallback = fallback.replace(/"/g, "'")
-
-        return `:${mapping.target}="${escapedCondition} ? ${mapping.source} : ${escapedFallback}"`
+    generateConditionalBinding(mapping, props = []) {
+        const condition = this.processCondition(mapping.condition, props, mapping.target)
+        const fallback = this.compileExpression(mapping.fallback || 'undefined', props, mapping.target)
+        const value = mapping.value !== undefined
+            ? this.compileExpression(mapping.value, props, mapping.target)
+            : this.getMappingSources(mapping)[0]
+
+        return `${condition} ? ${value} : ${fallback}`
     }
 
     /**
@@ -86,45 +148,87 @@ export class TransformationEngine {
      */
     generateValueBinding(mapping) {
         // For value transformations, we need to create a computed property
-        const computedName = `computed${mapping.target.charAt(0).toUpperCase() + mapping.target.slice(1)}`
-        return `:${mapping.target}="${computedName}"`
+        return this.getComputedName(mapping.target)
+    }
+
+    /**
+     * Generate enum binding as an inline static lookup (no computed property)
+     */
+    generateEnumBinding(mapping) {
+        const entries = Object.entries(mapping.values || {})
+            .map(([key, value]) => `${this.toTemplateLiteral(key)}: ${this.toTemplateLiteral(value)}`)
+            .join(', ')
+        const lookup = `({ ${entries} })[${mapping.source}]`
+
+        if (Object.prototype.hasOwnProperty.call(mapping, 'default')) {
+            return `${lookup} ?? ${this.toTemplateLiteral(mapping.default)}`
+        }
+        return lookup
+    }
+
+    /**
+     * Format a static value as a JavaScript literal safe inside a double-quoted template attribute
+     */
+    toTemplateLiteral(value) {
+        if (value === undefined) return 'undefined'
+        if (typeof value !== 'string') return JSON.stringify(value).replace(/"/g, "'")
+
+        const escaped = value
+            .replace(/\\/g, '\\\\')
+            .replace(/'/g, "\\'")
+            .replace(/"/g, '\\x22')
+            .replace(/\n/g, '\\n')
+        return `'${escaped}'`
+    }
+
+    /**
+     * Get computed property name for a value mapping target.
+     * Kebab-case targets (aria-busy, data-size) are camelized into valid identifiers.
+     */
+    getComputedName(target) {
+        const camelTarget = target.replace(/[-:](\w)/g, (_, char) => char.toUpperCase())
+        return `computed${camelTarget.charAt(0).toUpperCase() + camelTarget.slice(1)}`
     }
 
     /**
      * Generate computed prop binding (static computed property reference)
      */
     generateComputedBinding(mapping) {
-        return `:${mapping.target}="${mapping.computedRef}"`
+        return mapping.computedRef
     }
 
     /**
      * Generate library-specific binding
      */
     generateLibrarySpecificBinding(mapping) {
-        return `:${mapping.target}="${mapping.transform}"`
+        return mapping.transform
     }
 
     /**
-     * Process condition strings to handle prop references correctly
+     * Compile condition to a template expression, verifying prop references
+     * @param {String} condition - Condition source, e.g. `iconPosition === "right"`
+     * @param {Array} props - Declared component props
+     * @param {String} target - Mapping target (for error messages)
+     * @returns {String} Template-safe expression
      */
-    processCondition(condition, sourceProp) {
+    processCondition(condition, props = [], target = '') {
         if (!condition) return 'true'
+        return this.compileExpression(condition, props, target)
+    }
 
-        // Replace standalone variable names with prop references, but preserve operators and literals
-        return condition.replace(/\b(\w+)\b/g, (match) => {
-            // Don't replace operators, booleans, or quoted strings
-            if (['===', '!==', '&&', '||', 'true', 'false', 'null', 'undefined'].includes(match)) {
-                return match
-            }
-
-            // Don't replace if already prefixed with props.
-            if (condition.includes(`props.${match}`)) {
-                return match
-            }
+    /**
+     * Compile an expression with the Babel-based ExpressionCompiler.
+     * Unknown identifiers and invalid syntax fail generation instead of the browser.
+     * @returns {String} Template-safe expression
+     */
+    compileExpression(expression, props = [], target = '') {
+        const compiler = new ExpressionCompiler(props.map(prop => prop.name))
+        const { code, errors } = compiler.compile(String(expression))
 
-            // Replace variable names that appear to be props
-            return match
-        })
+        if (errors.length > 0) {
+            throw new Error(`Mapping '${target}': ${errors.join('; ')}`)
+        }
+        return code
     }
 
     /**
@@ -168,17 +272,18 @@ export class TransformationEngine {
     /**
      * Generate static computed properties for script section (zero runtime overhead)
      * @param {Array} propMappings - Array of prop mapping configurations
+     * @param {String|Array|Object} passthrough - Passthrough policy, filtered attrs become a computed property
      * @returns {string} Static computed properties code
      */
-    generateComputedProperties(propMappings) {
-        if (!propMappings || propMappings.length === 0) {
-            return ''
-        }
-
-        const computedProps = propMappings.filter(mapping =>
+    generateComputedProperties(propMappings, passthrough) {
+        const computedProps = (propMappings || []).filter(mapping =>
             mapping.type === 'computed' || mapping.type === 'value'
         )
+        const passthroughFilter = this.generatePassthroughFilter(passthrough, 'this.$attrs')
 
+        if (passthroughFilter) {
+            computedProps.push({ type: 'passthrough' })
+        }
         if (computedProps.length === 0) {
             return ''
         }
@@ -188,14 +293,18 @@ export class TransformationEngine {
         lines.push('  computed: {')
 
         computedProps.forEach((mapping, index) => {
-            if (mapping.type === 'computed') {
+            if (mapping.type === 'passthrough') {
+                lines.push(`    ${this.getComputedName('passthroughAttrs')}() {`)
+                lines.push(`      return ${passthroughFilter}`)
+            } else if (mapping.type === 'computed') {
                 lines.push(`    ${mapping.computedRef}() {`)
                 lines.push(`      ${mapping.computation}`)
             } else if (mapping.type === 'value') {
-                const computedName = `computed${mapping.target.charAt(0).toUpperCase() + mapping.target.slice(1)}`
+                const computedName = this.getComputedName(mapping.target)
                 lines.push(`    ${computedName}() {`)
-                // Fix the value transformation syntax
-                lines.push(`      return (${mapping.transform})(this.${mapping.source})`)
+                // Value transforms receive every source prop, in declaration order
+                const args = this.getMappingSources(mapping).map(source => `this.${source}`).join(', ')
+                lines.push(`      return (${mapping.transform})(${args})`)
             }
 
             const isLast = index === computedProps.length - 1
@@ -206,23 +315,538 @@ export class TransformationEngine {
         return lines.join('\n')
     }
 
+    /**
+     * Generate the defineProps() call for <script setup> output.
+     * Props are declared at runtime with their defaults inline, since `withDefaults`
+     * only applies to type-based declarations.
+     * @param {Array} props - Component props configuration
+     * @returns {string} defineProps call
+     */
+    generateSetupPropsDefinition(props) {
+        if (!props || props.length === 0) {
+            return 'defineProps({})'
+        }
+
+        const entries = props.map(prop => {
+            const fields = [`    type: ${this.getVueType(prop.type)}`]
+
+            if (prop.default !== undefined) {
+                fields.push(`    default: ${this.formatDefaultValue(prop.default, prop.type)}`)
+            }
+            if (prop.required !== undefined) {
+                fields.push(`    required: ${prop.required}`)
+            }
+
+            return `  ${prop.name}: {\n${fields.join(',\n')}\n  }`
+        })
+
+        return `defineProps({\n${entries.join(',\n')}\n})`
+    }
+
+    /**
+     * Generate computed() declarations for <script setup> output.
+     * Same mappings as generateComputedProperties, reading props through `props.`
+     * and attrs through `attrs` (the setup context or useAttrs())
+     * @param {Array} propMappings - Array of prop mapping configurations
+     * @param {String|Array|Object} passthrough - Passthrough policy
+     * @returns {string} Computed declarations, one per line
+     */
+    generateSetupComputedProperties(propMappings, passthrough) {
+        const declarations = (propMappings || [])
+            .filter(mapping => mapping.type === 'computed' || mapping.type === 'value')
+            .map(mapping => {
+                if (mapping.type === 'computed') {
+                    const computation = mapping.computation.replace(/\bthis\./g, 'props.')
+                    return `const ${mapping.computedRef} = computed(() => {\n  ${computation}\n})`
+                }
+
+                const args = this.getMappingSources(mapping).map(source => `props.${source}`).join(', ')
+                return `const ${this.getComputedName(mapping.target)} = computed(() => (${mapping.transform})(${args}))`
+            })
+
+        const passthroughFilter = this.generatePassthroughFilter(passthrough, 'attrs')
+        if (passthroughFilter) {
+            declarations.push(`const ${this.getComputedName('passthroughAttrs')} = computed(() => ${passthroughFilter})`)
+        }
+
+        return declarations.join('\n')
+    }
+
+    /**
+     * Resolve the events that apply to the current adapter.
+     * `librarySpecific` entries only bind for their library, and any entry
+     * may be limited to a library version range with `libraryVersion`.
+     * @param {Array} events - Event configuration array
+     * @returns {Array} Applicable events
+     */
+    resolveEvents(events) {
+        if (!events) return []
+
+        return events.filter(event =>
+            (event.type !== 'librarySpecific' || this.isCurrentLibrary(event.library)) &&
+            this.isVersionApplicable(event.libraryVersion)
+        )
+    }
+
     /**
      * Generate static event bindings (zero overhead)
+     * Library events (`name`) are re-emitted as semantic events (`emit`), with the
+     * payload optionally narrowed by `extract` (a property path) and `transform` (a function).
      * @param {Array} events - Event configuration array
+     * @param {Array} props - Declared component props, used to verify transforms
      * @returns {string} Static event bindings
      */
-    generateEventBindings(events) {
-        if (!events || events.length === 0) {
+    generateEventBindings(events, props = []) {
+        const applicableEvents = this.resolveEvents(events)
+
+        if (applicableEvents.length === 0) {
             return ''
         }
 
-        const bindings = events.map(event =>
-            `@${event.name}="$emit('${event.emit || event.name}', $event)"`
+        const bindings = applicableEvents.map(event =>
+            `@${event.name}="$emit('${event.emit || event.name}', ${this.generateEventPayload(event, props)})"`
         )
 
         return '\n    ' + bindings.join('\n    ')
     }
 
+    /**
+     * Build the emitted payload expression for an event binding
+     * @param {Object} event - Event configuration
+     * @param {Array} props - Declared component props
+     * @returns {String} Payload expression based on $event
+     */
+    generateEventPayload(event, props = []) {
+        let payload = '$event'
+
+        if (event.extract) {
+            if (!/^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/.test(event.extract)) {
+                throw new Error(`Event '${event.name}': extract must be a property path like 'target.value'`)
+            }
+            payload = `$event.${event.extract}`
+        }
+
+        if (event.transform) {
+            const transform = this.compileExpression(event.transform, props, event.name)
+            payload = `(${transform})(${payload})`
+        }
+
+        return payload
+    }
+
+    /**
+     * Normalize the `model` config section into a list of v-model definitions.
+     * `name` is the consumer-facing model (`modelValue` for plain v-model, `open` for
+     * v-model:open), `target`/`event` are the library prop and event it binds to.
+     * @param {Object|Array} model - Model configuration
+     * @returns {Array} Normalized models
+     */
+    normalizeModels(model) {
+        if (!model) return []
+
+        return (Array.isArray(model) ? model : [model]).map(entry => {
+            const name = entry.name || 'modelValue'
+            const target = entry.target || name
+
+            return {
+                ...entry,
+                name,
+                target,
+                event: entry.event || `update:${target}`,
+                emit: `update:${name}`
+            }
+        })
+    }
+
+    /**
+     * Get prop definitions generated for v-model support
+     * @param {Object|Array} model - Model configuration
+     * @returns {Array} Prop definitions in component config format
+     */
+    getModelProps(model) {
+        return this.normalizeModels(model).map(entry => {
+            const prop = { name: entry.name, type: entry.type || 'string', required: entry.required || false }
+            if (entry.default !== undefined) {
+                prop.default = entry.default
+            }
+            return prop
+        })
+    }
+
+    /**
+     * Generate library prop bindings for v-model props
+     * @param {Object|Array} model - Model configuration
+     * @returns {string} Template prop bindings
+     */
+    generateModelPropBindings(model) {
+        return this.normalizeModels(model)
+            .map(entry => `:${entry.target}="${entry.name}"`)
+            .join('\n    ')
+    }
+
+    /**
+     * Generate library event bindings re-emitted as update:<model> events
+     * @param {Object|Array} model - Model configuration
+     * @param {Array} props - Declared component props, used to verify transforms
+     * @returns {string} Template event bindings
+     */
+    generateModelEventBindings(model, props = []) {
+        const models = this.normalizeModels(model)
+
+        if (models.length === 0) {
+            return ''
+        }
+
+        const bindings = models.map(entry =>
+            `@${entry.event}="$emit('${entry.emit}', ${this.generateEventPayload(entry, props)})"`
+        )
+
+        return '\n    ' + bindings.join('\n    ')
+    }
+
+    /**
+     * Resolve the methods exposed for the current adapter.
+     * Each entry maps a semantic method `name` to a `target` path on the library
+     * component instance (`validate`, `$el.focus`); like events, entries may be
+     * `librarySpecific` or limited to a `libraryVersion` range.
+     * @param {Array} methods - Method configuration array
+     * @returns {Array} Applicable methods with `target` resolved
+     */
+    resolveMethods(methods) {
+        if (!methods) return []
+
+        return methods
+            .filter(method =>
+                (method.type !== 'librarySpecific' || this.isCurrentLibrary(method.library)) &&
+                this.isVersionApplicable(method.libraryVersion)
+            )
+            .map(method => ({ ...method, target: method.target || method.name }))
+    }
+
+    /**
+     * Generate the call forwarding a semantic method to the library instance
+     * @param {Object} method - Resolved method
+     * @param {String} instanceRef - Expression of the library instance, e.g. `this.$refs.baseRef`
+     * @returns {String} e.g. `this.$refs.baseRef?.validate(...args)`
+     */
+    generateMethodCall(method, instanceRef) {
+        if (!/^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/.test(method.target)) {
+            throw new Error(`Method '${method.name}': target must be a property path like 'validate' or '$el.focus'`)
+        }
+        return `${instanceRef}?.${method.target.split('.').join('?.')}(...args)`
+    }
+
+    /**
+     * Generate Options API `expose` and `methods` proxying to the library component ref
+     * @param {Array} methods - Method configuration array
+     * @returns {string} Options code (empty when no methods apply)
+     */
+    generateMethodsDefinition(methods) {
+        const resolved = this.resolveMethods(methods)
+        if (resolved.length === 0) return ''
+
+        const lines = []
+        lines.push(',')
+        lines.push(`  expose: [${resolved.map(method => `'${method.name}'`).join(', ')}],`)
+        lines.push('  methods: {')
+        resolved.forEach((method, index) => {
+            const isLast = index === resolved.length - 1
+            lines.push(`    ${method.name}(...args) {`)
+            lines.push(`      return ${this.generateMethodCall(method, 'this.$refs.baseRef')}`)
+            lines.push(`    }${isLast ? '' : ','}`)
+        })
+        lines.push('  }')
+
+        return lines.join('\n')
+    }
+
+    /**
+     * Generate the exposed method proxies for <script setup> (`defineExpose`) or render functions (`expose`)
+     * @param {Array} methods - Method configuration array
+     * @param {String} exposeFn - `defineExpose` or `expose`
+     * @param {Boolean} typescript - Annotate the proxy arguments
+     * @returns {string} Expose call (empty when no methods apply)
+     */
+    generateExposeDefinition(methods, exposeFn = 'defineExpose', typescript = false) {
+        const resolved = this.resolveMethods(methods)
+        if (resolved.length === 0) return ''
+
+        const args = typescript ? '...args: any[]' : '...args'
+        const members = resolved.map(method =>
+            `  ${method.name}: (${args}) => ${this.generateMethodCall(method, 'baseRef.value')}`
+        )
+
+        return `${exposeFn}({\n${members.join(',\n')}\n})`
+    }
+
+    /**
+     * Normalize the `passthrough` policy of a component config.
+     * `all` forwards every attribute and listener, `none` only class and style,
+     * `{ allow: [...] }` (or a plain array) and `{ deny: [...] }` filter by name.
+     * Without a policy Vue's default attribute fallthrough applies.
+     * @param {String|Array|Object} passthrough
+     * @returns {Object|null} { mode: 'all' | 'allow' | 'deny', names } or null
+     */
+    resolvePassthrough(passthrough) {
+        if (passthrough === undefined || passthrough === null) return null
+
+        if (passthrough === 'all') return { mode: 'all', names: [] }
+        if (passthrough === 'none') return { mode: 'allow', names: [] }
+        if (Array.isArray(passthrough)) return { mode: 'allow', names: passthrough }
+        if (Array.isArray(passthrough.allow)) return { mode: 'allow', names: passthrough.allow }
+        if (Array.isArray(passthrough.deny)) return { mode: 'deny', names: passthrough.deny }
+
+        throw new Error(`Invalid passthrough policy: ${JSON.stringify(passthrough)}`)
+    }
+
+    /**
+     * Get what the library component binds with v-bind to receive forwarded attrs:
+     * the attrs object itself for `all`, otherwise the computed property filtering it
+     * @param {String|Array|Object} passthrough - Passthrough policy
+     * @param {String} attrsRef - Attrs object (`$attrs` in templates, `attrs` in render functions)
+     * @returns {String|null} Binding, or null to keep Vue's default fallthrough
+     */
+    getPassthroughBinding(passthrough, attrsRef = '$attrs') {
+        const policy = this.resolvePassthrough(passthrough)
+        if (!policy) return null
+
+        return policy.mode === 'all' ? attrsRef : this.getComputedName('passthroughAttrs')
+    }
+
+    /**
+     * Generate the expression filtering attrs by the passthrough policy.
+     * It is declared once as a computed property rather than inlined in the template.
+     * @param {String|Array|Object} passthrough - Passthrough policy
+     * @param {String} attrsRef - Attrs object (`this.$attrs` in Options API, `attrs` in setup)
+     * @returns {String|null} Expression, or null when attrs are not filtered
+     */
+    generatePassthroughFilter(passthrough, attrsRef) {
+        const policy = this.resolvePassthrough(passthrough)
+        if (!policy || policy.mode === 'all') return null
+
+        // Consumers may write attributes in either case, so match both spellings
+        const names = new Set(policy.mode === 'allow' ? ['class', 'style'] : [])
+        policy.names.forEach(name => {
+            names.add(name)
+            names.add(name.replace(/-(\w)/g, (_, char) => char.toUpperCase()))
+            names.add(name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase())
+        })
+
+        const list = `[${Array.from(names).map(name => this.toTemplateLiteral(name)).join(', ')}]`
+
+        if (policy.mode === 'deny') {
+            return `Object.fromEntries(Object.entries(${attrsRef}).filter(([key]) => !${list}.includes(key)))`
+        }
+        // Reading every allowed name (rather than enumerating attrs) keeps the computed
+        // subscribed to attrs changes even while none of them are set
+        return `Object.fromEntries(${list}.filter(key => ${attrsRef}[key] !== undefined).map(key => [key, ${attrsRef}[key]]))`
+    }
+
+    /**
+     * Generate JSX attributes for render-function output.
+     * Bindings are built as template expressions and rewritten to script scope.
+     * @param {Array} propMappings - Mappings applicable to the library version
+     * @param {Array} props - Declared component props (including model props)
+     * @param {Array} unmappedProps - Props passed through unchanged
+     * @returns {String[]} JSX attributes, e.g. `color={props.color}`
+     */
+    generateJSXPropBindings(propMappings = [], props = [], unmappedProps = []) {
+        const bindings = []
+
+        propMappings.forEach(mapping => {
+            const expression = this.generateBindingExpression(mapping, props)
+            if (expression !== null) {
+                bindings.push(`${mapping.target}={${this.toScriptExpression(expression, props, propMappings, mapping.target)}}`)
+            }
+        })
+
+        unmappedProps.forEach(prop => bindings.push(`${prop.name}={props.${prop.name}}`))
+
+        return bindings
+    }
+
+    /**
+     * Generate JSX event listeners that re-emit library events
+     * @param {Array} events - Event configuration array
+     * @param {Object|Array} model - Model configuration
+     * @param {Array} props - Declared component props (including model props)
+     * @returns {String[]} JSX attributes, e.g. `onClick={(event) => emit('click', event)}`
+     */
+    generateJSXEventBindings(events, model, props = []) {
+        const listeners = [
+            ...this.resolveEvents(events).map(event => ({ event, emit: event.emit || event.name })),
+            ...this.normalizeModels(model).map(entry => ({ event: { ...entry, name: entry.event }, emit: entry.emit }))
+        ]
+
+        return listeners.map(({ event, emit }) => {
+            const payload = this.toScriptExpression(
+                this.generateEventPayload(event, props), props, [], event.name, { $event: 'event' }
+            )
+            return `${this.getEventHandlerName(event.name)}={(event) => emit('${emit}', ${payload})}`
+        })
+    }
+
+    /**
+     * Generate JSX attributes binding v-model props to the library component
+     * @param {Object|Array} model - Model configuration
+     * @returns {String[]} JSX attributes
+     */
+    generateJSXModelBindings(model) {
+        return this.normalizeModels(model).map(entry => `${entry.target}={props.${entry.name}}`)
+    }
+
+    /**
+     * Get the JSX listener prop for an event, following Vue's `on` + capitalized name convention
+     * @param {String} eventName - e.g. `click`, `update:visible`
+     * @returns {String} e.g. `onClick`, `onUpdate:visible`
+     */
+    getEventHandlerName(eventName) {
+        return `on${eventName.charAt(0).toUpperCase()}${eventName.slice(1)}`
+    }
+
+    /**
+     * Rewrite a template expression to render-function scope:
+     * props are read through `props`, computed mappings through `.value`
+     * @param {String} expression - Template expression
+     * @param {Array} props - Declared component props
+     * @param {Array} propMappings - Mappings whose computed refs may be referenced
+     * @param {String} target - Mapping target or event (for error messages)
+     * @param {Object} locals - Extra identifier replacements, e.g. { $event: 'event' }
+     * @returns {String} Script expression
+     */
+    toScriptExpression(expression, props = [], propMappings = [], target = '', locals = {}) {
+        const rename = { ...locals }
+
+        props.forEach(prop => { rename[prop.name] = `props.${prop.name}` })
+        propMappings.forEach(mapping => {
+            if (mapping.type === 'value') {
+                rename[this.getComputedName(mapping.target)] = `${this.getComputedName(mapping.target)}.value`
+            } else if (mapping.type === 'computed') {
+                rename[mapping.computedRef] = `${mapping.computedRef}.value`
+            }
+        })
+
+        const compiler = new ExpressionCompiler(Object.keys(rename), { rename, template: false })
+        const { code, errors } = compiler.compile(expression)
+
+        if (errors.length > 0) {
+            throw new Error(`Mapping '${target}': ${errors.join('; ')}`)
+        }
+        return code
+    }
+
+    /**
+     * Convert a config prop type to a TypeScript type.
+     * `options` arrays become string-literal unions so typos are caught by the type checker.
+     * @param {String} jsType - Config type (string, number, boolean, array, object, function)
+     * @param {Array} options - Allowed values
+     * @returns {String} TypeScript type
+     */
+    getTypeScriptType(jsType, options) {
+        if (Array.isArray(options) && options.length > 0) {
+            return options.map(option => typeof option === 'string' ? this.toStringLiteral(option) : String(option)).join(' | ')
+        }
+
+        const typeMap = {
+            'string': 'string',
+            'number': 'number',
+            'boolean': 'boolean',
+            'array': 'unknown[]',
+            'object': 'Record<string, unknown>',
+            'function': '(...args: any[]) => any'
+        }
+        return typeMap[jsType] || 'string'
+    }
+
+    /**
+     * Generate the members of a TypeScript props interface
+     * @param {Array} props - Component props (including model props)
+     * @returns {String[]} Interface members, e.g. `color?: 'primary' | 'secondary'`
+     */
+    generatePropsInterface(props) {
+        if (!props) return []
+
+        return props.map(prop =>
+            `${prop.name}${prop.required ? '' : '?'}: ${this.getTypeScriptType(prop.type, prop.options)}`
+        )
+    }
+
+    /**
+     * Get emitted events with their payload types.
+     * Payloads narrowed by `extract` or `transform` cannot be inferred and are typed `any`.
+     * @param {Array} events - Event configuration array
+     * @param {Object|Array} model - Model configuration
+     * @returns {Array} Array of { name, payloadName, payloadType }
+     */
+    getEmitSignatures(events, model) {
+        const signatures = new Map()
+
+        this.resolveEvents(events).forEach(event => {
+            const name = event.emit || event.name
+            const narrowed = Boolean(event.extract || event.transform)
+
+            signatures.set(name, {
+                name,
+                payloadName: narrowed ? 'payload' : 'event',
+                payloadType: narrowed ? 'any' : (event.payload || 'any')
+            })
+        })
+
+        this.normalizeModels(model).forEach(entry => {
+            signatures.set(entry.emit, {
+                name: entry.emit,
+                payloadName: 'value',
+                payloadType: this.getTypeScriptType(entry.type || 'string', entry.options)
+            })
+        })
+
+        return Array.from(signatures.values())
+    }
+
+    /**
+     * Generate the Props interface declaration for <script setup lang="ts"> output
+     * @param {Array} props - Component props (including model props)
+     * @returns {string} Interface declaration
+     */
+    generatePropsInterfaceDeclaration(props) {
+        const members = this.generatePropsInterface(props).map(member => `  ${member}`)
+        return members.length > 0 ? `interface Props {\n${members.join('\n')}\n}` : 'interface Props {}'
+    }
+
+    /**
+     * Generate typed withDefaults(defineProps<Props>()) for <script setup lang="ts"> output
+     * @param {Array} props - Component props (including model props)
+     * @returns {string} defineProps call
+     */
+    generateTypedPropsDefinition(props) {
+        const defaults = (props || [])
+            .filter(prop => prop.default !== undefined)
+            .map(prop => `  ${prop.name}: ${this.formatDefaultValue(prop.default, prop.type)}`)
+
+        return defaults.length > 0
+            ? `withDefaults(defineProps<Props>(), {\n${defaults.join(',\n')}\n})`
+            : 'defineProps<Props>()'
+    }
+
+    /**
+     * Generate typed defineEmits<{...}>() for <script setup lang="ts"> output
+     * @param {Array} events - Event configuration array
+     * @param {Object|Array} model - Model configuration
+     * @returns {string} defineEmits call
+     */
+    generateTypedEmitsDefinition(events, model) {
+        const signatures = this.getEmitSignatures(events, model)
+        if (signatures.length === 0) {
+            return 'defineEmits()'
+        }
+
+        const members = signatures.map(({ name, payloadName, payloadType }) =>
+            `  ${/^[A-Za-z_$][\w$]*$/.test(name) ? name : `'${name}'`}: [${payloadName}: ${payloadType}]`
+        )
+
+        return `defineEmits<{\n${members.join('\n')}\n}>()`
+    }
+
     /**
      * Convert JavaScript type to Vue prop type
      */
@@ -242,15 +866,32 @@ export class TransformationEngine {
      * Format default value based on type
      */
     formatDefaultValue(value, type) {
+        if (value === null) {
+            return 'null'
+        }
         if (type === 'string') {
-            return `'${value}'`
+            return this.toStringLiteral(value)
         }
         if (type === 'array' || type === 'object') {
-            return `() => (${JSON.stringify(value)})`
+            return `() => (${JSON.stringify(value).replace(/<\//g, '<\\/')})`
         }
         return value
     }
 
+    /**
+     * Single-quoted JavaScript string literal. `</` is escaped as well, so the
+     * value cannot close the <script> block of the generated SFC.
+     * @param {*} value
+     * @returns {String}
+     */
+    toStringLiteral(value) {
+        const escaped = JSON.stringify(String(value)).slice(1, -1)
+            .replace(/\\"/g, '"')
+            .replace(/'/g, "\\'")
+            .replace(/<\//g, '<\\/')
+        return `'${escaped}'`
+    }
+
     /**
      * Validate transformation maintains zero-overhead principle
      */
@@ -266,6 +907,10 @@ export class TransformationEngine {
             errors.push(`Value mapping '${mapping.target}' missing transform function`)
         }
 
+        if (mapping.type === 'enum' && (!mapping.values || typeof mapping.values !== 'object')) {
+            errors.push(`Enum mapping '${mapping.target}' missing values lookup table`)
+        }
+
         // Ensure conditional mappings are template-resolvable
         if (mapping.type === 'conditional' && mapping.condition && mapping.condition.includes('function')) {
             errors.push(`Conditional mapping '${mapping.target}' contains function - must be template expression`)
@@ -297,7 +942,7 @@ export class TransformationEngine {
                 }
             },
             value: {
-                description: 'Transform prop value using function (generates computed property)',
+                description: 'Transform prop value using function (generates computed property). Use `sources: [...]` to combine several props',
                 example: {
                     type: 'value',
                     source: 'rounded',
@@ -305,6 +950,16 @@ export class TransformationEngine {
                     transform: '(val) => val ? "xl" : false'
                 }
             },
+            enum: {
+                description: 'Static value lookup table compiled inline into the template',
+                example: {
+                    type: 'enum',
+                    source: 'color',
+                    target: 'color',
+                    values: { primary: 'primary', danger: 'error' },
+                    default: 'primary'
+                }
+            },
             computed: {
                 description: 'Static computed property reference',
                 example: {
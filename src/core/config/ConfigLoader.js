@@ -0,0 +1,283 @@
+/**
+ * Component Configuration Loader
+ * Loads component configs (.js or .json) and resolves `extends`, so every library
+ * overlay is merged onto the shared semantic definition before validation.
+ *
+ * A semantic config (src/configs/semantic/*.config.js) owns the public API: name,
+ * category, description, props, events, model, slots and methods. A library overlay
+ * declares `extends: 'button'` (or a relative path) and only adds library details:
+ *   - baseComponent, propMappings, passthrough, forwardSlots, children, styles, performance
+ *   - library fields of existing entries: event `name`/`extract`/`transform` (matched by `emit`),
+ *     model `target`/`event`/`extract`/`transform`, slot `target`/`props`/`fallback`/`unsupported` and
+ *     method `target` (matched by `name`)
+ * Overlays cannot add props or redefine semantic fields, so libraries cannot drift apart.
+ * Compound components place a semantic slot on the child that renders it by declaring
+ * it in that child's `slots`; it then leaves the root.
+ * Only `librarySpecific` events and methods may be added by an overlay.
+ *
+ * File: src/core/config/ConfigLoader.js
+ */
+
+import { readFileSync } from 'fs'
+import { pathToFileURL } from 'url'
+import path from 'path'
+
+export const SEMANTIC_CONFIG_DIR = 'src/configs/semantic'
+
+// Top-level fields owned by the semantic config
+const SEMANTIC_FIELDS = ['name', 'category', 'description', 'props']
+
+// Entry sections merged by key; `semantic` fields may not be redefined by overlays
+const ENTRY_SECTIONS = {
+    events: { key: event => event.emit || event.name, semantic: ['emit', 'payload'] },
+    slots: { key: slot => slot.name, semantic: ['description'] },
+    methods: { key: method => method.name, semantic: [] }
+}
+
+const MODEL_SEMANTIC_FIELDS = ['type', 'default', 'required']
+
+export class ConfigLoader {
+    /**
+     * @param {Object} options
+     * @param {String} options.semanticDir - Directory of shared semantic configs (default: src/configs/semantic)
+     */
+    constructor(options = {}) {
+        this.semanticDir = path.resolve(options.semanticDir || SEMANTIC_CONFIG_DIR)
+    }
+
+    /**
+     * Load a component config, merged onto its semantic definition when it declares `extends`
+     * @param {String} configPath - Path to a .js or .json config
+     * @returns {Promise<Object>} Merged configuration
+     */
+    async load(configPath) {
+        const config = await this.readConfigFile(configPath)
+
+        if (!config.extends) {
+            return config
+        }
+
+        const basePath = this.resolveExtends(config.extends, configPath)
+        const base = await this.readConfigFile(basePath)
+
+        if (base.extends) {
+            throw new Error(`${path.basename(basePath)}: semantic configs cannot extend other configs`)
+        }
+
+        return this.merge(base, config, `${path.basename(configPath)} (extends ${path.basename(basePath)})`)
+    }
+
+    /**
+     * Import a config module or parse a JSON config
+     * @param {String} configPath
+     * @returns {Promise<Object>}
+     */
+    async readConfigFile(configPath) {
+        const ext = path.extname(configPath)
+
+        if (ext === '.js') {
+            const module = await import(pathToFileURL(path.resolve(configPath)).href)
+            return module.default || module
+        } else if (ext === '.json') {
+            return JSON.parse(readFileSync(configPath, 'utf8'))
+        } else {
+            throw new Error(`Unsupported config format: ${ext}. Use .js or .json`)
+        }
+    }
+
+    /**
+     * Resolve an `extends` reference: a path relative to the overlay, or the
+     * name of a semantic config (`'button'` → src/configs/semantic/button.config.js)
+     * @param {String} reference
+     * @param {String} configPath - Overlay path
+     * @returns {String} Absolute path of the semantic config
+     */
+    resolveExtends(reference, configPath) {
+        if (typeof reference !== 'string' || !reference) {
+            throw new Error(`${path.basename(configPath)}: extends must be a semantic config name or a relative path`)
+        }
+        if (reference.startsWith('.') || path.isAbsolute(reference)) {
+            return path.resolve(path.dirname(configPath), reference)
+        }
+        return path.join(this.semanticDir, `${reference}.config.js`)
+    }
+
+    /**
+     * Merge a library overlay onto a semantic config
+     * @param {Object} base - Semantic config
+     * @param {Object} overlay - Library overlay
+     * @param {String} label - Used in error messages
+     * @returns {Object} Merged configuration, without `extends`
+     */
+    merge(base, overlay, label = overlay.name || 'config') {
+        const { extends: _extends, ...overrides } = overlay
+        const errors = []
+
+        SEMANTIC_FIELDS.forEach(field => {
+            if (overrides[field] !== undefined && JSON.stringify(overrides[field]) !== JSON.stringify(base[field])) {
+                errors.push(`${field} is defined by the semantic config`)
+            }
+        })
+
+        const merged = { ...base, ...overrides }
+
+        Object.entries(ENTRY_SECTIONS).forEach(([section, { key, semantic }]) => {
+            merged[section] = this.mergeEntries(section, base[section], overrides[section], key, semantic, errors)
+        })
+        merged.model = this.mergeModel(base.model, overrides.model, errors)
+
+        if (Array.isArray(overrides.children)) {
+            merged.children = this.placeChildSlots(merged, overrides, errors)
+        }
+
+        if (merged.model === undefined) delete merged.model
+        Object.keys(ENTRY_SECTIONS).forEach(section => {
+            if (merged[section] === undefined) delete merged[section]
+        })
+
+        if (errors.length > 0) {
+            throw new Error(`${label}: ${errors.join('; ')}`)
+        }
+        return merged
+    }
+
+    /**
+     * Merge overlay entries into semantic entries with the same key
+     * @param {String} section - e.g. 'events'
+     * @param {Array} baseEntries
+     * @param {Array} overlayEntries
+     * @param {Function} keyOf - Entry key
+     * @param {String[]} semanticFields - Fields the overlay may not redefine
+     * @param {String[]} errors - Collected merge errors
+     * @returns {Array|undefined}
+     */
+    mergeEntries(section, baseEntries, overlayEntries, keyOf, semanticFields, errors) {
+        const merged = baseEntries ? baseEntries.map(entry => ({ ...entry })) : undefined
+
+        if (overlayEntries === undefined) return merged
+        if (!Array.isArray(overlayEntries)) {
+            errors.push(`${section} must be an array`)
+            return merged
+        }
+
+        const entries = merged || []
+
+        overlayEntries.forEach(entry => {
+            // Library-only entries are added as they are
+            if (entry.type === 'librarySpecific') {
+                entries.push({ ...entry })
+                return
+            }
+
+            const entryKey = keyOf(entry)
+            const index = entries.findIndex(baseEntry => keyOf(baseEntry) === entryKey)
+
+            if (index === -1) {
+                errors.push(`${section} '${entryKey}' is not declared by the semantic config`)
+                return
+            }
+
+            semanticFields.forEach(field => {
+                if (entry[field] !== undefined && entry[field] !== entries[index][field]) {
+                    errors.push(`${section} '${entryKey}': ${field} is defined by the semantic config`)
+                }
+            })
+            entries[index] = { ...entries[index], ...entry }
+        })
+
+        return entries
+    }
+
+    /**
+     * Place semantic slots on the overlay children that declare them. Each placed slot
+     * takes its semantic fields from the semantic config and is removed from the root.
+     * @param {Object} merged - Merged config, whose root slots are updated
+     * @param {Object} overlay - Library overlay
+     * @param {String[]} errors - Collected merge errors
+     * @returns {Array} Overlay children with merged slots
+     */
+    placeChildSlots(merged, overlay, errors) {
+        const { key, semantic } = ENTRY_SECTIONS.slots
+        const rootSlots = merged.slots || []
+        const rootOverlayNames = new Set((Array.isArray(overlay.slots) ? overlay.slots : []).map(key))
+        const placed = new Set()
+
+        const place = child => {
+            if (!child || typeof child !== 'object') return child
+
+            const copy = { ...child }
+            if (Array.isArray(child.slots)) {
+                copy.slots = child.slots.map(slot => {
+                    const slotKey = key(slot)
+                    const base = rootSlots.find(entry => key(entry) === slotKey)
+
+                    if (!base) {
+                        errors.push(`slots '${slotKey}' is not declared by the semantic config`)
+                        return slot
+                    }
+                    if (placed.has(slotKey) || rootOverlayNames.has(slotKey)) {
+                        errors.push(`slots '${slotKey}' is placed on more than one node`)
+                    }
+                    placed.add(slotKey)
+
+                    semantic.forEach(field => {
+                        if (slot[field] !== undefined && slot[field] !== base[field]) {
+                            errors.push(`slots '${slotKey}': ${field} is defined by the semantic config`)
+                        }
+                    })
+                    return { ...base, ...slot }
+                })
+            }
+            if (Array.isArray(child.children)) {
+                copy.children = child.children.map(place)
+            }
+            return copy
+        }
+
+        const children = overlay.children.map(place)
+        if (merged.slots) {
+            merged.slots = merged.slots.filter(slot => !placed.has(key(slot)))
+        }
+        return children
+    }
+
+    /**
+     * Merge overlay v-model bindings (target, event, extract, transform) into semantic models.
+     * An overlay object without a name applies to the semantic config's single model.
+     * @param {Object|Array} baseModel
+     * @param {Object|Array} overlayModel
+     * @param {String[]} errors - Collected merge errors
+     * @returns {Object|Array|undefined}
+     */
+    mergeModel(baseModel, overlayModel, errors) {
+        if (overlayModel === undefined) return baseModel
+        if (baseModel === undefined) {
+            errors.push('model is not declared by the semantic config')
+            return overlayModel
+        }
+
+        const baseModels = Array.isArray(baseModel) ? baseModel : [baseModel]
+        const overlayModels = Array.isArray(overlayModel) ? overlayModel : [overlayModel]
+        const nameOf = model => model.name || 'modelValue'
+
+        const merged = baseModels.map(model => {
+            const overlays = overlayModels.filter(entry =>
+                nameOf(entry) === nameOf(model) || (!entry.name && !Array.isArray(overlayModel) && baseModels.length === 1)
+            )
+            return overlays.reduce((result, entry) => {
+                MODEL_SEMANTIC_FIELDS.forEach(field => {
+                    if (entry[field] !== undefined && entry[field] !== model[field]) {
+                        errors.push(`model '${nameOf(model)}': ${field} is defined by the semantic config`)
+                    }
+                })
+                return { ...result, ...entry }
+            }, { ...model })
+        })
+
+        overlayModels
+            .filter(entry => entry.name && !baseModels.some(model => nameOf(model) === entry.name))
+            .forEach(entry => errors.push(`model '${entry.name}' is not declared by the semantic config`))
+
+        return Array.isArray(baseModel) ? merged : merged[0]
+    }
+}
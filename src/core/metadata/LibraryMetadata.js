@@ -0,0 +1,284 @@
+/**
+ * Library Component Metadata
+ * Reads the web-types JSON a UI library ships (package.json `web-types`) and
+ * normalizes each component's props, events, slots and v-model into the
+ * shapes used by component configs.
+ *
+ * Normalized component:
+ *   {
+ *       name: 'VBtn',
+ *       description: '...',
+ *       props: [{ name: 'size', type: 'string', types: ['string', 'number'], default: 'default', options: [...], rawType: '...' }],
+ *       events: [{ name: 'click', payload: 'MouseEvent' }],
+ *       slots: [{ name: 'prepend' }],
+ *       model: { prop: 'modelValue', event: 'update:modelValue' } | null
+ *   }
+ *
+ * File: src/core/metadata/LibraryMetadata.js
+ */
+
+import { readFileSync, existsSync } from 'fs'
+import path from 'path'
+import { LibraryAdapter } from '../adapters/LibraryAdapter.js'
+
+// Component config prop types, in the order used to pick one from a union
+export const PROP_TYPES = ['string', 'number', 'boolean', 'array', 'object', 'function']
+
+export class LibraryMetadata {
+    /**
+     * @param {String} packageName - npm package of the library, e.g. 'vuetify'
+     * @param {Object} options
+     * @param {String} options.cwd - Directory node_modules is resolved from
+     */
+    constructor(packageName, options = {}) {
+        this.packageName = packageName
+        this.cwd = options.cwd || process.cwd()
+        this.components = null
+        this.version = null
+    }
+
+    /**
+     * Check if the library ships web-types metadata
+     * @returns {Boolean}
+     */
+    isAvailable() {
+        return this.load().size > 0
+    }
+
+    /**
+     * Get the normalized metadata of a library component
+     * @param {String} componentName - Library component name (`VBtn`, `ElButton`, `el-button`)
+     * @returns {Object|null}
+     */
+    getComponent(componentName) {
+        return this.load().get(this.toPascalCase(componentName)) || null
+    }
+
+    /**
+     * Get the names of every component described by the metadata
+     * @returns {String[]}
+     */
+    getComponentNames() {
+        return Array.from(this.load().keys())
+    }
+
+    /**
+     * Copy of this metadata with one component replaced, e.g. by a definition
+     * completed from the library's runtime props
+     * @param {Object} component - Normalized component
+     * @returns {LibraryMetadata}
+     */
+    withComponent(component) {
+        const copy = new LibraryMetadata(this.packageName, { cwd: this.cwd })
+        copy.components = new Map(this.load()).set(this.toPascalCase(component.name), component)
+        copy.version = this.version
+        return copy
+    }
+
+    /**
+     * Load and normalize the web-types files of the package (cached)
+     * @returns {Map<String, Object>} Components by PascalCase name
+     */
+    load() {
+        if (this.components) return this.components
+
+        this.components = new Map()
+        const packageDir = this.findPackageDir()
+        if (!packageDir) return this.components
+
+        const packageJson = JSON.parse(readFileSync(path.join(packageDir, 'package.json'), 'utf8'))
+        this.version = packageJson.version || null
+
+        const files = [].concat(packageJson['web-types'] || [])
+        files.forEach(file => {
+            const filePath = path.join(packageDir, file)
+            if (!existsSync(filePath)) return
+
+            const webTypes = JSON.parse(readFileSync(filePath, 'utf8'))
+            const html = webTypes.contributions?.html || {}
+            const tags = html.tags || html['vue-components'] || html.elements || []
+
+            tags.forEach(tag => {
+                const component = this.normalizeTag(tag)
+                this.components.set(component.name, component)
+            })
+        })
+
+        return this.components
+    }
+
+    /**
+     * Find node_modules/<package> walking up from the working directory
+     * @returns {String|null}
+     */
+    findPackageDir() {
+        return LibraryAdapter.findPackageDir(this.packageName, this.cwd)
+    }
+
+    /**
+     * Normalize a web-types tag
+     * @param {Object} tag
+     * @returns {Object}
+     */
+    normalizeTag(tag) {
+        const name = tag.source?.symbol || this.toPascalCase(tag.name)
+        const attributes = tag.attributes || tag.props || []
+        const events = tag.events || tag.js?.events || []
+        const vueModel = tag['vue-model']
+
+        const props = attributes.map(attribute => {
+            const rawType = [].concat(attribute.value?.type || attribute.type || []).join(' | ')
+            const { type, types, options } = this.parseType(rawType)
+            const prop = { name: this.toCamelCase(attribute.name), type, types, rawType }
+
+            if (options) prop.options = options
+            if (attribute.required) prop.required = true
+
+            const defaultValue = this.parseDefault(attribute.default, type, types)
+            if (defaultValue !== undefined && (!options || options.includes(defaultValue))) {
+                prop.default = defaultValue
+            }
+            return prop
+        })
+
+        // Only trust a declared v-model when the component has the bound prop
+        const modelProp = vueModel?.prop || 'modelValue'
+        const hasModelProp = props.some(prop => prop.name === modelProp)
+
+        return {
+            name,
+            description: tag.description || '',
+            props,
+            events: events.map(event => ({ name: event.name, payload: event.arguments?.[0]?.type?.trim() })),
+            slots: (tag.slots || []).map(slot => ({ name: slot.name })),
+            model: hasModelProp ? { prop: modelProp, event: vueModel?.event || `update:${modelProp}` } : null
+        }
+    }
+
+    /**
+     * Reduce a TypeScript type from web-types to a config prop type.
+     * A union of string literals becomes `string` with `options`; other unions
+     * take the first member that is a config type.
+     * `types` lists every config type the library prop accepts, or null when it
+     * accepts anything (untyped, `any`, or members that cannot be classified).
+     * @param {String} rawType - e.g. "'default' | 'comfortable'" or 'string | number'
+     * @returns {Object} { type, types, options }
+     */
+    parseType(rawType) {
+        const allMembers = this.splitUnion(rawType)
+        const members = allMembers.filter(member => !['null', 'undefined', 'any', 'unknown'].includes(member))
+        const isOpen = members.length === 0 || allMembers.some(member => ['any', 'unknown'].includes(member))
+
+        if (members.length === 0) return { type: 'string', types: null, options: null }
+
+        const literals = members.map(member => member.match(/^'([^']*)'$|^"([^"]*)"$/))
+        if (literals.every(Boolean)) {
+            const options = literals.map(match => match[1] ?? match[2]).filter(option => option !== '')
+            return { type: 'string', types: isOpen ? null : ['string'], options: options.length > 0 ? options : null }
+        }
+
+        const memberTypes = members.map(member => this.toPropType(member))
+        const type = memberTypes.find(Boolean) || 'string'
+        const types = isOpen || memberTypes.some(memberType => !memberType) ? null : Array.from(new Set(memberTypes))
+        return { type, types, options: null }
+    }
+
+    /**
+     * Map one member of a TypeScript union to a config prop type
+     * @param {String} member
+     * @returns {String|null}
+     */
+    toPropType(member) {
+        const type = member.toLowerCase()
+
+        if (PROP_TYPES.includes(type)) return type
+        if (/^'.*'$|^".*"$/.test(member)) return 'string'
+        if (/^(true|false)$/.test(type)) return 'boolean'
+        if (/^-?\d+(\.\d+)?$/.test(type)) return 'number'
+        if (/\[\]$|^array\b|^\[/.test(type)) return 'array'
+        if (/=>|^function\b|^\(\s*new\b/.test(type)) return 'function'
+        if (/^\{|^record\b|^object\b|^partial\b/.test(type)) return 'object'
+        return null
+    }
+
+    /**
+     * Split a union type on top-level `|` only
+     * @param {String} rawType
+     * @returns {String[]} Trimmed members
+     */
+    splitUnion(rawType) {
+        const members = []
+        let depth = 0
+        let current = ''
+        let previous = ''
+
+        for (const char of String(rawType || '')) {
+            if ('([{<'.includes(char)) depth++
+            // The `>` of an arrow function does not close a generic
+            if (')]}'.includes(char) || (char === '>' && previous !== '=')) depth--
+            previous = char
+
+            if (char === '|' && depth === 0) {
+                members.push(current)
+                current = ''
+            } else {
+                current += char
+            }
+        }
+        members.push(current)
+
+        return members.map(member => member.trim()).filter(Boolean)
+    }
+
+    /**
+     * Parse a web-types default (source code as a string) into a static value.
+     * Defaults that are not literals of the prop type (factories, references) are dropped.
+     * @param {String} source - e.g. "'button'", 'false', '"\'button\'"' or a bare word
+     * @param {String} type - Config prop type
+     * @param {String[]} types - Every config type the prop accepts (null: any)
+     * @returns {*} Parsed value, or undefined
+     */
+    parseDefault(source, type, types = [type]) {
+        if (source === undefined || source === null) return undefined
+
+        let value = String(source).trim()
+        while (/^"(.*)"$/.test(value) && value.length > 1) {
+            value = value.slice(1, -1).trim()
+        }
+
+        if (type === 'boolean') {
+            return value === 'true' ? true : value === 'false' ? false : undefined
+        }
+        if (type === 'number') {
+            return value !== '' && !isNaN(Number(value)) ? Number(value) : undefined
+        }
+        if (type === 'string') {
+            const quoted = value.match(/^'([^']*)'$|^`([^`$]*)`$/)
+            if (quoted) return quoted[1] ?? quoted[2]
+            // Some libraries document string defaults without quotes. Only trust a bare word for
+            // props that accept nothing but strings, where it cannot be a boolean or a reference.
+            const isStringOnly = Array.isArray(types) && types.length === 1 && types[0] === 'string'
+            return isStringOnly && /^[A-Za-z][\w-]*$/.test(value) && !['null', 'undefined', 'true', 'false'].includes(value)
+                ? value
+                : undefined
+        }
+        return undefined
+    }
+
+    /**
+     * @param {String} name - kebab-case or PascalCase component name
+     * @returns {String} PascalCase name
+     */
+    toPascalCase(name) {
+        const camel = this.toCamelCase(name)
+        return camel.charAt(0).toUpperCase() + camel.slice(1)
+    }
+
+    /**
+     * @param {String} name - kebab-case or camelCase prop name
+     * @returns {String} camelCase name
+     */
+    toCamelCase(name) {
+        return String(name).replace(/-([a-z0-9])/g, (match, char) => char.toUpperCase())
+    }
+}
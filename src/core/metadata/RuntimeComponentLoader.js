@@ -0,0 +1,184 @@
+/**
+ * Runtime Component Loader
+ * Imports library components the way generated wrappers do and reads their runtime
+ * `props`/`emits` definitions. Web-types files often leave props out (PrimeVue's
+ * `ptOptions`, `badgeSeverity`), so the scaffolder and the validator complete the
+ * web-types metadata with the runtime definitions.
+ *
+ * File: src/core/metadata/RuntimeComponentLoader.js
+ */
+
+import { createRequire } from 'module'
+import { pathToFileURL } from 'url'
+import path from 'path'
+
+// Vue runtime prop constructors and their config types
+const RUNTIME_TYPES = new Map([
+    [String, 'string'],
+    [Number, 'number'],
+    [Boolean, 'boolean'],
+    [Array, 'array'],
+    [Object, 'object'],
+    [Function, 'function'],
+    [Date, 'object']
+])
+
+export class RuntimeComponentLoader {
+    /**
+     * @param {LibraryAdapter} adapter - Adapter whose import template locates the components
+     * @param {Object} options
+     * @param {String} options.cwd - Directory library packages are resolved from
+     */
+    constructor(adapter, options = {}) {
+        this.adapter = adapter
+        this.cwd = options.cwd || process.cwd()
+        this.components = new Map()
+    }
+
+    /**
+     * Import a library component (cached)
+     * @param {String} componentName
+     * @returns {Promise<Object|null>} Component definition, or null when the adapter has no import template
+     */
+    async load(componentName) {
+        if (!this.components.has(componentName)) {
+            this.components.set(componentName, this.importComponent(componentName))
+        }
+        return this.components.get(componentName)
+    }
+
+    /**
+     * @param {String} componentName
+     * @returns {Promise<Object|null>}
+     */
+    async importComponent(componentName) {
+        const { type, from } = this.adapter.importTemplate || {}
+        if (!type || type === 'none' || !from) return null
+
+        const specifier = this.adapter.resolveImportPath(from, componentName)
+        const require = createRequire(path.join(path.resolve(this.cwd), 'package.json'))
+        const module = await import(pathToFileURL(require.resolve(specifier)).href)
+
+        const component = type === 'named'
+            ? module[componentName]
+            : module.default?.default || module.default || module
+
+        if (!component || typeof component !== 'object') {
+            throw new Error(`'${specifier}' does not export ${componentName}`)
+        }
+        return component
+    }
+
+    /**
+     * Complete web-types metadata with the runtime props and emits of some components.
+     * Props and events the web-types declare are kept as they are; components that
+     * cannot be imported keep their web-types definition.
+     * @param {LibraryMetadata} metadata
+     * @param {String[]} componentNames - Library components, e.g. the baseComponents of a config
+     * @returns {Promise<LibraryMetadata>} Completed copy
+     */
+    async complete(metadata, componentNames) {
+        let completed = metadata
+
+        for (const componentName of new Set(componentNames)) {
+            const component = metadata.getComponent(componentName)
+            if (!component) continue
+
+            let runtime = null
+            try {
+                runtime = await this.load(componentName)
+            } catch (error) {
+                runtime = null
+            }
+            if (!runtime) continue
+
+            const runtimeProps = new Map(this.getProps(runtime).map(prop => [metadata.toCamelCase(prop.name), prop]))
+            const eventNames = new Set(component.events.map(event => metadata.toCamelCase(event.name)))
+
+            // Runtime types are what Vue accepts, so they widen the (often narrower) web-types types
+            const props = component.props.map(prop => {
+                const runtimeProp = runtimeProps.get(prop.name)
+                runtimeProps.delete(prop.name)
+                if (!prop.types || !runtimeProp) return prop
+                return { ...prop, types: runtimeProp.types ? Array.from(new Set([...prop.types, ...runtimeProp.types])) : null }
+            })
+
+            completed = completed.withComponent({
+                ...component,
+                props: [
+                    ...props,
+                    ...Array.from(runtimeProps, ([name, prop]) => ({ ...prop, name, type: prop.type || 'string' }))
+                ],
+                events: [
+                    ...component.events,
+                    ...this.getEmits(runtime).filter(name => !eventNames.has(metadata.toCamelCase(name))).map(name => ({ name }))
+                ]
+            })
+        }
+
+        return completed
+    }
+
+    /**
+     * Normalize runtime `props` (array, constructors or option objects)
+     * @param {Object} component
+     * @returns {Array} Props { name, type, types, required, default }; `types` is null when any value is accepted
+     */
+    getProps(component) {
+        const definitions = {}
+        this.getOptionSources(component).forEach(source => {
+            Object.assign(definitions, Array.isArray(source.props)
+                ? Object.fromEntries(source.props.map(name => [name, {}]))
+                : source.props || {})
+        })
+
+        return Object.entries(definitions).map(([name, definition]) => {
+            const options = typeof definition === 'function' || Array.isArray(definition)
+                ? { type: definition }
+                : definition || {}
+            // `type: null` accepts anything; the web-types type is used instead
+            const types = [].concat(options.type || []).map(constructor => RUNTIME_TYPES.get(constructor))
+            const type = types.find(Boolean) || null
+            const prop = {
+                name,
+                type,
+                types: type && types.every(Boolean) ? Array.from(new Set(types)) : null,
+                required: options.required === true
+            }
+
+            // Factories and references cannot be written into a static config
+            if (['string', 'number', 'boolean'].includes(typeof options.default) && (!type || typeof options.default === type)) {
+                prop.default = options.default
+            }
+            return prop
+        })
+    }
+
+    /**
+     * Normalize runtime `emits` (array or validator object)
+     * @param {Object} component
+     * @returns {String[]} Event names
+     */
+    getEmits(component) {
+        const names = this.getOptionSources(component).flatMap(source => {
+            if (!source.emits) return []
+            return Array.isArray(source.emits) ? source.emits : Object.keys(source.emits)
+        })
+        return Array.from(new Set(names))
+    }
+
+    /**
+     * The component options and those it inherits through `extends` and `mixins`,
+     * base options first so the component's own definitions win
+     * @param {Object} component
+     * @returns {Object[]}
+     */
+    getOptionSources(component) {
+        if (!component || typeof component !== 'object') return []
+        return [
+            ...this.getOptionSources(component.extends),
+            ...(component.mixins || []).flatMap(mixin => this.getOptionSources(mixin)),
+            component
+        ]
+    }
+}
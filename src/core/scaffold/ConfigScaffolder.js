@@ -0,0 +1,305 @@
+/**
+ * Component Config Scaffolder
+ * Builds a starter component config from a library component's own definitions:
+ * the runtime `props`/`emits` of the imported component, completed with the
+ * library's web-types metadata (prop options and defaults, event payloads, slots,
+ * v-model). Every prop gets a direct mapping, so the output passes ConfigValidator
+ * and only needs its semantic API trimmed and renamed.
+ *
+ * File: src/core/scaffold/ConfigScaffolder.js
+ */
+
+import { LibraryMetadata } from '../metadata/LibraryMetadata.js'
+import { RuntimeComponentLoader } from '../metadata/RuntimeComponentLoader.js'
+import { ConfigValidator, RESERVED_PROPS, RESERVED_WORDS } from '../validation/ConfigValidator.js'
+import path from 'path'
+
+// Names usable as template event, slot and prop identifiers
+const EVENT_NAME = /^[A-Za-z][\w:-]*$/
+const SLOT_NAME = /^[A-Za-z][\w-]*$/
+const PROP_NAME = /^[A-Za-z_$][\w$]*$/
+
+export class ConfigScaffolder {
+    /**
+     * @param {LibraryAdapter} adapter - Adapter of the library the component comes from
+     * @param {Object} options
+     * @param {String} options.cwd - Directory library packages are resolved from
+     */
+    constructor(adapter, options = {}) {
+        this.adapter = adapter
+        this.cwd = options.cwd || process.cwd()
+        this.metadata = options.metadata || new LibraryMetadata(adapter.packageName || adapter.name, { cwd: this.cwd })
+        this.runtime = new RuntimeComponentLoader(adapter, { cwd: this.cwd })
+        this.validator = new ConfigValidator()
+    }
+
+    /**
+     * Scaffold a config for a library component
+     * @param {String} componentName - Library component, e.g. 'VBtn' or 'Button'
+     * @param {Object} options
+     * @param {String} options.name - Semantic component name (default: the library component name)
+     * @param {String} options.filePath - Path the config will be written to (used in the header)
+     * @returns {Promise<Object>} { config, source, sources, warnings }
+     */
+    async scaffold(componentName, options = {}) {
+        const introspection = await this.introspect(componentName)
+        const config = this.createConfig(introspection, options)
+
+        // Validate against the introspected API: runtime props complete what web-types lack
+        this.validator.setLibraryAdapter(this.adapter, this.metadata.withComponent({
+            name: introspection.name,
+            description: introspection.description,
+            props: introspection.props,
+            events: introspection.events,
+            slots: introspection.slots,
+            model: introspection.model
+        }))
+        const validation = this.validator.validate(config)
+        if (!validation.valid) {
+            throw new Error(`Scaffolded ${config.name} config is invalid:\n  • ${validation.errors.join('\n  • ')}`)
+        }
+
+        const declared = new Set([...config.props.map(prop => prop.name), introspection.model?.prop])
+        const skipped = introspection.props.map(prop => prop.name).filter(name => !declared.has(name))
+        const warnings = [...introspection.warnings, ...validation.warnings]
+
+        if (skipped.length > 0) {
+            warnings.push(`Skipped props that cannot be wrapper props: ${skipped.join(', ')} (pass them through with \`passthrough\` if needed)`)
+        }
+
+        return {
+            config,
+            source: this.render(config, introspection, options.filePath),
+            sources: introspection.sources,
+            warnings
+        }
+    }
+
+    /**
+     * Collect the props, events, slots and v-model of a library component
+     * @param {String} componentName
+     * @returns {Promise<Object>} { name, description, props, events, slots, model, sources, warnings }
+     */
+    async introspect(componentName) {
+        const metadata = this.metadata.getComponent(componentName)
+        const warnings = []
+        let runtime = null
+
+        try {
+            runtime = await this.runtime.load(componentName)
+        } catch (error) {
+            warnings.push(`Runtime definition of ${componentName} unavailable (${error.message.split('\n')[0]})`)
+        }
+
+        if (!metadata && !runtime) {
+            throw new Error(`No definition found for ${componentName} in ${this.adapter.label || this.adapter.name} (no web-types entry and the component could not be imported)`)
+        }
+        if (!metadata) {
+            warnings.push(`${componentName} has no web-types entry; slots, options and event payloads are not scaffolded`)
+        }
+
+        const metadataProps = new Map((metadata?.props || []).map(prop => [prop.name, prop]))
+        const props = runtime
+            ? this.runtime.getProps(runtime).map(prop => this.mergeProp(prop, metadataProps.get(prop.name)))
+            : metadata.props.map(({ rawType, types, ...prop }) => prop)
+
+        // Libraries document events in kebab-case (`update:model-value`) or camelCase
+        const eventKey = name => this.metadata.toCamelCase(name)
+        const events = [...(metadata?.events || [])]
+        if (runtime) {
+            this.runtime.getEmits(runtime)
+                .filter(name => !events.some(event => eventKey(event.name) === eventKey(name)))
+                .forEach(name => events.push({ name }))
+        }
+
+        // Without a declared v-model, use modelValue or the first prop with an `update:<prop>` event
+        let model = metadata?.model || null
+        if (!model) {
+            const modelProp = props.find(prop => prop.name === 'modelValue') ||
+                props.find(prop => events.some(event => eventKey(event.name) === `update:${prop.name}`))
+            model = modelProp ? { prop: modelProp.name, event: `update:${modelProp.name}` } : null
+        }
+
+        return {
+            name: metadata?.name || componentName,
+            description: metadata?.description || '',
+            props,
+            events,
+            slots: metadata?.slots || [],
+            model,
+            sources: [runtime && 'runtime', metadata && 'web-types'].filter(Boolean),
+            warnings
+        }
+    }
+
+    /**
+     * Complete a runtime prop with web-types options and default
+     * @param {Object} prop - Runtime prop
+     * @param {Object} metadataProp - web-types prop
+     * @returns {Object}
+     */
+    mergeProp(prop, metadataProp) {
+        const merged = { ...prop, type: prop.type || metadataProp?.type || 'string' }
+        if (!metadataProp) return merged
+
+        if (merged.default !== undefined && typeof merged.default !== merged.type) {
+            delete merged.default
+        }
+        if (metadataProp.options && merged.type === 'string') {
+            merged.options = metadataProp.options
+        }
+        if (merged.default === undefined && metadataProp.default !== undefined && metadataProp.type === merged.type) {
+            merged.default = metadataProp.default
+        }
+        if (merged.options && merged.default !== undefined && !merged.options.includes(merged.default)) {
+            delete merged.default
+        }
+        return merged
+    }
+
+    /**
+     * Build the component config: library props become semantic props with direct mappings
+     * @param {Object} introspection
+     * @param {Object} options
+     * @returns {Object} Component configuration
+     */
+    createConfig(introspection, options = {}) {
+        const model = introspection.model
+        const props = introspection.props
+            .filter(prop => PROP_NAME.test(prop.name) && !RESERVED_PROPS.includes(prop.name) && !RESERVED_WORDS.has(prop.name))
+            // Listener props (`onClick`), private props (`_instance`) and v-model modifiers are not component API
+            .filter(prop => !/^on[A-Z]/.test(prop.name) && !/^[_$]/.test(prop.name) && !/Modifiers$/.test(prop.name))
+            .filter(prop => !model || prop.name !== model.prop)
+            .map(prop => {
+                const entry = { name: prop.name, type: prop.type, required: Boolean(prop.required) }
+                if (prop.default !== undefined && !prop.required) entry.default = prop.default
+                if (prop.options) entry.options = prop.options
+                return entry
+            })
+
+        const events = introspection.events
+            .filter(event => EVENT_NAME.test(event.name))
+            .filter(event => !model || this.metadata.toCamelCase(event.name) !== this.metadata.toCamelCase(model.event))
+            .map(event => {
+                const payload = this.getPayloadType(event.payload)
+                return payload ? { name: event.name, emit: event.name, payload } : { name: event.name, emit: event.name }
+            })
+
+        const slots = introspection.slots.filter(slot => SLOT_NAME.test(slot.name)).map(slot => ({ name: slot.name }))
+
+        const config = {
+            name: options.name || this.metadata.toPascalCase(introspection.name),
+            description: this.getDescription(introspection),
+            baseComponent: introspection.name,
+            props,
+            propMappings: props.map(prop => ({ type: 'direct', source: prop.name, target: prop.name }))
+        }
+
+        if (model) {
+            const modelProp = introspection.props.find(prop => prop.name === model.prop)
+            const entry = {}
+            if (model.prop !== 'modelValue') entry.target = model.prop
+            if (model.event !== `update:${model.prop}`) entry.event = model.event
+            entry.type = modelProp?.type || 'string'
+            config.model = entry
+        }
+
+        config.events = events
+        config.slots = slots
+
+        // Slots with dynamic names (`item.<name>`) cannot be declared, so forward them
+        if (slots.length < introspection.slots.length) {
+            config.forwardSlots = true
+        }
+
+        return config
+    }
+
+    /**
+     * Keep payload types that are plain type names (`MouseEvent`, `[string]`)
+     * @param {String} payload
+     * @returns {String|null}
+     */
+    getPayloadType(payload) {
+        if (!payload) return null
+        const type = payload.replace(/^\[(.*)\]$/s, '$1').trim()
+        return /^[A-Za-z_$][\w$.]*(\[\])?$/.test(type) && type !== 'undefined' ? type : null
+    }
+
+    /**
+     * First sentence of the library description, on one line
+     * @param {Object} introspection
+     * @returns {String}
+     */
+    getDescription(introspection) {
+        const text = introspection.description.replace(/\s+/g, ' ').trim()
+        const sentence = text.match(/^.*?[.!?](\s|$)/)
+        return (sentence ? sentence[0] : text).trim() || `${introspection.name} component`
+    }
+
+    /**
+     * Render the config as an ES module in the style of the hand-written configs
+     * @param {Object} config
+     * @param {Object} introspection
+     * @param {String} filePath - Target path, shown in the header when it is inside the project
+     * @returns {String}
+     */
+    render(config, introspection, filePath) {
+        const label = this.adapter.label || this.adapter.name
+        const version = this.metadata.version || this.adapter.version
+        const relativePath = filePath ? path.relative(this.cwd, path.resolve(filePath)) : null
+        const file = relativePath && !relativePath.startsWith('..') && !path.isAbsolute(relativePath)
+            ? relativePath.split(path.sep).join('/')
+            : null
+
+        const lines = Object.entries(config).map(([key, value]) => {
+            const rendered = Array.isArray(value) && value.length > 0
+                ? `[\n${value.map(entry => `        ${this.formatValue(entry)}`).join(',\n')}\n    ]`
+                : this.formatValue(value)
+            return `    ${this.formatKey(key)}: ${rendered}`
+        })
+
+        return [
+            '/**',
+            ` * Configuration for ${label} ${introspection.name}.`,
+            ` * Scaffolded from ${[label, version].filter(Boolean).join(' ')} (${introspection.sources.join(', ')}): rename props to the`,
+            ' * semantic API and replace direct mappings where the library differs.',
+            ...(file ? [` * File: ${file}`] : []),
+            ' */',
+            '',
+            'export default {',
+            lines.join(',\n'),
+            '}',
+            ''
+        ].join('\n')
+    }
+
+    /**
+     * Format a value as an inline JavaScript literal
+     * @param {*} value
+     * @returns {String}
+     */
+    formatValue(value) {
+        if (Array.isArray(value)) {
+            return value.length > 0 ? `[${value.map(entry => this.formatValue(entry)).join(', ')}]` : '[]'
+        }
+        if (value && typeof value === 'object') {
+            const entries = Object.entries(value).filter(([, entry]) => entry !== undefined)
+            return entries.length > 0
+                ? `{ ${entries.map(([key, entry]) => `${this.formatKey(key)}: ${this.formatValue(entry)}`).join(', ')} }`
+                : '{}'
+        }
+        if (typeof value === 'string') {
+            return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`
+        }
+        return String(value)
+    }
+
+    /**
+     * @param {String} key
+     * @returns {String} Object key, quoted when it is not an identifier
+     */
+    formatKey(key) {
+        return PROP_NAME.test(key) ? key : this.formatValue(key)
+    }
+}
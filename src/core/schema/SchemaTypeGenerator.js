@@ -0,0 +1,177 @@
+/**
+ * TypeScript Declarations from JSON Schemas
+ * Turns the published config schemas into the declarations of src/types/index.d.ts,
+ * so `defineComponentConfig()` / `defineLibraryConfig()` give configs autocomplete
+ * and type checking in editors. Each root schema and definition with a `title`
+ * becomes an exported interface (objects) or type alias (everything else).
+ *
+ * File: src/core/schema/SchemaTypeGenerator.js
+ */
+
+import { SchemaValidator } from './SchemaValidator.js'
+
+export const TYPES_OUTPUT = 'src/types/index.d.ts'
+
+// Config helpers declared for each schema; src/index.js implements them
+const HELPERS = [
+    {
+        schema: 'component',
+        name: 'defineComponentConfig',
+        description: 'Declare a component config (semantic definition or library overlay). Returns the config unchanged.'
+    },
+    {
+        schema: 'library',
+        name: 'defineLibraryConfig',
+        description: 'Declare a library config. Returns the config unchanged.'
+    }
+]
+
+const INDENT = '    '
+
+export class SchemaTypeGenerator {
+    /**
+     * @param {Object} options
+     * @param {String[]} options.schemas - Published schema names (default: every schema with a helper)
+     */
+    constructor(options = {}) {
+        this.schemaNames = options.schemas || HELPERS.map(helper => helper.schema)
+    }
+
+    /**
+     * Generate the declaration file
+     * @returns {String}
+     */
+    generate() {
+        const blocks = []
+
+        this.schemaNames.forEach(schemaName => {
+            const validator = SchemaValidator.load(schemaName)
+            const { schema } = validator
+
+            blocks.push(this.renderDeclaration(schema, validator))
+            Object.values(schema.definitions || {})
+                .filter(definition => definition.title)
+                .forEach(definition => blocks.push(this.renderDeclaration(definition, validator)))
+        })
+
+        HELPERS
+            .filter(helper => this.schemaNames.includes(helper.schema))
+            .forEach(helper => {
+                const typeName = SchemaValidator.load(helper.schema).schema.title
+                blocks.push([
+                    this.renderComment(helper.description, ''),
+                    `export declare function ${helper.name}(config: ${typeName}): ${typeName}`
+                ].join('\n'))
+            })
+
+        return [
+            '/**',
+            ' * Types of vue-design-codegen config files.',
+            ` * Generated from src/schemas/*.schema.json by \`npm run types\`; do not edit by hand.`,
+            ' *',
+            ' * Usage in a config file:',
+            " *   import { defineComponentConfig } from 'vue-design-codegen'",
+            " *   export default defineComponentConfig({ extends: 'button', baseComponent: 'VBtn', ... })",
+            ' */',
+            '',
+            blocks.join('\n\n'),
+            ''
+        ].join('\n')
+    }
+
+    /**
+     * Render an interface (object with properties) or a type alias
+     * @param {Object} schema - Schema with a `title`
+     * @param {SchemaValidator} validator - Resolves references
+     * @returns {String}
+     */
+    renderDeclaration(schema, validator) {
+        const comment = schema.description ? `${this.renderComment(schema.description, '')}\n` : ''
+
+        if (schema.type === 'object' && schema.properties) {
+            return `${comment}export interface ${schema.title} ${this.renderObject(schema, validator, '')}`
+        }
+        return `${comment}export type ${schema.title} = ${this.renderType(schema, validator, '')}`
+    }
+
+    /**
+     * Render a schema as a TypeScript type
+     * @param {Object} schema
+     * @param {SchemaValidator} validator
+     * @param {String} indent - Indentation of the line the type starts on
+     * @returns {String}
+     */
+    renderType(schema, validator, indent) {
+        if (schema === undefined || schema === true) return 'unknown'
+
+        if (schema.$ref) {
+            const target = validator.resolveRef(schema.$ref)
+            return target.title || this.renderType(target, validator, indent)
+        }
+        if (schema.const !== undefined) return this.renderLiteral(schema.const)
+        if (schema.enum) return schema.enum.map(option => this.renderLiteral(option)).join(' | ')
+        if (schema.anyOf) {
+            return schema.anyOf.map(branch => this.renderType(branch, validator, indent)).join(' | ')
+        }
+        if (schema.type === undefined) return 'unknown'
+
+        return [].concat(schema.type).map(type => {
+            switch (type) {
+                case 'integer':
+                    return 'number'
+                case 'array': {
+                    const items = this.renderType(schema.items, validator, indent)
+                    return /[|&\s]/.test(items) && !items.startsWith('{') ? `(${items})[]` : `${items}[]`
+                }
+                case 'object':
+                    if (schema.properties) return this.renderObject(schema, validator, indent)
+                    return `Record<string, ${this.renderType(schema.additionalProperties, validator, indent)}>`
+                default:
+                    return type
+            }
+        }).join(' | ')
+    }
+
+    /**
+     * Render an object schema as an interface body
+     * @returns {String}
+     */
+    renderObject(schema, validator, indent) {
+        const memberIndent = indent + INDENT
+        const required = schema.required || []
+
+        const members = Object.entries(schema.properties).map(([name, property]) => {
+            const key = /^[A-Za-z_$][\w$]*$/.test(name) ? name : this.renderLiteral(name)
+            const optional = required.includes(name) ? '' : '?'
+            const description = property.description || validator.resolve(property).description
+            const comment = description ? `${this.renderComment(description, memberIndent)}\n` : ''
+
+            return `${comment}${memberIndent}${key}${optional}: ${this.renderType(property, validator, memberIndent)}`
+        })
+
+        if (schema.additionalProperties === true) {
+            members.push(`${memberIndent}[key: string]: unknown`)
+        }
+
+        return `{\n${members.join('\n')}\n${indent}}`
+    }
+
+    /**
+     * Render a literal type
+     * @param {*} value - enum or const value
+     * @returns {String} e.g. 'direct'
+     */
+    renderLiteral(value) {
+        return typeof value === 'string' ? `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'` : String(value)
+    }
+
+    /**
+     * Render a JSDoc comment
+     * @param {String} text
+     * @param {String} indent
+     * @returns {String}
+     */
+    renderComment(text, indent) {
+        return `${indent}/** ${text.replace(/\*\//g, '*\\/')} */`
+    }
+}
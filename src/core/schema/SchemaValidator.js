@@ -0,0 +1,254 @@
+/**
+ * JSON Schema Validator
+ * Validates configs against the JSON Schemas published in src/schemas. Supports the
+ * draft-07 keywords those schemas use: type, enum, const, pattern, minLength, minItems,
+ * properties, required, additionalProperties, items, anyOf, allOf, if/then/else and
+ * local `#/definitions/...` references. Other keywords are ignored.
+ *
+ * Errors carry the JSON pointer of the offending value:
+ *   { pointer: '/propMappings/2/type', message: 'must be one of: "direct", ...' }
+ *
+ * File: src/core/schema/SchemaValidator.js
+ */
+
+import { readFileSync } from 'fs'
+import { fileURLToPath } from 'url'
+import path from 'path'
+
+// Schemas ship with the generator, so they are resolved from this module rather than the working directory
+export const SCHEMA_DIR = fileURLToPath(new URL('../../schemas/', import.meta.url))
+
+// Validators of the published schemas, by name
+const validators = new Map()
+
+export class SchemaValidator {
+    /**
+     * @param {Object} schema - Root JSON Schema
+     */
+    constructor(schema) {
+        this.schema = schema
+    }
+
+    /**
+     * Get the validator of a published schema (cached)
+     * @param {String} name - 'component' or 'library'
+     * @returns {SchemaValidator}
+     */
+    static load(name) {
+        if (!validators.has(name)) {
+            const schemaPath = path.join(SCHEMA_DIR, `${name}.schema.json`)
+            validators.set(name, new SchemaValidator(JSON.parse(readFileSync(schemaPath, 'utf8'))))
+        }
+        return validators.get(name)
+    }
+
+    /**
+     * Validate a value against the root schema
+     * @param {*} value
+     * @returns {Object[]} Errors { pointer, message }, empty when the value is valid
+     */
+    validate(value) {
+        return this.collect(value, this.schema, '')
+    }
+
+    /**
+     * Format an error as `/pointer: message`
+     * @param {Object} error
+     * @returns {String}
+     */
+    static format(error) {
+        return `${error.pointer || '(root)'}: ${error.message}`
+    }
+
+    /**
+     * Validate a value against a subschema
+     * @param {*} value
+     * @param {Object|Boolean} schema
+     * @param {String} pointer - JSON pointer of the value
+     * @returns {Object[]} Errors
+     */
+    collect(value, schema, pointer) {
+        const errors = []
+        const fail = message => errors.push({ pointer, message })
+
+        if (schema === undefined || schema === true) return errors
+        if (schema === false) {
+            fail('is not allowed')
+            return errors
+        }
+        if (schema.$ref) {
+            return this.collect(value, this.resolveRef(schema.$ref), pointer)
+        }
+
+        if (schema.type !== undefined && !this.matchesType(value, schema.type)) {
+            fail(`must be ${[].concat(schema.type).map(type => this.describeType(type)).join(' or ')}`)
+            return errors
+        }
+        if (schema.const !== undefined && !this.isEqual(value, schema.const)) {
+            fail(`must be ${JSON.stringify(schema.const)}`)
+        }
+        if (schema.enum && !schema.enum.some(option => this.isEqual(value, option))) {
+            fail(`must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`)
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`)
+            }
+            if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+                fail(`'${value}' must match ${schema.pattern}`)
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                fail(schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} items`)
+            }
+            if (schema.items !== undefined) {
+                value.forEach((item, index) => errors.push(...this.collect(item, schema.items, `${pointer}/${index}`)))
+            }
+        }
+
+        if (this.matchesType(value, 'object')) {
+            errors.push(...this.collectObject(value, schema, pointer))
+        }
+
+        if (schema.anyOf) {
+            errors.push(...this.collectAnyOf(value, schema.anyOf, pointer))
+        }
+        if (schema.allOf) {
+            schema.allOf.forEach(subschema => errors.push(...this.collect(value, subschema, pointer)))
+        }
+        if (schema.if !== undefined) {
+            const branch = this.collect(value, schema.if, pointer).length === 0 ? schema.then : schema.else
+            errors.push(...this.collect(value, branch, pointer))
+        }
+
+        return errors
+    }
+
+    /**
+     * Validate required, properties and additionalProperties of an object
+     * @returns {Object[]} Errors
+     */
+    collectObject(value, schema, pointer) {
+        const errors = []
+        const properties = schema.properties || {}
+        const required = schema.required || []
+
+        required.forEach(name => {
+            if (value[name] === undefined) {
+                errors.push({ pointer, message: `missing required property '${name}'` })
+            }
+        })
+
+        Object.entries(value).forEach(([name, propertyValue]) => {
+            if (propertyValue === undefined) return
+
+            const propertyPointer = `${pointer}/${this.escapePointer(name)}`
+
+            if (Object.prototype.hasOwnProperty.call(properties, name)) {
+                errors.push(...this.collect(propertyValue, properties[name], propertyPointer))
+            } else if (schema.additionalProperties === false) {
+                errors.push({ pointer: propertyPointer, message: 'is not an allowed property' })
+            } else if (schema.additionalProperties !== undefined) {
+                errors.push(...this.collect(propertyValue, schema.additionalProperties, propertyPointer))
+            }
+        })
+
+        return errors
+    }
+
+    /**
+     * Validate anyOf. When no branch matches, the errors of the only branch whose
+     * type fits the value are reported, as they are the most specific.
+     * @returns {Object[]} Errors
+     */
+    collectAnyOf(value, branches, pointer) {
+        const results = branches.map(branch => this.collect(value, branch, pointer))
+        if (results.some(result => result.length === 0)) return []
+
+        const fitting = branches
+            .map((branch, index) => ({ branch: this.resolve(branch), index }))
+            .filter(({ branch }) => {
+                if (branch.type !== undefined) return this.matchesType(value, branch.type)
+                return !branch.enum || branch.enum.every(option => this.matchesType(value, typeof option))
+            })
+
+        if (fitting.length === 1) return results[fitting[0].index]
+        return [{ pointer, message: 'does not match any of the allowed forms' }]
+    }
+
+    /**
+     * Resolve a `$ref` subschema to its target
+     * @param {Object} schema
+     * @returns {Object}
+     */
+    resolve(schema) {
+        return schema && schema.$ref ? this.resolve(this.resolveRef(schema.$ref)) : schema
+    }
+
+    /**
+     * Resolve a local reference like `#/definitions/prop`
+     * @param {String} ref
+     * @returns {Object}
+     */
+    resolveRef(ref) {
+        if (!ref.startsWith('#')) {
+            throw new Error(`Only local schema references are supported, got '${ref}'`)
+        }
+
+        const target = ref.slice(1).split('/').filter(Boolean).reduce(
+            (schema, segment) => schema?.[segment.replace(/~1/g, '/').replace(/~0/g, '~')],
+            this.schema
+        )
+        if (target === undefined) {
+            throw new Error(`Unresolved schema reference '${ref}'`)
+        }
+        return target
+    }
+
+    /**
+     * Check a value against one or more JSON Schema types
+     * @param {*} value
+     * @param {String|String[]} type
+     * @returns {Boolean}
+     */
+    matchesType(value, type) {
+        return [].concat(type).some(entry => {
+            switch (entry) {
+                case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value)
+                case 'array': return Array.isArray(value)
+                case 'null': return value === null
+                case 'integer': return Number.isInteger(value)
+                case 'number': return typeof value === 'number' && Number.isFinite(value)
+                default: return typeof value === entry
+            }
+        })
+    }
+
+    /**
+     * @param {String} type - JSON Schema type
+     * @returns {String} e.g. 'an array'
+     */
+    describeType(type) {
+        return type === 'null' ? 'null' : `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`
+    }
+
+    /**
+     * Deep equality of JSON values
+     * @returns {Boolean}
+     */
+    isEqual(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b)
+    }
+
+    /**
+     * Escape a property name for a JSON pointer (RFC 6901)
+     * @param {String} name
+     * @returns {String}
+     */
+    escapePointer(name) {
+        return String(name).replace(/~/g, '~0').replace(/\//g, '~1')
+    }
+}
@@ -1,28 +1,165 @@
 /**
  * Configuration Validation System
- * Validates component configurations before generation
+ * Validates component configurations before generation. Configs are first checked
+ * against the published JSON Schema (src/schemas/component.schema.json); the
+ * semantic checks below only run on configs of the documented shape.
  * 
  * File: src/core/validation/ConfigValidator.js
  */
+import semver from 'semver'
+import { ExpressionCompiler } from '../components/ExpressionCompiler.js'
+import { TransformationEngine } from '../components/TransformationEngine.js'
+import { LibraryAdapter } from '../adapters/LibraryAdapter.js'
+import { LibraryMetadata } from '../metadata/LibraryMetadata.js'
+import { RuntimeComponentLoader } from '../metadata/RuntimeComponentLoader.js'
+import { SchemaValidator } from '../schema/SchemaValidator.js'
+
+// Element attributes that are not library props fall through to the library component's
+// root (or its native input), so mapping to them is valid
+const HTML_ATTRIBUTES = new Set([
+    'id', 'class', 'style', 'title', 'role', 'tabindex', 'lang', 'dir', 'hidden', 'inert', 'accesskey', 'autofocus',
+    'disabled', 'readonly', 'required', 'placeholder', 'type', 'name', 'value', 'form', 'autocomplete', 'inputmode',
+    'maxlength', 'minlength', 'min', 'max', 'step', 'pattern', 'multiple', 'checked', 'for', 'href', 'target', 'rel',
+    'download', 'src', 'alt', 'width', 'height', 'open'
+])
+
+// Props handled by Vue itself, never part of a component API
+export const RESERVED_PROPS = ['key', 'ref', 'class', 'style', 'is']
+
+// JavaScript reserved words cannot be used as identifiers in template expressions
+export const RESERVED_WORDS = new Set([
+    'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do',
+    'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import', 'in',
+    'instanceof', 'new', 'null', 'return', 'super', 'switch', 'this', 'throw', 'true', 'try',
+    'typeof', 'var', 'void', 'while', 'with', 'yield', 'let', 'static', 'implements', 'interface',
+    'package', 'private', 'protected', 'public', 'await'
+])
+
+// DOM events that fall through to the library component's root element
+const DOM_EVENTS = new Set([
+    'click', 'dblclick', 'contextmenu', 'mousedown', 'mouseup', 'mouseenter', 'mouseleave', 'mouseover', 'mouseout', 'mousemove',
+    'pointerdown', 'pointerup', 'pointermove', 'pointerenter', 'pointerleave', 'touchstart', 'touchend', 'touchmove',
+    'focus', 'blur', 'focusin', 'focusout', 'keydown', 'keyup', 'keypress', 'input', 'change', 'submit', 'reset', 'invalid',
+    'scroll', 'wheel', 'copy', 'cut', 'paste', 'dragstart', 'drag', 'dragend', 'dragenter', 'dragleave', 'dragover', 'drop',
+    'compositionstart', 'compositionend', 'animationend', 'transitionend', 'toggle', 'close', 'cancel'
+])
+
 export class ConfigValidator {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {LibraryAdapter} options.libraryAdapter - Also validate against this library's component API
+     */
+    constructor(options = {}) {
         this.errors = []
         this.warnings = []
+        this.libraryAdapter = null
+        this.libraryMetadata = null
+        this.runtimeLoader = null
+
+        if (options.libraryAdapter) {
+            this.setLibraryAdapter(options.libraryAdapter)
+        }
+    }
+
+    /**
+     * Validate mapping targets, events, v-model bindings and slots against the
+     * components of a library, as declared by the installed package's web-types.
+     * Libraries without metadata are only validated structurally.
+     * @param {LibraryAdapter} adapter
+     * @param {LibraryMetadata} metadata - Defaults to the metadata of the adapter's package
+     */
+    setLibraryAdapter(adapter, metadata = null) {
+        this.libraryAdapter = adapter
+        const libraryMetadata = adapter ? metadata || new LibraryMetadata(adapter.packageName) : null
+        this.libraryMetadata = libraryMetadata && libraryMetadata.isAvailable() ? libraryMetadata : null
+        this.runtimeLoader = this.libraryMetadata ? new RuntimeComponentLoader(adapter) : null
+    }
+
+    /**
+     * Complete the library metadata with the runtime props and emits of the library
+     * components a config renders, since web-types often leave props out. Call it before
+     * validate(); components that cannot be imported keep their web-types definition.
+     * @param {Object} config - Component configuration
+     */
+    async loadRuntimeApi(config) {
+        if (!this.runtimeLoader) return
+
+        const componentNames = []
+        const walk = node => {
+            if (!node || typeof node !== 'object' || typeof node.baseComponent !== 'string') return
+            if (!LibraryAdapter.isNativeElement(node.baseComponent)) {
+                componentNames.push(node.baseComponent)
+            }
+            if (Array.isArray(node.children)) {
+                node.children.forEach(walk)
+            }
+        }
+        walk(config)
+
+        this.libraryMetadata = await this.runtimeLoader.complete(this.libraryMetadata, componentNames)
     }
 
     /**
      * Validate a component configuration
      * @param {Object} config - Component configuration
+     * @param {Object} options
+     * @param {Boolean} options.semantic - A semantic definition, which leaves baseComponent to library overlays
      * @returns {Object} Validation result with errors and warnings
      */
-    validate(config) {
+    validate(config, options = {}) {
         this.errors = []
         this.warnings = []
 
-        this.validateCore(config)
+        if (!this.validateSchema(config, 'component')) {
+            return this.getResult()
+        }
+
+        this.validateCore(config, options)
+        this.validateProps(config)
         this.validateMappingIntegrity(config)
+        this.validateEvents(config)
+        this.validateModel(config)
+        this.validatePassthrough(config)
+        this.validateSlots(config)
+        this.validateMethods(config)
+        this.validateChildren(config)
+        this.validateLibraryApi(config)
         this.validateCircularDependencies(config)
 
+        return this.getResult()
+    }
+
+    /**
+     * Validate a library configuration (src/configs/libraries/*.config.js)
+     * @param {Object} libraryConfig
+     * @returns {Object} Validation result with errors and warnings
+     */
+    validateLibraryConfig(libraryConfig) {
+        this.errors = []
+        this.warnings = []
+
+        this.validateSchema(libraryConfig, 'library')
+
+        return this.getResult()
+    }
+
+    /**
+     * Validate a config against a published JSON Schema, reporting errors with the
+     * JSON pointer of the offending value (e.g. `/propMappings/2/type`)
+     * @param {Object} config
+     * @param {String} schemaName - 'component' or 'library'
+     * @returns {Boolean} Whether the config matches the schema
+     */
+    validateSchema(config, schemaName) {
+        const errors = SchemaValidator.load(schemaName).validate(config)
+        errors.forEach(error => this.addError(SchemaValidator.format(error)))
+        return errors.length === 0
+    }
+
+    /**
+     * @returns {Object} Validation result of the collected errors and warnings
+     */
+    getResult() {
         return {
             valid: this.errors.length === 0,
             errors: [...this.errors],
@@ -33,12 +170,12 @@ export class ConfigValidator {
     /**
      * Validate core required fields
      */
-    validateCore(config) {
+    validateCore(config, options = {}) {
         if (!config.name) {
             this.addError('Component name is required')
         }
 
-        if (!config.baseComponent) {
+        if (!config.baseComponent && !options.semantic) {
             this.addError('Base component is required')
         }
 
@@ -47,53 +184,158 @@ export class ConfigValidator {
         }
     }
 
+    /**
+     * Validate prop declarations: defaults and options against the prop type, reserved
+     * names and collisions with events. Messages point at the offending value
+     * (e.g. `/props/2/default`).
+     */
+    validateProps(config) {
+        const props = config.props || []
+        const declared = new Map()
+        const emitted = new Set((config.events || []).map(event => event.emit || event.name).filter(Boolean))
+
+        props.forEach((prop, index) => {
+            const pointer = `/props/${index}`
+
+            if (declared.has(prop.name)) {
+                this.addError(`${pointer}/name: prop '${prop.name}' is already declared at ${declared.get(prop.name)}`)
+            } else {
+                declared.set(prop.name, pointer)
+            }
+
+            if (RESERVED_PROPS.includes(prop.name)) {
+                this.addError(`${pointer}/name: '${prop.name}' is reserved by Vue and never reaches the component`)
+            } else if (RESERVED_WORDS.has(prop.name)) {
+                this.addError(`${pointer}/name: '${prop.name}' is a JavaScript reserved word and cannot be used in template expressions`)
+            }
+
+            const listenedEvent = /^on[A-Z]/.test(prop.name) ? prop.name.charAt(2).toLowerCase() + prop.name.slice(3) : null
+            if (listenedEvent && emitted.has(listenedEvent)) {
+                this.addError(`${pointer}/name: '${prop.name}' is the listener of event '${listenedEvent}', so the prop and the event cannot both be declared`)
+            }
+            if (emitted.has(prop.name)) {
+                this.addWarning(`${pointer}/name: prop '${prop.name}' has the same name as event '${prop.name}'`)
+            }
+
+            this.validateDefault(prop, `Prop '${prop.name}'`, pointer)
+        })
+    }
+
+    /**
+     * Check a prop or model default against its type and options
+     * @param {Object} entry - Prop or model declaration
+     * @param {String} label - e.g. "Prop 'variant'"
+     * @param {String} pointer - JSON pointer of the declaration
+     */
+    validateDefault(entry, label, pointer) {
+        const type = entry.type || 'string'
+
+        if (entry.options !== undefined) {
+            entry.options.forEach((option, index) => {
+                if (!this.matchesPropType(option, type)) {
+                    this.addError(`${pointer}/options/${index}: ${label} option ${JSON.stringify(option)} is not a ${type}`)
+                }
+                if (entry.options.findIndex(other => other === option) !== index) {
+                    this.addWarning(`${pointer}/options/${index}: ${label} option ${JSON.stringify(option)} is listed twice`)
+                }
+            })
+        }
+
+        // Vue accepts null as the default of any type
+        if (entry.default === undefined || entry.default === null) return
+
+        if (entry.required) {
+            this.addWarning(`${pointer}/default: ${label} is required, so its default is never used`)
+        }
+
+        if (!this.matchesPropType(entry.default, type)) {
+            this.addError(`${pointer}/default: ${label} default ${JSON.stringify(entry.default)} is not a ${type}`)
+        } else if (entry.options && !entry.options.includes(entry.default)) {
+            const suggestion = typeof entry.default === 'string' ? this.suggest(entry.default, entry.options.map(String)) : ''
+            this.addError(`${pointer}/default: ${label} default ${JSON.stringify(entry.default)} is not one of its options (${entry.options.join(', ')})${suggestion}`)
+        }
+    }
+
+    /**
+     * Check a static value against a config prop type. Function defaults are
+     * emitted as code (a function or its source), so any value is accepted.
+     * @param {*} value
+     * @param {String} type - Config prop type
+     * @returns {Boolean}
+     */
+    matchesPropType(value, type) {
+        switch (type) {
+            case 'array': return Array.isArray(value)
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value)
+            case 'number': return typeof value === 'number' && Number.isFinite(value)
+            case 'function': return true
+            default: return typeof value === type
+        }
+    }
+
     /**
      * Validate prop mapping integrity
      */
     validateMappingIntegrity(config) {
         if (!config.propMappings) return
 
-        const propNames = config.props ? config.props.map(p => p.name) : []
+        const props = config.props || []
+        const propNames = props.map(p => p.name)
         const targetNames = new Set()
 
         config.propMappings.forEach((mapping, index) => {
+            const pointer = `/propMappings/${index}`
+
             // Check required fields
             if (!mapping.target) {
-                this.addError(`Prop mapping at index ${index} missing target`)
+                this.addError(`${pointer}: prop mapping missing target`)
                 return
             }
 
             if (!mapping.type) {
-                this.addError(`Prop mapping at index ${index} missing type`)
+                this.addError(`${pointer}: prop mapping missing type`)
                 return
             }
 
-            // Check for duplicate targets
-            if (targetNames.has(mapping.target)) {
+            if (mapping.libraryVersion && !semver.validRange(mapping.libraryVersion)) {
+                this.addError(`${pointer}/libraryVersion: invalid range '${mapping.libraryVersion}'`)
+            }
+
+            // Check for duplicate targets (the same target may be mapped once per library and version range)
+            const targetKey = [mapping.target, mapping.library || '*', mapping.libraryVersion || '*'].join('@')
+            if (targetNames.has(targetKey)) {
                 this.addError(`Duplicate prop mapping target: ${mapping.target}`)
             }
-            targetNames.add(mapping.target)
+            targetNames.add(targetKey)
 
             // Validate mapping types (supports 5 types including value)
-            this.validateMappingType(mapping, propNames, index)
+            this.validateMappingType(mapping, propNames, pointer, props)
         })
     }
 
     /**
      * Validate specific mapping type requirements
+     * @param {Object} mapping
+     * @param {String[]} propNames
+     * @param {String} pointer - JSON pointer of the mapping, e.g. `/propMappings/2`
+     * @param {Array} props
      */
-    validateMappingType(mapping, propNames, index) {
-        const validTypes = ['direct', 'conditional', 'value', 'computed', 'librarySpecific']
+    validateMappingType(mapping, propNames, pointer, props = []) {
+        const validTypes = ['direct', 'conditional', 'value', 'enum', 'computed', 'librarySpecific']
 
         if (!validTypes.includes(mapping.type)) {
-            this.addError(`Invalid mapping type '${mapping.type}' at index ${index}. Valid types: ${validTypes.join(', ')}`)
+            this.addError(`${pointer}/type: invalid mapping type '${mapping.type}'. Valid types: ${validTypes.join(', ')}`)
+            return
+        }
+
+        if (mapping.sources !== undefined && !this.validateMappingSources(mapping, propNames, pointer)) {
             return
         }
 
         switch (mapping.type) {
             case 'direct':
                 if (!mapping.source) {
-                    this.addError(`Direct mapping at index ${index} missing source`)
+                    this.addError(`${pointer}: direct mapping missing source`)
                 }
                 if (propNames.length > 0 && mapping.source && !propNames.includes(mapping.source)) {
                     this.addWarning(`Source '${mapping.source}' not found in props definition`)
@@ -101,11 +343,19 @@ export class ConfigValidator {
                 break
 
             case 'conditional':
-                if (!mapping.source) {
-                    this.addError(`Conditional mapping at index ${index} missing source`)
+                if (!mapping.source && !mapping.sources) {
+                    this.addError(`${pointer}: conditional mapping missing source`)
                 }
                 if (!mapping.condition) {
-                    this.addError(`Conditional mapping at index ${index} missing condition`)
+                    this.addError(`${pointer}: conditional mapping missing condition`)
+                } else {
+                    this.validateExpression(mapping.condition, propNames, `${pointer}/condition`)
+                }
+                if (mapping.fallback !== undefined) {
+                    this.validateExpression(mapping.fallback, propNames, `${pointer}/fallback`)
+                }
+                if (mapping.value !== undefined) {
+                    this.validateExpression(mapping.value, propNames, `${pointer}/value`)
                 }
                 if (propNames.length > 0 && mapping.source && !propNames.includes(mapping.source)) {
                     this.addWarning(`Source '${mapping.source}' not found in props definition`)
@@ -113,37 +363,691 @@ export class ConfigValidator {
                 break
 
             case 'value':
-                if (!mapping.source) {
-                    this.addError(`Value mapping at index ${index} missing source`)
+                if (!mapping.source && !mapping.sources) {
+                    this.addError(`${pointer}: value mapping missing source`)
                 }
                 if (!mapping.transform) {
-                    this.addError(`Value mapping at index ${index} missing transform function`)
+                    this.addError(`${pointer}: value mapping missing transform function`)
+                }
+                if (propNames.length > 0 && mapping.source && !propNames.includes(mapping.source)) {
+                    this.addWarning(`Source '${mapping.source}' not found in props definition`)
+                }
+                break
+
+            case 'enum':
+                if (!mapping.source) {
+                    this.addError(`${pointer}: enum mapping missing source`)
+                }
+                if (!mapping.values || typeof mapping.values !== 'object' || Array.isArray(mapping.values)) {
+                    this.addError(`${pointer}: enum mapping missing values lookup table`)
+                    break
                 }
                 if (propNames.length > 0 && mapping.source && !propNames.includes(mapping.source)) {
                     this.addWarning(`Source '${mapping.source}' not found in props definition`)
                 }
+                this.validateEnumCoverage(mapping, props.find(p => p.name === mapping.source), pointer)
                 break
 
             case 'computed':
                 if (!mapping.computedRef) {
-                    this.addError(`Computed mapping at index ${index} missing computedRef`)
+                    this.addError(`${pointer}: computed mapping missing computedRef`)
                 }
                 if (!mapping.computation) {
-                    this.addError(`Computed mapping at index ${index} missing computation`)
+                    this.addError(`${pointer}: computed mapping missing computation`)
                 }
                 break
 
             case 'librarySpecific':
                 if (!mapping.library) {
-                    this.addError(`LibrarySpecific mapping at index ${index} missing library`)
+                    this.addError(`${pointer}: librarySpecific mapping missing library`)
                 }
                 if (!mapping.transform) {
-                    this.addError(`LibrarySpecific mapping at index ${index} missing transform`)
+                    this.addError(`${pointer}: librarySpecific mapping missing transform`)
                 }
                 break
         }
     }
 
+    /**
+     * Validate a multi-source mapping (`sources: [...]`)
+     * @param {Object} mapping
+     * @param {String[]} propNames
+     * @param {String} pointer - JSON pointer of the mapping
+     * @returns {Boolean} Whether type-specific validation should continue
+     */
+    validateMappingSources(mapping, propNames, pointer) {
+        const multiSourceTypes = ['conditional', 'value', 'computed']
+
+        if (!multiSourceTypes.includes(mapping.type)) {
+            this.addError(`${pointer}/sources: '${mapping.type}' mappings take a single source, sources is supported for ${multiSourceTypes.join(', ')}`)
+            return false
+        }
+        if (!Array.isArray(mapping.sources) || mapping.sources.length === 0) {
+            this.addError(`${pointer}/sources: must be a non-empty array of prop names`)
+            return false
+        }
+        if (mapping.source) {
+            this.addError(`${pointer}: mapping declares both source and sources`)
+        }
+
+        mapping.sources.forEach(source => {
+            if (propNames.length > 0 && !propNames.includes(source)) {
+                this.addWarning(`Source '${source}' not found in props definition`)
+            }
+        })
+        return true
+    }
+
+    /**
+     * Parse an expression and check that it only references declared props
+     * @param {String} expression
+     * @param {String[]} propNames
+     * @param {String} pointer - JSON pointer of the expression, e.g. `/propMappings/2/condition`
+     */
+    validateExpression(expression, propNames, pointer) {
+        const { errors } = new ExpressionCompiler(propNames).compile(String(expression))
+        errors.forEach(error => this.addError(`${pointer}: ${error}`))
+    }
+
+    /**
+     * Check that an enum mapping covers every option of its source prop
+     * @param {Object} mapping
+     * @param {Object} sourceProp - Declaration of the mapped prop
+     * @param {String} pointer - JSON pointer of the mapping
+     */
+    validateEnumCoverage(mapping, sourceProp, pointer) {
+        if (!sourceProp) return
+
+        const hasDefault = Object.prototype.hasOwnProperty.call(mapping, 'default')
+
+        if (!sourceProp.options) {
+            const defaultValue = sourceProp.default
+            if (defaultValue !== undefined && defaultValue !== null && !hasDefault &&
+                !Object.prototype.hasOwnProperty.call(mapping.values, String(defaultValue))) {
+                this.addError(`${pointer}/values: enum mapping does not cover the default ${JSON.stringify(defaultValue)} of '${mapping.source}'`)
+            }
+            return
+        }
+
+        const mappedValues = Object.keys(mapping.values)
+        const uncovered = sourceProp.options.filter(option => !mappedValues.includes(String(option)))
+
+        if (uncovered.length > 0 && !hasDefault) {
+            this.addError(`${pointer}/values: enum mapping does not cover '${mapping.source}' options: ${uncovered.join(', ')} (add them to values or set a default)`)
+        }
+
+        const unknown = mappedValues.filter(value => !sourceProp.options.map(String).includes(value))
+        if (unknown.length > 0) {
+            this.addWarning(`${pointer}/values: enum mapping maps values not in '${mapping.source}' options: ${unknown.join(', ')}`)
+        }
+    }
+
+    /**
+     * Validate event mappings (renames, payload extraction and transforms)
+     */
+    validateEvents(config) {
+        if (!config.events) return
+
+        const propNames = config.props ? config.props.map(p => p.name) : []
+        const boundEvents = new Set()
+
+        config.events.forEach((event, index) => {
+            const pointer = `/events/${index}`
+
+            if (!event.name) {
+                this.addError(`${pointer}: event missing name`)
+                return
+            }
+
+            if (event.type !== undefined && event.type !== 'librarySpecific') {
+                this.addError(`${pointer}/type: invalid event type '${event.type}'. Valid types: librarySpecific`)
+            }
+            if (event.type === 'librarySpecific' && !event.library) {
+                this.addError(`${pointer}: librarySpecific event missing library`)
+            }
+            if (event.libraryVersion && !semver.validRange(event.libraryVersion)) {
+                this.addError(`${pointer}/libraryVersion: invalid range '${event.libraryVersion}'`)
+            }
+            if (event.extract && !/^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/.test(event.extract)) {
+                this.addError(`${pointer}/extract: '${event.extract}' must be a property path like 'target.value'`)
+            }
+            if (event.transform) {
+                this.validateExpression(event.transform, propNames, `${pointer}/transform`)
+            }
+
+            // The same library event may be bound once per library and version range
+            const eventKey = [event.name, event.library || '*', event.libraryVersion || '*'].join('@')
+            if (boundEvents.has(eventKey)) {
+                this.addError(`Duplicate event binding: ${event.name}`)
+            }
+            boundEvents.add(eventKey)
+        })
+    }
+
+    /**
+     * Validate v-model definitions (model name, bound library prop and update event)
+     */
+    validateModel(config) {
+        if (!config.model) return
+
+        const models = Array.isArray(config.model) ? config.model : [config.model]
+        const propNames = config.props ? config.props.map(p => p.name) : []
+        const mappedTargets = (config.propMappings || []).map(m => m.target)
+        const boundEvents = (config.events || []).map(e => e.name)
+        const modelNames = new Set()
+
+        models.forEach((model, index) => {
+            const name = model.name || 'modelValue'
+            const target = model.target || name
+            const event = model.event || `update:${target}`
+            const pointer = Array.isArray(config.model) ? `/model/${index}` : '/model'
+
+            if (!/^[A-Za-z_$][\w$]*$/.test(name)) {
+                this.addError(`${pointer}/name: '${name}' must be a valid identifier`)
+            }
+            if (modelNames.has(name)) {
+                this.addError(`Duplicate model: ${name}`)
+            }
+            modelNames.add(name)
+
+            if (propNames.includes(name)) {
+                this.addError(`Model '${name}' is also declared as a prop, remove it from props`)
+            }
+            if (model.type && !['string', 'number', 'boolean', 'array', 'object', 'function'].includes(model.type)) {
+                this.addError(`Model '${name}' has invalid type '${model.type}'`)
+            }
+            if (mappedTargets.includes(target)) {
+                this.addError(`Model '${name}' binds '${target}', which is also a prop mapping target`)
+            }
+            if (boundEvents.includes(event)) {
+                this.addWarning(`Model '${name}' listens to '${event}', which is also bound in events`)
+            }
+            if (model.extract && !/^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/.test(model.extract)) {
+                this.addError(`Model '${name}': extract '${model.extract}' must be a property path like 'target.value'`)
+            }
+            if (model.transform) {
+                const { errors } = new ExpressionCompiler([...propNames, name]).compile(String(model.transform))
+                errors.forEach(error => this.addError(`Model '${name}': ${error}`))
+            }
+
+            this.validateDefault(model, `Model '${name}'`, pointer)
+
+            // The wrapper emits update:<name> for the model itself
+            const eventIndex = (config.events || []).findIndex(entry => (entry.emit || entry.name) === `update:${name}`)
+            if (eventIndex !== -1) {
+                this.addError(`/events/${eventIndex}: 'update:${name}' is already emitted by model '${name}'`)
+            }
+        })
+    }
+
+    /**
+     * Validate the attribute passthrough policy and flag names that shadow semantic props
+     */
+    validatePassthrough(config) {
+        const { passthrough } = config
+        if (passthrough === undefined) return
+
+        if (passthrough === 'all' || passthrough === 'none') return
+
+        const names = Array.isArray(passthrough) ? passthrough : (passthrough?.allow || passthrough?.deny)
+        if (!Array.isArray(names) || (passthrough.allow && passthrough.deny)) {
+            this.addError("passthrough must be 'all', 'none', an array, { allow: [...] } or { deny: [...] }")
+            return
+        }
+
+        const propNames = new Set([
+            ...(config.props || []).map(p => p.name),
+            ...(Array.isArray(config.model) ? config.model : config.model ? [config.model] : []).map(m => m.name || 'modelValue')
+        ])
+        const targets = new Set((config.propMappings || []).map(m => m.target))
+        const isDenyList = !Array.isArray(passthrough) && Array.isArray(passthrough.deny)
+
+        names.forEach(name => {
+            if (typeof name !== 'string' || !name) {
+                this.addError(`passthrough names must be non-empty strings, got ${JSON.stringify(name)}`)
+            } else if (propNames.has(name)) {
+                this.addWarning(`passthrough name '${name}' collides with semantic prop '${name}' and is never forwarded`)
+            } else if (!isDenyList && targets.has(name)) {
+                this.addWarning(`passthrough name '${name}' is also a mapped target, the semantic binding takes precedence`)
+            }
+        })
+    }
+
+    /**
+     * Validate slot definitions: unique names and library targets, scoped-prop renames and fallbacks.
+     * Slots marked `unsupported` are not rendered, so they bind nothing.
+     */
+    validateSlots(config) {
+        if (config.forwardSlots !== undefined && typeof config.forwardSlots !== 'boolean') {
+            this.addError('forwardSlots must be a boolean')
+        }
+        if (!config.slots) return
+
+        const propNames = (config.props || []).map(p => p.name)
+        const names = new Set()
+        const targets = new Set()
+
+        config.slots.forEach((slot, index) => {
+            if (!slot.name) {
+                this.addError(`/slots/${index}: slot missing name`)
+                return
+            }
+
+            const target = slot.target || slot.name
+            if (names.has(slot.name)) {
+                this.addError(`Duplicate slot: ${slot.name}`)
+            }
+            if (slot.unsupported) {
+                names.add(slot.name)
+                const bindings = ['target', 'props', 'fallback'].filter(field => slot[field] !== undefined)
+                if (bindings.length > 0) {
+                    this.addError(`Slot '${slot.name}' is unsupported and cannot declare ${bindings.join(', ')}`)
+                }
+                return
+            }
+            if (targets.has(target)) {
+                this.addError(`Slot '${slot.name}': library slot '${target}' is already targeted by another slot`)
+            }
+            names.add(slot.name)
+            targets.add(target)
+
+            if (slot.props !== undefined) {
+                const renames = Array.isArray(slot.props) ? slot.props.map(name => [name, name]) : Object.entries(slot.props || {})
+                const isValid = slot.props !== null && typeof slot.props === 'object' &&
+                    renames.every(([semantic, library]) => /^[A-Za-z_$][\w$-]*$/.test(semantic) && typeof library === 'string' && library)
+
+                if (!isValid) {
+                    this.addError(`Slot '${slot.name}': props must be an array of names or a { semanticName: 'libraryName' } object`)
+                }
+            }
+
+            if (slot.fallback && !propNames.includes(slot.fallback)) {
+                this.addError(`Slot '${slot.name}': fallback '${slot.fallback}' is not a declared prop`)
+            }
+        })
+    }
+
+    /**
+     * Validate exposed methods (semantic name to library instance method path)
+     */
+    validateMethods(config) {
+        if (!config.methods) return
+
+        if (!Array.isArray(config.methods)) {
+            this.addError('methods must be an array of { name, target } entries')
+            return
+        }
+
+        const propNames = (config.props || []).map(p => p.name)
+        const methodKeys = new Set()
+
+        config.methods.forEach((method, index) => {
+            const pointer = `/methods/${index}`
+
+            if (!method.name || !/^[A-Za-z_$][\w$]*$/.test(method.name)) {
+                this.addError(`${pointer}/name: must be a valid identifier`)
+                return
+            }
+            if (propNames.includes(method.name)) {
+                this.addError(`Method '${method.name}' collides with a prop of the same name`)
+            }
+            if (method.target && !/^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/.test(method.target)) {
+                this.addError(`Method '${method.name}': target '${method.target}' must be a property path like 'validate' or '$el.focus'`)
+            }
+            if (method.type !== undefined && method.type !== 'librarySpecific') {
+                this.addError(`${pointer}/type: invalid method type '${method.type}'. Valid types: librarySpecific`)
+            }
+            if (method.type === 'librarySpecific' && !method.library) {
+                this.addError(`${pointer}: librarySpecific method missing library`)
+            }
+            if (method.libraryVersion && !semver.validRange(method.libraryVersion)) {
+                this.addError(`${pointer}/libraryVersion: invalid range '${method.libraryVersion}'`)
+            }
+
+            // The same method may be declared once per library and version range
+            const methodKey = [method.name, method.library || '*', method.libraryVersion || '*'].join('@')
+            if (methodKeys.has(methodKey)) {
+                this.addError(`Duplicate method: ${method.name}`)
+            }
+            methodKeys.add(methodKey)
+        })
+    }
+
+    /**
+     * Validate the child tree of a compound component. Each child is checked like a
+     * root config (mappings, events, model, slots) against the root's props, then
+     * names shared across the tree are checked for collisions.
+     */
+    validateChildren(config) {
+        if (config.children === undefined) return
+
+        const props = config.props || []
+        const propNames = props.map(p => p.name)
+        const engine = new TransformationEngine()
+        const nodes = [{ node: config, label: 'Root' }]
+        let refCount = 0
+
+        const walk = (parent, parentPath, parentPointer) => {
+            if (!Array.isArray(parent.children)) {
+                this.addError(`${parentPath ? `Child ${parentPath}` : 'Root'}: children must be an array`)
+                return
+            }
+
+            const isNativeParent = LibraryAdapter.isNativeElement(parent.baseComponent)
+            const semanticTargets = new Set((parent.slots || []).filter(slot => !slot.unsupported).map(slot => slot.target || slot.name))
+
+            parent.children.forEach((child, index) => {
+                const path = parentPath ? `${parentPath}.${index}` : String(index)
+                const pointer = `${parentPointer}/children/${index}`
+                const label = `Child ${path}${child?.baseComponent ? ` (${child.baseComponent})` : ''}`
+
+                if (!child || typeof child !== 'object' || !child.baseComponent) {
+                    this.addError(`${label}: baseComponent is required`)
+                    return
+                }
+
+                this.withContext(label, pointer, () => {
+                    const node = { ...child, props }
+                    this.validateMappingIntegrity(node)
+                    this.validateEvents(node)
+                    this.validateModel(node)
+                    this.validateSlots(node)
+                })
+
+                if (isNativeParent && child.slot !== undefined) {
+                    this.addWarning(`${label}: slot '${child.slot}' is ignored, native element '${parent.baseComponent}' has no slots`)
+                } else if (!isNativeParent && semanticTargets.has(child.slot || 'default')) {
+                    this.addError(`${label}: library slot '${child.slot || 'default'}' is also the target of a semantic slot`)
+                }
+                if (child.if !== undefined) {
+                    const { errors } = new ExpressionCompiler(propNames).compile(String(child.if))
+                    errors.forEach(error => this.addError(`${label}: ${error}`))
+                }
+                if (child.ref !== undefined && typeof child.ref !== 'boolean') {
+                    this.addError(`${label}: ref must be a boolean`)
+                }
+                if (child.ref) refCount++
+                if (child.passthrough !== undefined || child.methods !== undefined || child.forwardSlots !== undefined) {
+                    this.addWarning(`${label}: passthrough, methods and forwardSlots only apply to the root component`)
+                }
+
+                nodes.push({ node: child, label })
+                if (child.children !== undefined) walk(child, path, pointer)
+            })
+        }
+
+        walk(config, '', '')
+
+        if (refCount > 1) {
+            this.addError('Only one child may be marked ref: true')
+        }
+        if (refCount > 0 && !config.methods) {
+            this.addWarning('A child is marked ref: true but the component exposes no methods')
+        }
+
+        // Slot outlets, models and computed properties all end up on the same wrapper
+        const slotNames = new Map()
+        const modelNames = new Map()
+        const computedNames = new Map()
+
+        nodes.forEach(({ node, label }) => {
+            const slots = node.slots || []
+            const mappings = node.propMappings || []
+
+            slots.forEach(slot => this.addTreeName(slotNames, slot.name, label, 'Slot'))
+            engine.normalizeModels(node.model).forEach(model => this.addTreeName(modelNames, model.name, label, 'Model'))
+            mappings.forEach(mapping => {
+                if (mapping.type === 'value' && mapping.target) {
+                    this.addTreeName(computedNames, engine.getComputedName(mapping.target), label, 'Computed property', mapping.libraryVersion)
+                } else if (mapping.type === 'computed' && mapping.computedRef) {
+                    this.addTreeName(computedNames, mapping.computedRef, label, 'Computed property', mapping.libraryVersion)
+                }
+            })
+        })
+    }
+
+    /**
+     * Validate every library component of the tree against the library's metadata:
+     * mapping targets and v-model props must be component props (or global attributes),
+     * bound events must be emitted by the component (or be DOM events), and direct and
+     * enum mappings must pass values of a type the library prop accepts.
+     * Slot metadata is often incomplete (default slots are rarely listed), so unknown
+     * slot targets are warnings.
+     */
+    validateLibraryApi(config) {
+        if (!this.libraryMetadata || !config.baseComponent) return
+
+        const engine = new TransformationEngine(this.libraryAdapter)
+        const props = config.props || []
+        const library = this.libraryAdapter.label || this.libraryAdapter.name
+
+        const validateNode = node => {
+            const component = this.libraryMetadata.getComponent(node.baseComponent)
+
+            if (component) {
+                this.validateComponentApi({ ...node, props }, component, engine)
+            } else {
+                this.addError(`Unknown ${library} component '${node.baseComponent}'${this.suggest(node.baseComponent, this.libraryMetadata.getComponentNames())}`)
+            }
+        }
+
+        const walk = (node, nodePath, pointer) => {
+            if (!node || typeof node !== 'object' || !node.baseComponent) return
+
+            if (!LibraryAdapter.isNativeElement(node.baseComponent)) {
+                if (nodePath) {
+                    this.withContext(`Child ${nodePath} (${node.baseComponent})`, pointer, () => validateNode(node))
+                } else {
+                    validateNode(node)
+                }
+            }
+
+            if (Array.isArray(node.children)) {
+                node.children.forEach((child, index) => walk(child, nodePath ? `${nodePath}.${index}` : String(index), `${pointer}/children/${index}`))
+            }
+        }
+
+        walk(config, '', '')
+    }
+
+    /**
+     * Validate one tree node against the metadata of its library component
+     * @param {Object} node - Tree node with the root's props
+     * @param {Object} component - Normalized component metadata
+     * @param {TransformationEngine} engine - Engine bound to the library adapter
+     */
+    validateComponentApi(node, component, engine) {
+        const libraryProps = new Map(component.props.map(prop => [prop.name, prop]))
+        const libraryEvents = new Set(component.events.map(event => this.libraryMetadata.toCamelCase(event.name)))
+        const propNames = Array.from(libraryProps.keys())
+        const props = node.props || []
+
+        const findProp = target => libraryProps.get(this.libraryMetadata.toCamelCase(target))
+        const isAttribute = target => HTML_ATTRIBUTES.has(target) || /^(aria|data)-/.test(target)
+
+        engine.resolveMappings(node.propMappings)
+            .filter(mapping => mapping.target && (mapping.type !== 'librarySpecific' || engine.isCurrentLibrary(mapping.library)))
+            .forEach(mapping => {
+                const libraryProp = findProp(mapping.target)
+
+                if (!libraryProp) {
+                    if (!isAttribute(mapping.target)) {
+                        this.addError(`Mapping target '${mapping.target}' is not a ${component.name} prop${this.suggest(mapping.target, propNames)}`)
+                    }
+                    return
+                }
+                this.validateMappingValueType(mapping, libraryProp, props, component)
+            })
+
+        const eventNames = [...component.events.map(event => event.name), ...DOM_EVENTS]
+
+        engine.normalizeModels(node.model).forEach(model => {
+            if (!findProp(model.target)) {
+                this.addError(`Model '${model.name}': '${model.target}' is not a ${component.name} prop${this.suggest(model.target, propNames)}`)
+            }
+            if (!this.isKnownEvent(model.event, libraryEvents, libraryProps)) {
+                this.addError(`Model '${model.name}': '${model.event}' is not a ${component.name} event${this.suggest(model.event, eventNames)}`)
+            }
+        })
+
+        engine.resolveEvents(node.events).forEach(event => {
+            if (event.name && !this.isKnownEvent(event.name, libraryEvents, libraryProps)) {
+                this.addError(`Event '${event.name}' is not emitted by ${component.name}${this.suggest(event.name, eventNames)}`)
+            }
+        })
+
+        const librarySlots = component.slots.map(slot => slot.name)
+        const slots = (node.slots || []).filter(slot => !slot.unsupported)
+
+        slots.forEach(slot => {
+            const target = slot.target || slot.name
+            if (target !== 'default' && !librarySlots.includes(target)) {
+                this.addWarning(`Slot '${slot.name}': ${component.name} has no slot '${target}'${this.suggest(target, librarySlots)}`)
+            }
+        })
+    }
+
+    /**
+     * Check that a direct or enum mapping passes values the library prop accepts
+     * @param {Object} mapping
+     * @param {Object} libraryProp - Metadata prop
+     * @param {Array} props - Declared semantic props
+     * @param {Object} component - Component metadata
+     */
+    validateMappingValueType(mapping, libraryProp, props, component) {
+        if (!libraryProp.types) return
+
+        const accepted = libraryProp.types.join(' | ')
+        const describe = `Mapping '${mapping.source}' → '${mapping.target}'`
+
+        if (mapping.type === 'direct') {
+            const sourceProp = props.find(prop => prop.name === mapping.source)
+            if (sourceProp?.type && !libraryProp.types.includes(sourceProp.type)) {
+                this.addError(`${describe}: ${sourceProp.type} prop bound to ${component.name} '${libraryProp.name}', which accepts ${accepted}`)
+            }
+            const unknownOptions = libraryProp.options && sourceProp?.options
+                ? sourceProp.options.filter(option => !libraryProp.options.includes(option))
+                : []
+            if (unknownOptions.length > 0) {
+                this.addWarning(`${describe}: ${component.name} '${libraryProp.name}' does not accept ${unknownOptions.join(', ')} (accepts ${libraryProp.options.join(', ')}), use an enum mapping`)
+            }
+            // The default is bound whenever the consumer omits the prop, so it must be valid for the library
+            if (libraryProp.options && typeof sourceProp?.default === 'string' && !libraryProp.options.includes(sourceProp.default)) {
+                this.addError(`${describe}: default '${sourceProp.default}' of '${sourceProp.name}' is not an option of ${component.name} '${libraryProp.name}'${this.suggest(sourceProp.default, libraryProp.options)}`)
+            }
+        } else if (mapping.type === 'enum') {
+            const values = Object.values(mapping.values || {}).filter(value => value !== undefined && value !== null)
+            const wrongType = values.filter(value => !libraryProp.types.includes(typeof value))
+            if (wrongType.length > 0) {
+                this.addError(`${describe}: enum values ${wrongType.map(value => JSON.stringify(value)).join(', ')} do not match ${component.name} '${libraryProp.name}', which accepts ${accepted}`)
+            }
+            const unknownOptions = libraryProp.options
+                ? values.filter(value => typeof value === 'string' && !libraryProp.options.includes(value))
+                : []
+            unknownOptions.forEach(value => {
+                this.addError(`${describe}: '${value}' is not an option of ${component.name} '${libraryProp.name}'${this.suggest(value, libraryProp.options)}`)
+            })
+        }
+    }
+
+    /**
+     * Check if a library component emits an event: declared by its metadata,
+     * a DOM event falling through to its root, or `update:<prop>` of one of its props
+     * @param {String} name
+     * @param {Set} libraryEvents - camelCase event names
+     * @param {Map} libraryProps
+     * @returns {Boolean}
+     */
+    isKnownEvent(name, libraryEvents, libraryProps) {
+        const event = this.libraryMetadata.toCamelCase(name)
+        const updatedProp = event.startsWith('update:') ? event.slice('update:'.length) : null
+
+        return libraryEvents.has(event) || DOM_EVENTS.has(name) || Boolean(updatedProp && libraryProps.has(updatedProp))
+    }
+
+    /**
+     * Suggest the closest candidate for a misspelled name
+     * @param {String} name
+     * @param {String[]} candidates
+     * @returns {String} ` (did you mean 'x'?)` or an empty string
+     */
+    suggest(name, candidates) {
+        const normalize = value => String(value).replace(/-([a-z0-9])/g, (match, char) => char.toUpperCase()).toLowerCase()
+        const target = normalize(name)
+        let best = null
+        let bestDistance = Infinity
+
+        candidates.forEach(candidate => {
+            const distance = this.editDistance(target, normalize(candidate))
+            if (distance < bestDistance) {
+                best = candidate
+                bestDistance = distance
+            }
+        })
+
+        return best !== null && bestDistance <= Math.max(2, Math.floor(target.length / 3))
+            ? ` (did you mean '${best}'?)`
+            : ''
+    }
+
+    /**
+     * Levenshtein distance between two strings
+     * @returns {Number}
+     */
+    editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, index) => index)
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i]
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                )
+            }
+            previous = current
+        }
+        return previous[b.length]
+    }
+
+    /**
+     * Record a name declared by a tree node, reporting names already declared by another node
+     * @param {Map} names - Name to declaring node label
+     * @param {String} name
+     * @param {String} label - Declaring node
+     * @param {String} kind - e.g. 'Slot'
+     * @param {String} scope - Version range; names for different ranges never coexist
+     */
+    addTreeName(names, name, label, kind, scope = '*') {
+        if (!name) return
+
+        const key = `${name}@${scope}`
+        if (names.has(key) && names.get(key) !== label) {
+            this.addError(`${kind} '${name}' is declared by both ${names.get(key)} and ${label}`)
+        }
+        names.set(key, label)
+    }
+
+    /**
+     * Run validations whose messages are prefixed with the node they apply to.
+     * Messages that start with a JSON pointer get the node's pointer prepended,
+     * all others are prefixed with its label.
+     * @param {String} label - e.g. 'Child 0 (VCard)'
+     * @param {String} pointer - e.g. '/children/0'
+     * @param {Function} validate
+     */
+    withContext(label, pointer, validate) {
+        const errorCount = this.errors.length
+        const warningCount = this.warnings.length
+        const prefix = message => message.startsWith('/') ? `${pointer}${message}` : `${label}: ${message}`
+
+        validate()
+
+        this.errors = [...this.errors.slice(0, errorCount), ...this.errors.slice(errorCount).map(prefix)]
+        this.warnings = [...this.warnings.slice(0, warningCount), ...this.warnings.slice(warningCount).map(prefix)]
+    }
+
     /**
      * Check for circular dependencies in computed properties
      */
@@ -0,0 +1,393 @@
+/**
+ * Cross-library API Parity Checker
+ * Loads every library's config for the same semantic component and compares the
+ * public API each one generates: props (type, required, default, options and how
+ * they reach the library), v-model bindings, events, slots and exposed methods.
+ *
+ * Differences are either `breaking` (a consumer of one library loses API when
+ * migrating: missing component/prop/event/slot/model/method, incompatible type,
+ * required flag or options) or `warning` (same API, different behaviour: defaults,
+ * payloads, slot props, props bound as-is where other libraries map them).
+ *
+ * File: src/core/validation/ParityChecker.js
+ */
+
+import { ConfigLoader } from '../config/ConfigLoader.js'
+import { TransformationEngine } from '../components/TransformationEngine.js'
+import { ExpressionCompiler } from '../components/ExpressionCompiler.js'
+import { readdirSync, existsSync } from 'fs'
+import path from 'path'
+
+export const PARITY_FORMATS = ['markdown', 'json']
+
+// Declared prop attributes compared between libraries, and the severity of a mismatch
+const PROP_ATTRIBUTES = { type: 'breaking', required: 'breaking', options: 'breaking', default: 'warning' }
+
+// Ways a declared prop can reach the library component; otherwise it is bound
+// as-is (`direct`) or not at all (`unmapped`, only mapped for other library versions)
+const SUPPORTED_PROP = ['mapped', 'slot', 'condition']
+
+const ENTRY_KINDS = ['prop', 'model', 'event', 'slot', 'method']
+
+export class ParityChecker {
+    /**
+     * @param {Object} options
+     * @param {AdapterRegistry} options.adapterRegistry - Registry the libraries are created from
+     * @param {ConfigLoader} options.configLoader - Loader resolving `extends` overlays
+     */
+    constructor(options = {}) {
+        this.adapterRegistry = options.adapterRegistry
+        this.configLoader = options.configLoader || new ConfigLoader()
+    }
+
+    /**
+     * Compare the components of several libraries
+     * @param {String[]} libraries - Library names (default: every registered library)
+     * @param {String[]} componentNames - Limit the report to these components (default: all)
+     * @returns {Promise<Object>} Report with libraries, components and differences
+     */
+    async check(libraries = this.adapterRegistry.getNames(), componentNames = []) {
+        const loaded = []
+        for (const library of libraries) {
+            loaded.push(await this.loadLibrary(library))
+        }
+
+        const names = new Set()
+        loaded.forEach(library => library.configs.forEach((config, name) => names.add(name)))
+
+        const components = Array.from(names)
+            .filter(name => componentNames.length === 0 || componentNames.includes(name))
+            .sort()
+            .map(name => this.compareComponent(name, loaded))
+
+        const loadErrors = loaded.flatMap(library => library.errors.map(message => ({
+            component: null,
+            kind: 'config',
+            name: library.name,
+            libraries: [library.name],
+            severity: 'breaking',
+            message
+        })))
+
+        const differences = [...loadErrors, ...components.flatMap(component => component.differences)]
+
+        return {
+            libraries: loaded.map(({ name, version }) => ({ name, version })),
+            components,
+            differences,
+            summary: {
+                components: components.length,
+                breaking: differences.filter(difference => difference.severity === 'breaking').length,
+                warnings: differences.filter(difference => difference.severity === 'warning').length
+            }
+        }
+    }
+
+    /**
+     * Load every component config of a library, keyed by component name
+     * @param {String} library
+     * @returns {Promise<Object>} { name, version, engine, configs, errors }
+     */
+    async loadLibrary(library) {
+        const adapter = this.adapterRegistry.create(library)
+        const configDir = adapter.configDir || path.resolve(`./src/configs/${library}`)
+        const configs = new Map()
+        const errors = []
+
+        const configFiles = existsSync(configDir)
+            ? readdirSync(configDir).filter(file => file.endsWith('.config.js')).sort()
+            : []
+
+        for (const configFile of configFiles) {
+            try {
+                const config = await this.configLoader.load(path.join(configDir, configFile))
+                if (config && config.name) {
+                    configs.set(config.name, config)
+                }
+            } catch (error) {
+                errors.push(`Failed to load ${library}/${configFile}: ${error.message}`)
+            }
+        }
+
+        return { name: library, version: adapter.version || null, engine: new TransformationEngine(adapter), configs, errors }
+    }
+
+    /**
+     * Compare one semantic component across libraries
+     * @param {String} name - Component name
+     * @param {Object[]} libraries - Loaded libraries
+     * @returns {Object} { name, libraries, rows, differences }
+     */
+    compareComponent(name, libraries) {
+        const present = libraries.filter(library => library.configs.has(name))
+        const apis = new Map(present.map(library => [library.name, this.describeComponent(library.configs.get(name), library.engine)]))
+        const differences = []
+        const addDifference = (kind, entryName, severity, affected, message) =>
+            differences.push({ component: name, kind, name: entryName, libraries: affected, severity, message })
+
+        libraries
+            .filter(library => !library.configs.has(name))
+            .forEach(library => addDifference('component', name, 'breaking', [library.name], `${name} is not available in ${library.name}`))
+
+        const rows = []
+
+        ENTRY_KINDS.forEach(kind => {
+            this.collectKeys(present, apis, kind).forEach(key => {
+                const entries = new Map(present.map(library => [library.name, apis.get(library.name)[kind].get(key) || null]))
+                const declared = present.filter(library => entries.get(library.name))
+                const librarySpecific = declared.some(library => entries.get(library.name).librarySpecific)
+
+                rows.push({
+                    kind,
+                    name: key,
+                    librarySpecific,
+                    cells: Object.fromEntries(libraries.map(library => [library.name, entries.get(library.name) || null]))
+                })
+
+                // Library-only events and methods are extensions, not part of the shared API
+                if (librarySpecific) return
+
+                const missing = present.filter(library => !entries.get(library.name))
+                if (missing.length > 0) {
+                    addDifference(kind, key, 'breaking', missing.map(library => library.name),
+                        `${kind} '${key}' is missing in ${this.formatList(missing.map(library => library.name))}`)
+                }
+
+                this.compareEntries(kind, key, declared.map(library => [library.name, entries.get(library.name)]), addDifference)
+            })
+        })
+
+        return { name, libraries: present.map(library => library.name), rows, differences }
+    }
+
+    /**
+     * Compare the declared entries of one prop/model/event/slot/method across libraries
+     * @param {String} kind
+     * @param {String} key - Entry name
+     * @param {Array} entries - [library, entry] pairs of the libraries declaring the entry
+     * @param {Function} addDifference
+     */
+    compareEntries(kind, key, entries, addDifference) {
+        const compare = (attribute, severity, valueOf = entry => entry[attribute]) => {
+            const groups = new Map()
+            entries.forEach(([library, entry]) => {
+                const value = this.formatValue(valueOf(entry))
+                groups.set(value, [...(groups.get(value) || []), library])
+            })
+            if (groups.size > 1) {
+                const detail = Array.from(groups, ([value, names]) => `${names.join(', ')}: ${value}`).join('; ')
+                addDifference(kind, key, severity, entries.map(([library]) => library), `${kind} '${key}': ${attribute} mismatch (${detail})`)
+            }
+        }
+
+        if (kind === 'prop') {
+            Object.entries(PROP_ATTRIBUTES).forEach(([attribute, severity]) => {
+                compare(attribute, severity, attribute === 'options'
+                    ? entry => entry.options && [...entry.options].map(String).sort()
+                    : undefined)
+            })
+
+            // A prop bound as-is where other libraries map it is usually ignored by the library
+            const supported = entries.filter(([, entry]) => SUPPORTED_PROP.includes(entry.support))
+            const unsupported = entries.filter(([, entry]) => !SUPPORTED_PROP.includes(entry.support))
+            if (supported.length > 0 && unsupported.length > 0) {
+                addDifference(kind, key, 'warning', unsupported.map(([library]) => library),
+                    `prop '${key}' is not mapped in ${this.formatList(unsupported.map(([library]) => library))} (other libraries map it)`)
+            }
+        } else if (kind === 'model') {
+            compare('type', 'breaking')
+            compare('default', 'warning')
+        } else if (kind === 'event') {
+            compare('payload', 'warning')
+        } else if (kind === 'slot') {
+            // An overlay declares a slot unsupported when its library has no equivalent
+            const unsupported = entries.filter(([, entry]) => entry.unsupported)
+            if (unsupported.length > 0) {
+                addDifference(kind, key, 'warning', unsupported.map(([library]) => library),
+                    `slot '${key}' is not supported by ${this.formatList(unsupported.map(([library]) => library))}`)
+            }
+            compare('props', 'warning', entry => entry.props && [...entry.props].sort())
+        }
+    }
+
+    /**
+     * Collect entry names of a kind in declaration order, first library first
+     * @returns {String[]}
+     */
+    collectKeys(present, apis, kind) {
+        const keys = new Set()
+        present.forEach(library => apis.get(library.name)[kind].forEach((entry, key) => keys.add(key)))
+        return Array.from(keys)
+    }
+
+    /**
+     * Describe the public API a config generates for its library
+     * @param {Object} config - Merged component configuration
+     * @param {TransformationEngine} engine - Engine bound to the library adapter
+     * @returns {Object} Maps of props, models, events, slots and methods by name
+     */
+    describeComponent(config, engine) {
+        const walk = node => [node, ...(node.children || []).flatMap(walk)]
+        const nodes = walk(config)
+        const props = config.props || []
+        const propNames = props.map(prop => prop.name)
+        const references = expression => new ExpressionCompiler(propNames).compile(String(expression)).references
+
+        const targets = new Map()
+        nodes.forEach(node => engine.resolveMappings(node.propMappings).forEach(mapping => {
+            engine.getMappingSources(mapping).forEach(source => targets.set(source, [...(targets.get(source) || []), mapping.target]))
+        }))
+        const slotFallbacks = new Set(nodes.flatMap(node => (node.slots || []).filter(slot => slot.fallback).flatMap(slot => references(slot.fallback))))
+        const conditions = new Set(nodes.filter(node => node !== config && node.if).flatMap(node => references(node.if)))
+        const versionedSources = new Set(nodes.flatMap(node => (node.propMappings || []).flatMap(mapping => engine.getMappingSources(mapping))))
+
+        const supportOf = name => {
+            if (targets.has(name)) return 'mapped'
+            if (slotFallbacks.has(name)) return 'slot'
+            if (conditions.has(name)) return 'condition'
+            // Mappings for other library versions keep the prop from being bound as-is
+            return versionedSources.has(name) ? 'unmapped' : 'direct'
+        }
+
+        return {
+            prop: new Map(props.map(prop => [prop.name, {
+                type: prop.type,
+                required: Boolean(prop.required),
+                default: prop.default,
+                options: prop.options,
+                support: supportOf(prop.name),
+                targets: Array.from(new Set(targets.get(prop.name) || []))
+            }])),
+            model: new Map(nodes.flatMap(node => engine.normalizeModels(node.model)).map(model => [model.name, {
+                type: model.type || 'string',
+                default: model.default,
+                target: model.target,
+                event: model.event
+            }])),
+            event: new Map(nodes.flatMap(node => engine.resolveEvents(node.events)).map(event => [event.emit || event.name, {
+                target: event.name,
+                payload: event.payload,
+                librarySpecific: event.type === 'librarySpecific'
+            }])),
+            slot: new Map(nodes.flatMap(node => node.slots || []).map(slot => [slot.name, {
+                target: slot.target || slot.name,
+                props: slot.props,
+                fallback: slot.fallback,
+                unsupported: Boolean(slot.unsupported)
+            }])),
+            method: new Map(engine.resolveMethods(config.methods).map(method => [method.name, {
+                target: method.target,
+                librarySpecific: method.type === 'librarySpecific'
+            }]))
+        }
+    }
+
+    /**
+     * Format a declared value for difference messages
+     * @param {*} value
+     * @returns {String}
+     */
+    formatValue(value) {
+        return value === undefined ? 'none' : JSON.stringify(value)
+    }
+
+    /**
+     * @param {String[]} names
+     * @returns {String} e.g. 'primevue and quasar'
+     */
+    formatList(names) {
+        return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0]
+    }
+
+    /**
+     * Render the report as a JSON document
+     * @param {Object} report
+     * @returns {String}
+     */
+    toJSON(report) {
+        return JSON.stringify(report, (key, value) => value === undefined ? null : value, 2)
+    }
+
+    /**
+     * Render the report as a markdown matrix, one table per component
+     * @param {Object} report
+     * @returns {String}
+     */
+    toMarkdown(report) {
+        const names = report.libraries.map(library => library.name)
+        const lines = [
+            '# Component API Parity',
+            '',
+            `Libraries: ${report.libraries.map(library => library.version ? `${library.name} ${library.version}` : library.name).join(', ')}`,
+            '',
+            `${report.summary.components} components, ${report.summary.breaking} breaking differences, ${report.summary.warnings} warnings`,
+            ''
+        ]
+
+        const configErrors = report.differences.filter(difference => difference.kind === 'config')
+        if (configErrors.length > 0) {
+            lines.push('## Configuration errors', '', ...configErrors.map(difference => `- ❌ ${difference.message}`), '')
+        }
+
+        report.components.forEach(component => {
+            lines.push(`## ${component.name}`, '')
+            lines.push(`| | ${names.join(' | ')} |`)
+            lines.push(`|---|${names.map(() => '---').join('|')}|`)
+            lines.push(`| **component** | ${names.map(name => component.libraries.includes(name) ? '✅' : '❌').join(' | ')} |`)
+
+            component.rows.forEach(row => {
+                const label = `${row.kind} \`${row.name}\`${row.librarySpecific ? ' (library-specific)' : ''}`
+                const cells = names.map(name => {
+                    if (!component.libraries.includes(name)) return ''
+                    return this.formatCell(row.kind, row.cells[name], row.librarySpecific)
+                })
+                lines.push(`| ${label} | ${cells.join(' | ')} |`)
+            })
+
+            lines.push('')
+
+            if (component.differences.length > 0) {
+                component.differences.forEach(difference => {
+                    lines.push(`- ${difference.severity === 'breaking' ? '❌' : '⚠️'} ${difference.message}`)
+                })
+                lines.push('')
+            }
+        })
+
+        return lines.join('\n')
+    }
+
+    /**
+     * Render one matrix cell: how the library implements an entry
+     * @param {String} kind
+     * @param {Object|null} entry
+     * @param {Boolean} librarySpecific
+     * @returns {String}
+     */
+    formatCell(kind, entry, librarySpecific) {
+        if (!entry) return librarySpecific ? '' : '❌'
+
+        if (kind === 'prop') {
+            switch (entry.support) {
+                case 'mapped': return entry.targets.map(target => `\`${target}\``).join(', ')
+                case 'slot': return 'slot fallback'
+                case 'condition': return 'condition'
+                case 'direct': return 'as-is'
+                default: return '—'
+            }
+        }
+        if (kind === 'slot' && entry.unsupported) {
+            return 'unsupported'
+        }
+        if (kind === 'slot' && entry.fallback) {
+            return `\`#${entry.target}\` (fallback \`${entry.fallback}\`)`
+        }
+        if (kind === 'slot') {
+            return `\`#${entry.target}\``
+        }
+        if (kind === 'model') {
+            return `\`${entry.target}\` / \`${entry.event}\``
+        }
+        return `\`${entry.target}\``
+    }
+}
@@ -0,0 +1,366 @@
+/**
+ * Validation Reporter
+ * Collects ConfigValidator results per config file and renders them for CI:
+ * JSON, SARIF 2.1.0 (code scanning / pull request annotations) or JUnit XML.
+ *
+ * Messages that start with a JSON pointer (`/propMappings/2/type: ...`) or a child
+ * label (`Child 0.1 (VBtn): ...`) are located in the config source, so annotations
+ * land on the offending line; other messages point at the exported config object. Overlays are validated merged onto their semantic
+ * config, so pointers into semantic fields or merged entries stop at the nearest node the
+ * overlay declares itself.
+ *
+ * Result of one file:
+ *   {
+ *       file: 'src/configs/vuetify/button.config.js',
+ *       kind: 'component' | 'semantic' | 'library',
+ *       component: 'Button',
+ *       library: 'vuetify',
+ *       valid: true,
+ *       errors: [{ message, pointer, line, column }],
+ *       warnings: [...]
+ *   }
+ *
+ * File: src/core/validation/ValidationReporter.js
+ */
+
+import { parse } from '@babel/parser'
+import { readFileSync } from 'fs'
+import path from 'path'
+import { pathToFileURL } from 'url'
+
+export const VALIDATION_FORMATS = ['text', 'json', 'sarif', 'junit']
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json'
+
+// Sections ConfigLoader merges by key, so indexes of the merged config differ from the overlay's
+const MERGED_SECTIONS = ['events', 'slots', 'methods', 'model']
+
+const SARIF_RULES = [
+    { id: 'config-error', shortDescription: { text: 'Invalid component or library config' } },
+    { id: 'config-warning', shortDescription: { text: 'Suspicious component or library config' } }
+]
+
+export class ValidationReporter {
+    /**
+     * @param {Object} options
+     * @param {Boolean} options.strict - Warnings fail validation too
+     * @param {String} options.cwd - Directory file paths are reported relative to
+     */
+    constructor(options = {}) {
+        this.strict = Boolean(options.strict)
+        this.cwd = options.cwd || process.cwd()
+        this.sources = new Map()
+    }
+
+    /**
+     * Build the result of one config file
+     * @param {String} filePath
+     * @param {Object} validation - ConfigValidator result { valid, errors, warnings }
+     * @param {Object} details - { kind, component, library, merged }
+     * @returns {Object}
+     */
+    createResult(filePath, validation, details = {}) {
+        const toIssue = message => this.createIssue(filePath, message, details.merged)
+
+        return {
+            file: this.relativePath(filePath),
+            kind: details.kind || 'component',
+            component: details.component || null,
+            library: details.library || null,
+            valid: validation.errors.length === 0,
+            errors: validation.errors.map(toIssue),
+            warnings: validation.warnings.map(toIssue)
+        }
+    }
+
+    /**
+     * Check whether a result fails the run (errors, or warnings in strict mode)
+     * @param {Object} result
+     * @returns {Boolean}
+     */
+    isFailing(result) {
+        return result.errors.length > 0 || (this.strict && result.warnings.length > 0)
+    }
+
+    /**
+     * @param {Object[]} results
+     * @returns {Object} { files, failed, errors, warnings, strict, passed }
+     */
+    summarize(results) {
+        const failed = results.filter(result => this.isFailing(result)).length
+
+        return {
+            files: results.length,
+            failed,
+            errors: results.reduce((count, result) => count + result.errors.length, 0),
+            warnings: results.reduce((count, result) => count + result.warnings.length, 0),
+            strict: this.strict,
+            passed: failed === 0
+        }
+    }
+
+    /**
+     * Render results in a machine-readable format
+     * @param {Object[]} results
+     * @param {String} format - 'json', 'sarif' or 'junit'
+     * @returns {String}
+     */
+    format(results, format) {
+        switch (format) {
+            case 'json': return this.toJSON(results)
+            case 'sarif': return this.toSarif(results)
+            case 'junit': return this.toJUnit(results)
+            default: throw new Error(`Unsupported format: ${format}. Use ${VALIDATION_FORMATS.join(', ')}`)
+        }
+    }
+
+    /**
+     * @param {Object[]} results
+     * @returns {String}
+     */
+    toJSON(results) {
+        return JSON.stringify({ summary: this.summarize(results), results }, null, 2)
+    }
+
+    /**
+     * Render a SARIF 2.1.0 log. In strict mode warnings are reported at error level.
+     * @param {Object[]} results
+     * @returns {String}
+     */
+    toSarif(results) {
+        const sarifResults = results.flatMap(result => [
+            ...result.errors.map(issue => this.toSarifResult(result, issue, 'config-error', 'error')),
+            ...result.warnings.map(issue => this.toSarifResult(result, issue, 'config-warning', this.strict ? 'error' : 'warning'))
+        ])
+
+        return JSON.stringify({
+            $schema: SARIF_SCHEMA,
+            version: '2.1.0',
+            runs: [{
+                tool: { driver: { name: 'vue-design-codegen', rules: SARIF_RULES } },
+                results: sarifResults
+            }]
+        }, null, 2)
+    }
+
+    /**
+     * @returns {Object} SARIF result
+     */
+    toSarifResult(result, issue, ruleId, level) {
+        const region = { startLine: issue.line || 1 }
+        if (issue.column) region.startColumn = issue.column
+
+        return {
+            ruleId,
+            ruleIndex: SARIF_RULES.findIndex(rule => rule.id === ruleId),
+            level,
+            message: { text: result.component ? `${result.component}: ${issue.message}` : issue.message },
+            locations: [{
+                physicalLocation: {
+                    artifactLocation: this.toArtifactLocation(result.file),
+                    region
+                }
+            }]
+        }
+    }
+
+    /**
+     * Files under the working directory are reported relative to %SRCROOT%, others
+     * by their absolute file:// URI, which needs no base
+     * @param {String} file - Path as reported in the result
+     * @returns {Object} SARIF artifactLocation
+     */
+    toArtifactLocation(file) {
+        if (path.isAbsolute(file) || file === '..' || file.startsWith('../')) {
+            return { uri: pathToFileURL(path.resolve(this.cwd, file)).href }
+        }
+        return { uri: file, uriBaseId: '%SRCROOT%' }
+    }
+
+    /**
+     * Render a JUnit XML report: one test case per config file. Errors (and warnings
+     * in strict mode) are failures; other warnings go to system-out.
+     * @param {Object[]} results
+     * @returns {String}
+     */
+    toJUnit(results) {
+        const summary = this.summarize(results)
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<testsuites name="config validation" tests="${summary.files}" failures="${summary.failed}">`,
+            `  <testsuite name="config validation" tests="${summary.files}" failures="${summary.failed}">`
+        ]
+
+        results.forEach(result => {
+            const name = this.escapeXml(result.file)
+            const className = this.escapeXml(result.library || result.kind)
+            const failures = this.strict ? [...result.errors, ...result.warnings] : result.errors
+            const notes = this.strict ? [] : result.warnings
+
+            if (failures.length === 0 && notes.length === 0) {
+                lines.push(`    <testcase name="${name}" classname="${className}"/>`)
+                return
+            }
+
+            lines.push(`    <testcase name="${name}" classname="${className}">`)
+            if (failures.length > 0) {
+                const message = `${failures.length} ${failures.length === 1 ? 'problem' : 'problems'} in ${result.component || result.file}`
+                lines.push(`      <failure message="${this.escapeXml(message)}" type="${result.errors.length > 0 ? 'error' : 'warning'}">${this.escapeXml(this.formatIssues(failures))}</failure>`)
+            }
+            if (notes.length > 0) {
+                lines.push(`      <system-out>${this.escapeXml(this.formatIssues(notes))}</system-out>`)
+            }
+            lines.push('    </testcase>')
+        })
+
+        lines.push('  </testsuite>', '</testsuites>')
+        return lines.join('\n')
+    }
+
+    /**
+     * @param {Object[]} issues
+     * @returns {String} One `line N: message` per issue
+     */
+    formatIssues(issues) {
+        return issues.map(issue => issue.line ? `line ${issue.line}: ${issue.message}` : issue.message).join('\n')
+    }
+
+    /**
+     * Build an issue from a validator message, locating its JSON pointer in the source
+     * @param {String} filePath
+     * @param {String} message
+     * @param {Boolean} merged - The file is an overlay validated merged onto its semantic config
+     * @returns {Object} { message, pointer, line, column }
+     */
+    createIssue(filePath, message, merged = false) {
+        const pointer = this.getPointer(message)
+        const location = this.locate(filePath, pointer || '', merged)
+
+        return { message, pointer, line: location?.line || null, column: location?.column || null }
+    }
+
+    /**
+     * @param {String} message - Validator message
+     * @returns {String|null} JSON pointer the message starts with; child labels
+     *   (`Child 0.1 (VBtn): ...`) resolve to the child's pointer (`/children/0/children/1`)
+     */
+    getPointer(message) {
+        const match = message.match(/^(\/\S*?|\(root\)): /)
+        if (match) return match[1] === '(root)' ? '' : match[1]
+
+        const child = message.match(/^Child (\d+(?:\.\d+)*)(?: \([^)]*\))?: /)
+        if (child) return child[1].split('.').map(index => `/children/${index}`).join('')
+
+        return null
+    }
+
+    /**
+     * Find the source position of a JSON pointer in a .js or .json config. The deepest
+     * node the pointer reaches is used, so pointers into merged semantic definitions
+     * fall back to the exported config object.
+     * @param {String} filePath
+     * @param {String} pointer
+     * @param {Boolean} merged - Do not descend into merged sections
+     * @returns {Object|null} { line, column } (1-based)
+     */
+    locate(filePath, pointer, merged = false) {
+        let node = this.getConfigNode(filePath)
+        if (!node) return null
+
+        const segments = pointer.split('/').slice(1).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+        if (merged && MERGED_SECTIONS.includes(segments[0])) {
+            segments.splice(1)
+        }
+
+        for (const segment of segments) {
+            const child = this.getChildNode(node, segment)
+            if (!child) break
+            node = child
+        }
+
+        return { line: node.loc.start.line, column: node.loc.start.column + 1 }
+    }
+
+    /**
+     * @param {Object} node - Babel node
+     * @param {String} segment - Property name or array index
+     * @returns {Object|null}
+     */
+    getChildNode(node, segment) {
+        if (node.type === 'ObjectExpression') {
+            const property = node.properties.find(entry => entry.type === 'ObjectProperty' &&
+                (entry.key.name === segment || entry.key.value === segment))
+            return property ? property.value : null
+        }
+        if (node.type === 'ArrayExpression' && /^\d+$/.test(segment)) {
+            return node.elements[Number(segment)] || null
+        }
+        return null
+    }
+
+    /**
+     * Parse a config file (cached) and return its exported object expression:
+     * `export default { ... }`, `export default defineComponentConfig({ ... })` or JSON
+     * @param {String} filePath
+     * @returns {Object|null} Babel node
+     */
+    getConfigNode(filePath) {
+        if (this.sources.has(filePath)) return this.sources.get(filePath)
+
+        let node = null
+        try {
+            const source = readFileSync(filePath, 'utf8')
+
+            if (path.extname(filePath) === '.json') {
+                node = parse(`(${source})`, { sourceType: 'module' }).program.body[0].expression
+            } else {
+                const program = parse(source, { sourceType: 'module', plugins: ['typescript'] }).program
+                const exported = program.body.find(statement => statement.type === 'ExportDefaultDeclaration')?.declaration
+                node = this.unwrapConfigNode(exported, program)
+            }
+        } catch (error) {
+            node = null
+        }
+
+        this.sources.set(filePath, node)
+        return node
+    }
+
+    /**
+     * Resolve helper calls and identifiers to the config object
+     * @returns {Object|null}
+     */
+    unwrapConfigNode(node, program) {
+        if (!node) return null
+        if (node.type === 'CallExpression') return this.unwrapConfigNode(node.arguments[0], program)
+        if (node.type === 'Identifier') {
+            const declarator = program.body
+                .filter(statement => statement.type === 'VariableDeclaration')
+                .flatMap(statement => statement.declarations)
+                .find(declaration => declaration.id.name === node.name)
+            return this.unwrapConfigNode(declarator?.init, program)
+        }
+        return node
+    }
+
+    /**
+     * @param {String} filePath
+     * @returns {String} Path relative to the working directory, with forward slashes
+     */
+    relativePath(filePath) {
+        return path.relative(this.cwd, path.resolve(filePath)).split(path.sep).join('/')
+    }
+
+    /**
+     * @param {String} value
+     * @returns {String}
+     */
+    escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;')
+    }
+}
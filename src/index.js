@@ -0,0 +1,23 @@
+/**
+ * vue-design-codegen package entry.
+ * Config helpers: they return the config unchanged and exist so editors pick up the
+ * types generated from the JSON Schemas (src/types/index.d.ts, `npm run types`).
+ *
+ * File: src/index.js
+ */
+
+/**
+ * @param {import('./types/index.js').ComponentConfig} config
+ * @returns {import('./types/index.js').ComponentConfig}
+ */
+export function defineComponentConfig(config) {
+    return config
+}
+
+/**
+ * @param {import('./types/index.js').LibraryConfig} config
+ * @returns {import('./types/index.js').LibraryConfig}
+ */
+export function defineLibraryConfig(config) {
+    return config
+}
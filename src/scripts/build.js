@@ -4,15 +4,15 @@
  * Enhanced Build Script for Self-Contained Design System Package
  * Creates standalone Vue plugin with bundled UI library and design tokens
  * 
- * Usage: node src/scripts/build.js --library=vuetify --bundle=treeshake
+ * Usage: node src/scripts/build.js --library=vuetify --bundle=treeshake [--strict]
  */
 
 import { ComponentGenerator } from '../core/components/ComponentGenerator.js'
 import { BundleGenerator } from '../core/bundle/BundleGenerator.js'
-import { VuetifyAdapter } from '../core/adapters/VuetifyAdapter.js'
-import { PrimeVueAdapter } from '../core/adapters/PrimeVueAdapter.js'
+import { AdapterRegistry } from '../core/adapters/AdapterRegistry.js'
 import { ConfigValidator } from '../core/validation/ConfigValidator.js'
-import { existsSync, mkdirSync, cpSync, rmSync, readFileSync } from 'fs'
+import { ConfigLoader } from '../core/config/ConfigLoader.js'
+import { existsSync, mkdirSync, cpSync, rmSync } from 'fs'
 import { pathToFileURL } from 'url'
 import { glob } from 'glob'
 import chalk from 'chalk'
@@ -21,10 +21,8 @@ import path from 'path'
 class DesignSystemBuilder {
     constructor() {
         this.validator = new ConfigValidator()
-        this.adapters = {
-            'vuetify': () => new VuetifyAdapter(),
-            'primevue': () => new PrimeVueAdapter()
-        }
+        this.adapterRegistry = new AdapterRegistry()
+        this.configLoader = new ConfigLoader()
         this.generatedComponents = []
         this.buildOptions = {}
         this.designTokens = {}
@@ -37,6 +35,7 @@ class DesignSystemBuilder {
         console.log(chalk.bold.blue('\n🚀 Design System Build Starting...\n'))
 
         try {
+            await this.adapterRegistry.discover()
             await this.validateEnvironment()
             await this.loadDesignTokens()
             await this.generateComponents()
@@ -59,7 +58,9 @@ class DesignSystemBuilder {
             library: 'vuetify',
             bundle: 'treeshake',
             output: 'dist',
-            verbose: false
+            template: 'sfc',
+            verbose: false,
+            strict: false
         }
 
         args.forEach(arg => {
@@ -69,8 +70,12 @@ class DesignSystemBuilder {
                 options.bundle = arg.split('=')[1]
             } else if (arg.startsWith('--output=')) {
                 options.output = arg.split('=')[1]
+            } else if (arg.startsWith('--template=')) {
+                options.template = arg.split('=')[1]
             } else if (arg === '--verbose') {
                 options.verbose = true
+            } else if (arg === '--strict') {
+                options.strict = true
             }
         })
 
@@ -80,20 +85,32 @@ class DesignSystemBuilder {
     async validateEnvironment() {
         console.log(chalk.cyan('📋 Validating environment...'))
 
-        if (!this.adapters[this.buildOptions.library]) {
-            throw new Error(`Unsupported library: ${this.buildOptions.library}. Supported: ${Object.keys(this.adapters).join(', ')}`)
+        if (!this.adapterRegistry.has(this.buildOptions.library)) {
+            throw new Error(`Unsupported library: ${this.buildOptions.library}. Supported: ${this.adapterRegistry.getNames().join(', ')}`)
+        }
+
+        // The bundle is compiled with rollup-plugin-vue only, which has no JSX transform
+        if (!['sfc', 'setup'].includes(this.buildOptions.template)) {
+            throw new Error(`Unsupported template for bundle builds: ${this.buildOptions.template}. Supported: sfc, setup`)
         }
 
-        const configDir = path.resolve(`./src/configs/${this.buildOptions.library}`)
+        const adapter = this.adapterRegistry.create(this.buildOptions.library)
+        const configDir = this.getConfigDir(adapter)
         if (!existsSync(configDir)) {
             throw new Error(`Component configuration directory not found: ${configDir}`)
         }
 
-        const libraryConfigPath = path.resolve(`./src/configs/libraries/${this.buildOptions.library}.config.js`)
+        const libraryConfigPath = this.getLibraryConfigPath(adapter)
         if (!existsSync(libraryConfigPath)) {
             throw new Error(`Library configuration not found: ${libraryConfigPath}`)
         }
 
+        const libraryModule = await import(pathToFileURL(libraryConfigPath).href)
+        const libraryValidation = this.validator.validateLibraryConfig(libraryModule.default || libraryModule)
+        if (!libraryValidation.valid) {
+            throw new Error(`Invalid library configuration ${path.basename(libraryConfigPath)}:\n  • ${libraryValidation.errors.join('\n  • ')}`)
+        }
+
         const themesDir = path.resolve('./src/themes')
         if (!existsSync(themesDir)) {
             throw new Error(`Themes directory not found: ${themesDir}. Please create theme files (light.theme.js, dark.theme.js)`)
@@ -144,8 +161,9 @@ class DesignSystemBuilder {
     async generateComponents() {
         console.log(chalk.cyan(`🏗️  Generating components for ${this.buildOptions.library}...`))
 
-        const adapter = this.adapters[this.buildOptions.library]()
+        const adapter = this.adapterRegistry.create(this.buildOptions.library)
         await adapter.initialize()
+        this.validator.setLibraryAdapter(adapter)
 
         // Generate components with OPC prefix directly to final location
         const componentsDir = path.join(this.buildOptions.output, 'components')
@@ -154,47 +172,69 @@ class DesignSystemBuilder {
         const generator = new ComponentGenerator({
             libraryAdapter: adapter,
             outputDir: componentsDir,
-            templateType: 'sfc',
+            templateType: this.buildOptions.template,
             bundleMode: true,
             componentPrefix: 'OPC'
         })
 
-        const configDir = path.resolve(`./src/configs/${this.buildOptions.library}`)
+        const configDir = this.getConfigDir(adapter)
         const configFiles = glob.sync('*.config.js', { cwd: configDir })
 
         if (configFiles.length === 0) {
             throw new Error(`No component configurations found in ${configDir}`)
         }
 
+        // Every config is checked before the build fails, so one run reports all of them
+        const failedConfigs = []
+
         for (const configFile of configFiles) {
             const configPath = path.join(configDir, configFile)
-            const config = await this.loadConfig(configPath)
+            let config
+            try {
+                config = await this.loadConfig(configPath)
+            } catch (error) {
+                console.log(chalk.red(`❌ Failed to load ${configFile}: ${error.message}`))
+                failedConfigs.push(configFile)
+                continue
+            }
 
+            await this.validator.loadRuntimeApi(config)
             const validation = this.validator.validate(config)
             if (!validation.valid) {
                 console.log(chalk.red(`❌ Validation failed for ${configFile}:`))
                 validation.errors.forEach(error => console.log(chalk.red(`  • ${error}`)))
+                failedConfigs.push(configFile)
                 continue
             }
 
-            if (validation.warnings.length > 0 && this.buildOptions.verbose) {
+            if (validation.warnings.length > 0 && (this.buildOptions.verbose || this.buildOptions.strict)) {
                 console.log(chalk.yellow(`⚠️  Warnings for ${configFile}:`))
                 validation.warnings.forEach(warning => console.log(chalk.yellow(`  • ${warning}`)))
             }
 
+            if (validation.warnings.length > 0 && this.buildOptions.strict) {
+                failedConfigs.push(configFile)
+                continue
+            }
+
             const result = await generator.generateComponent(config)
             this.generatedComponents.push(result)
 
             console.log(chalk.green(`  ✅ Generated ${result.name}`))
         }
 
+        if (failedConfigs.length > 0) {
+            const reason = this.buildOptions.strict ? 'have errors or warnings (--strict)' : 'have errors'
+            throw new Error(`${failedConfigs.length} of ${configFiles.length} component configurations ${reason}: ${failedConfigs.join(', ')}`)
+        }
+
         console.log(chalk.green(`✅ Generated ${this.generatedComponents.length} components with OPC prefix`))
     }
 
     async createBundle() {
         console.log(chalk.cyan('📦 Creating bundle...'))
 
-        const adapter = this.adapters[this.buildOptions.library]()
+        const adapter = this.adapterRegistry.create(this.buildOptions.library)
         await adapter.initialize()
 
         const bundleGenerator = new BundleGenerator({
@@ -211,19 +251,22 @@ class DesignSystemBuilder {
         console.log(chalk.green('✅ Bundle created'))
     }
 
+    /**
+     * Component config directory, taken from the adapter when it declares one
+     */
+    getConfigDir(adapter) {
+        return adapter.configDir || path.resolve(`./src/configs/${this.buildOptions.library}`)
+    }
+
+    /**
+     * Library config path, taken from the adapter when it declares one
+     */
+    getLibraryConfigPath(adapter) {
+        return adapter.libraryConfigPath || path.resolve(`./src/configs/libraries/${this.buildOptions.library}.config.js`)
+    }
+
     async loadConfig(configPath) {
-        const ext = path.extname(configPath)
-
-        if (ext === '.js') {
-            const absolutePath = path.resolve(configPath)
-            const fileUrl = pathToFileURL(absolutePath)
-            const module = await import(fileUrl)
-            return module.default || module
-        } else if (ext === '.json') {
-            return JSON.parse(readFileSync(configPath, 'utf8'))
-        } else {
-            throw new Error(`Unsupported config format: ${ext}. Use .js or .json`)
-        }
+        return this.configLoader.load(configPath)
     }
 
     printBuildSummary() {
@@ -262,20 +305,26 @@ class DesignSystemBuilder {
         console.log('  node src/scripts/build.js [options]')
         console.log('')
         console.log(chalk.cyan('Options:'))
-        console.log('  --library=<name>     UI library to use (vuetify, primevue)')
+        console.log(`  --library=<name>     UI library to use (${this.adapterRegistry.getNames().join(', ')})`)
         console.log('  --bundle=<mode>      Bundle mode (treeshake, full)')
         console.log('  --output=<dir>       Output directory (default: dist)')
+        console.log('  --template=<type>    Component template (sfc, setup; default: sfc)')
         console.log('  --verbose            Show detailed output')
+        console.log('  --strict             Fail the build on config warnings, not only errors')
         console.log('')
         console.log(chalk.cyan('Examples:'))
         console.log('  node src/scripts/build.js --library=vuetify')
         console.log('  node src/scripts/build.js --library=primevue --verbose')
+        console.log('  node src/scripts/build.js --library=element-plus')
+        console.log('  node src/scripts/build.js --library=vuetify --template=setup')
+        console.log('  node src/scripts/build.js --library=quasar --strict')
         console.log('')
     }
 }
 
 if (process.argv.includes('--help') || process.argv.includes('-h')) {
     const builder = new DesignSystemBuilder()
+    await builder.adapterRegistry.discover()
     builder.showHelp()
     process.exit(0)
 }
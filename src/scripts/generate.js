@@ -2,33 +2,38 @@
 
 /**
  * Generate Script for Component Generation
- * Usage: node src/scripts/generate.js generate <config-file> [library]
+ * Usage: node src/scripts/generate.js generate <config-file> [library] [--template=sfc|setup|jsx] [--lang=js|ts]
+ *        node src/scripts/generate.js validate <config-file|dir> [library] [--format=text|json|sarif|junit] [--strict] [--output=file]
+ *        node src/scripts/generate.js parity [component...] [--libraries=a,b] [--format=markdown|json] [--output=file]
+ *        node src/scripts/generate.js scaffold <library> <LibraryComponent> [--name=Button] [--output=file] [--force]
  */
 
-import { ComponentGenerator } from '../core/components/ComponentGenerator.js'
-import { VuetifyAdapter } from '../core/adapters/VuetifyAdapter.js'
-import { PrimeVueAdapter } from '../core/adapters/PrimeVueAdapter.js'
+import { ComponentGenerator, TEMPLATE_TYPES, SCRIPT_LANGS } from '../core/components/ComponentGenerator.js'
+import { AdapterRegistry, PROJECT_CONFIG_FILE, ADAPTER_PACKAGE_PREFIX, LIBRARY_CONFIG_DIR } from '../core/adapters/AdapterRegistry.js'
 import { ConfigValidator } from '../core/validation/ConfigValidator.js'
-import { readFileSync, existsSync } from 'fs'
-import { pathToFileURL } from 'url'
+import { ValidationReporter, VALIDATION_FORMATS } from '../core/validation/ValidationReporter.js'
+import { ParityChecker, PARITY_FORMATS } from '../core/validation/ParityChecker.js'
+import { LibraryMetadata } from '../core/metadata/LibraryMetadata.js'
+import { ConfigLoader } from '../core/config/ConfigLoader.js'
+import { ConfigScaffolder } from '../core/scaffold/ConfigScaffolder.js'
+import { SchemaTypeGenerator, TYPES_OUTPUT } from '../core/schema/SchemaTypeGenerator.js'
+import { existsSync, writeFileSync, mkdirSync, statSync } from 'fs'
 import chalk from 'chalk'
 import path from 'path'
 
 class GenerateScript {
     constructor() {
-        this.generator = new ComponentGenerator({
-            outputDir: 'dist/components',
-            templateType: 'sfc'
-        })
+        this.generator = null
         this.validator = new ConfigValidator()
-        this.adapters = {
-            'primevue': () => new PrimeVueAdapter(),
-            'vuetify': () => new VuetifyAdapter()
-        }
+        this.adapterRegistry = new AdapterRegistry()
+        this.configLoader = new ConfigLoader()
+        // Web-types metadata by library, shared by the configs validated in one run
+        this.libraryMetadata = new Map()
     }
 
     async run() {
-        const args = process.argv.slice(2)
+        const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'))
+        const options = this.parseOptions(process.argv.slice(2))
 
         if (args.length === 0) {
             this.showHelp()
@@ -38,16 +43,36 @@ class GenerateScript {
         const command = args[0]
 
         try {
+            this.generator = new ComponentGenerator({
+                outputDir: 'dist/components',
+                templateType: options.template,
+                lang: options.lang
+            })
+
+            await this.adapterRegistry.discover()
+
             switch (command) {
                 case 'generate':
                     await this.generate(args[1], args[2])
                     break
                 case 'validate':
-                    await this.validate(args[1])
+                    await this.validate(args[1], args[2], options)
                     break
                 case 'migrate':
                     await this.migrate(args[1], args[2], args[3])
                     break
+                case 'parity':
+                    await this.parity(args.slice(1), options)
+                    break
+                case 'scaffold':
+                    await this.scaffold(args[1], args[2], options)
+                    break
+                case 'types':
+                    await this.types(options)
+                    break
+                case 'list-adapters':
+                    await this.listAdapters()
+                    break
                 default:
                     console.log(chalk.red(`Unknown command: ${command}`))
                     this.showHelp()
@@ -58,6 +83,40 @@ class GenerateScript {
         }
     }
 
+    /**
+     * Parse --name=value options
+     * @param {String[]} args - Command line arguments
+     * @returns {Object} Options
+     */
+    parseOptions(args) {
+        const options = { template: null, lang: 'js', format: null, output: null, libraries: null, name: null, force: false, strict: false }
+
+        args.forEach(arg => {
+            if (arg.startsWith('--template=')) {
+                options.template = arg.split('=')[1]
+            } else if (arg.startsWith('--lang=')) {
+                options.lang = arg.split('=')[1]
+            } else if (arg.startsWith('--format=')) {
+                options.format = arg.split('=')[1]
+            } else if (arg.startsWith('--output=')) {
+                options.output = arg.split('=')[1]
+            } else if (arg.startsWith('--libraries=')) {
+                options.libraries = arg.split('=')[1].split(',').filter(Boolean)
+            } else if (arg.startsWith('--name=')) {
+                options.name = arg.split('=')[1]
+            } else if (arg === '--force') {
+                options.force = true
+            } else if (arg === '--strict') {
+                options.strict = true
+            }
+        })
+
+        // TypeScript is only emitted as <script setup lang="ts">
+        options.template = options.template || (options.lang === 'ts' ? 'setup' : 'sfc')
+
+        return options
+    }
+
     /**
      * Generate component from configuration
      */
@@ -79,6 +138,7 @@ class GenerateScript {
         const config = await this.loadConfig(configPath)
         console.log(chalk.cyan(`📝 Loaded configuration for: ${config.name}`))
 
+        await this.validator.loadRuntimeApi(config)
         const validation = this.validator.validate(config)
 
         if (!validation.valid) {
@@ -102,21 +162,143 @@ class GenerateScript {
     }
 
     /**
-     * Validate configuration file
+     * Validate a configuration file, or every *.config.js / *.config.json under a directory.
+     * Configs of a library (given, or inferred from the adapter config directory the file
+     * is in) are also checked against its component API; semantic and library configs are
+     * recognized by their directory. Prints a text report or writes a JSON, SARIF or JUnit
+     * report, and exits non-zero on errors (or on warnings with --strict).
      */
-    async validate(configPath) {
-        if (!configPath) {
-            throw new Error('Configuration file path is required')
+    async validate(target, library = null, options = {}) {
+        if (!target) {
+            throw new Error('Configuration file or directory path is required')
         }
 
-        if (!existsSync(configPath)) {
-            throw new Error(`Configuration file not found: ${configPath}`)
+        if (!existsSync(target)) {
+            throw new Error(`Configuration file or directory not found: ${target}`)
         }
 
-        const config = await this.loadConfig(configPath)
-        const validation = this.validator.validate(config)
+        const format = options.format || 'text'
+        if (!VALIDATION_FORMATS.includes(format)) {
+            throw new Error(`Unsupported format: ${format}. Use ${VALIDATION_FORMATS.join(', ')}`)
+        }
+
+        let configFiles = [target]
+        if (statSync(target).isDirectory()) {
+            const { globSync } = await import('glob')
+            configFiles = globSync(`${target}/**/*.config.{js,json}`).sort()
+
+            if (configFiles.length === 0) {
+                throw new Error(`No configuration files found in ${target}`)
+            }
+        }
+
+        const reporter = new ValidationReporter({ strict: options.strict })
+        const results = []
+
+        for (const configFile of configFiles) {
+            const { config, validation, details } = await this.validateFile(configFile, library)
+            const result = reporter.createResult(configFile, validation, details)
+            results.push(result)
+
+            if (format === 'text') {
+                if (configFiles.length > 1) {
+                    console.log(chalk.gray(result.file))
+                }
+                console.log(this.validator.generateReport(config || { name: result.file }, validation))
+            }
+        }
+
+        if (format !== 'text') {
+            const output = reporter.format(results, format)
+
+            if (options.output) {
+                writeFileSync(options.output, output + '\n')
+                console.error(chalk.cyan(`📁 Validation report: ${options.output}`))
+            } else {
+                console.log(output)
+            }
+        }
+
+        const summary = reporter.summarize(results)
+        const counts = `${summary.errors} errors, ${summary.warnings} warnings`
+        if (summary.passed) {
+            console.error(chalk.green(`✅ ${summary.files} ${summary.files === 1 ? 'config' : 'configs'} passed (${counts})`))
+        } else {
+            console.error(chalk.red(`❌ ${summary.failed} of ${summary.files} ${summary.files === 1 ? 'config' : 'configs'} failed${summary.strict ? ' in strict mode' : ''} (${counts})`))
+            process.exitCode = 1
+        }
+    }
+
+    /**
+     * Validate one config file. Load failures (syntax errors, broken `extends`) are
+     * reported as errors of the file rather than aborting the run.
+     * @param {String} configPath
+     * @param {String} library - Library of component configs (default: inferred from the directory)
+     * @returns {Promise<Object>} { config, validation, details } where details are { kind, component, library, merged }
+     */
+    async validateFile(configPath, library = null) {
+        const configDir = path.dirname(path.resolve(configPath))
+        const details = { kind: 'component', component: null, library: null, merged: false }
+        let config = null
+
+        try {
+            if (configDir === path.resolve(LIBRARY_CONFIG_DIR)) {
+                details.kind = 'library'
+                config = await this.configLoader.readConfigFile(configPath)
+                details.library = config.name || null
+                return { config, validation: this.validator.validateLibraryConfig(config), details }
+            }
+
+            if (configDir === this.configLoader.semanticDir) {
+                details.kind = 'semantic'
+                config = await this.loadConfig(configPath)
+                details.component = config.name || null
+                this.validator.setLibraryAdapter(null)
+                return { config, validation: this.validator.validate(config, { semantic: true }), details }
+            }
+
+            const adapter = library ? this.adapterRegistry.create(library) : this.findAdapterForConfig(configPath)
+            this.validator.setLibraryAdapter(adapter, adapter ? this.getLibraryMetadata(adapter) : null)
+            details.library = adapter ? adapter.name : null
+
+            const overlay = await this.configLoader.readConfigFile(configPath)
+            details.merged = Boolean(overlay.extends)
+            config = await this.loadConfig(configPath)
+            details.component = config.name || null
+
+            await this.validator.loadRuntimeApi(config)
+            return { config, validation: this.validator.validate(config), details }
+        } catch (error) {
+            return { config, validation: { valid: false, errors: [error.message], warnings: [] }, details }
+        }
+    }
+
+    /**
+     * @param {LibraryAdapter} adapter
+     * @returns {LibraryMetadata} Web-types metadata of the adapter's package, loaded once per run
+     */
+    getLibraryMetadata(adapter) {
+        if (!this.libraryMetadata.has(adapter.name)) {
+            this.libraryMetadata.set(adapter.name, new LibraryMetadata(adapter.packageName))
+        }
+        return this.libraryMetadata.get(adapter.name)
+    }
+
+    /**
+     * Find the adapter whose config directory contains a config file
+     * @param {String} configPath
+     * @returns {LibraryAdapter|null}
+     */
+    findAdapterForConfig(configPath) {
+        const configDir = path.dirname(path.resolve(configPath))
 
-        console.log(this.validator.generateReport(config, validation))
+        for (const name of this.adapterRegistry.getNames()) {
+            const adapter = this.adapterRegistry.create(name)
+            if (adapter.configDir && path.resolve(adapter.configDir) === configDir) {
+                return adapter
+            }
+        }
+        return null
     }
 
     /**
@@ -127,8 +309,8 @@ class GenerateScript {
             throw new Error('Migration requires: from-library, to-library, and config-directory')
         }
 
-        if (!this.adapters[fromLibrary] || !this.adapters[toLibrary]) {
-            throw new Error(`Unsupported library. Available: ${Object.keys(this.adapters).join(', ')}`)
+        if (!this.adapterRegistry.has(fromLibrary) || !this.adapterRegistry.has(toLibrary)) {
+            throw new Error(`Unsupported library. Available: ${this.adapterRegistry.getNames().join(', ')}`)
         }
 
         if (!existsSync(configDir)) {
@@ -173,41 +355,136 @@ class GenerateScript {
     }
 
     /**
-     * Set library adapter
+     * Compare the API of each semantic component across libraries.
+     * Prints (or writes) a markdown or JSON matrix and exits non-zero on breaking differences.
      */
-    async setLibrary(libraryName) {
-        if (!this.adapters[libraryName]) {
-            throw new Error(`Unsupported library: ${libraryName}. Available: ${Object.keys(this.adapters).join(', ')}`)
+    async parity(componentNames, options) {
+        const format = options.format || 'markdown'
+        if (!PARITY_FORMATS.includes(format)) {
+            throw new Error(`Unsupported format: ${format}. Use ${PARITY_FORMATS.join(' or ')}`)
+        }
+
+        const libraries = options.libraries || this.adapterRegistry.getNames()
+        libraries.forEach(library => {
+            if (!this.adapterRegistry.has(library)) {
+                throw new Error(`Unsupported library: ${library}. Available: ${this.adapterRegistry.getNames().join(', ')}`)
+            }
+        })
+
+        const checker = new ParityChecker({ adapterRegistry: this.adapterRegistry, configLoader: this.configLoader })
+        const report = await checker.check(libraries, componentNames)
+        const output = format === 'json' ? checker.toJSON(report) : checker.toMarkdown(report)
+
+        if (options.output) {
+            writeFileSync(options.output, output + '\n')
+            console.log(chalk.cyan(`📁 Parity report: ${options.output}`))
+        } else {
+            console.log(output)
+        }
+
+        const { breaking, warnings } = report.summary
+        if (breaking > 0) {
+            console.error(chalk.red(`❌ ${breaking} breaking differences, ${warnings} warnings`))
+            process.exitCode = 1
+        } else {
+            console.error(chalk.green(`✅ No breaking differences (${warnings} warnings)`))
+        }
+    }
+
+    /**
+     * Write a starter config for a library component from its runtime definition and web-types metadata
+     */
+    async scaffold(library, componentName, options) {
+        if (!library || !componentName) {
+            throw new Error('Scaffolding requires: library and library component name (e.g. vuetify VBtn)')
+        }
+
+        const adapter = this.adapterRegistry.create(library)
+        const name = options.name || null
+        const outputPath = options.output ||
+            path.join(adapter.configDir || `src/configs/${library}`, `${(name || componentName).toLowerCase()}.config.js`)
+
+        if (existsSync(outputPath) && !options.force) {
+            throw new Error(`${outputPath} already exists, use --force to overwrite it`)
+        }
+
+        console.log(chalk.blue(`🔍 Introspecting ${componentName} from ${adapter.label || adapter.name}...`))
+
+        const scaffolder = new ConfigScaffolder(adapter)
+        const result = await scaffolder.scaffold(componentName, { name, filePath: outputPath })
+
+        mkdirSync(path.dirname(outputPath), { recursive: true })
+        writeFileSync(outputPath, result.source)
+
+        const { config } = result
+        console.log(chalk.green(`✅ Scaffolded ${config.name} from ${result.sources.join(' and ')}`))
+        console.log(chalk.cyan(`📁 Output: ${outputPath}`))
+        console.log(chalk.cyan(`📝 ${config.props.length} props, ${config.events.length} events, ${config.slots.length} slots${config.model ? ', v-model' : ''}`))
+
+        if (result.warnings.length > 0) {
+            console.log(chalk.yellow('⚠️  Warnings:'))
+            result.warnings.forEach(warning => console.log(chalk.yellow(`  • ${warning}`)))
         }
+    }
+
+    /**
+     * Write the TypeScript declarations of config files (defineComponentConfig, defineLibraryConfig)
+     * generated from the JSON Schemas in src/schemas
+     */
+    async types(options) {
+        const outputPath = options.output || TYPES_OUTPUT
+        const declarations = new SchemaTypeGenerator().generate()
+
+        mkdirSync(path.dirname(outputPath), { recursive: true })
+        writeFileSync(outputPath, declarations)
+
+        console.log(chalk.green(`✅ Generated config types from src/schemas`))
+        console.log(chalk.cyan(`📁 Output: ${outputPath}`))
+    }
+
+    /**
+     * List registered adapters with their version and components
+     */
+    async listAdapters() {
+        const adapters = await this.adapterRegistry.describe()
+
+        console.log(chalk.bold('\n📚 Registered adapters:\n'))
 
-        const adapter = this.adapters[libraryName]()
+        adapters.forEach(adapter => {
+            console.log(chalk.cyan(`${adapter.name} v${adapter.version}`) + chalk.gray(` (${adapter.source})`))
+
+            if (adapter.components.length === 0) {
+                console.log(chalk.gray('    no components registered'))
+            }
+            adapter.components.forEach(({ semanticName, libraryName }) => {
+                console.log(chalk.gray(`    • ${semanticName} → ${libraryName}`))
+            })
+        })
+        console.log('')
+    }
+
+    /**
+     * Set library adapter
+     */
+    async setLibrary(libraryName) {
+        const adapter = this.adapterRegistry.create(libraryName)
 
         // Initialize adapter (load configs)
         console.log(chalk.blue(`📚 Initializing ${adapter.name} adapter...`))
         await adapter.initialize()
 
         this.generator.setLibraryAdapter(adapter)
+        this.validator.setLibraryAdapter(adapter)
 
         const componentCount = adapter.getAllComponents().length
         console.log(chalk.green(`✅ Using ${adapter.name} v${adapter.version} (${componentCount} components loaded)`))
     }
 
     /**
-     * Load configuration file
+     * Load configuration file, merged onto its semantic config when it declares `extends`
      */
     async loadConfig(configPath) {
-        const ext = path.extname(configPath)
-
-        if (ext === '.js') {
-            const absolutePath = path.resolve(configPath)
-            const fileUrl = pathToFileURL(absolutePath)
-            const module = await import(fileUrl)
-            return module.default || module
-        } else if (ext === '.json') {
-            return JSON.parse(readFileSync(configPath, 'utf8'))
-        } else {
-            throw new Error(`Unsupported config format: ${ext}. Use .js or .json`)
-        }
+        return this.configLoader.load(configPath)
     }
 
     /**
@@ -217,21 +494,43 @@ class GenerateScript {
         console.log(chalk.bold('\n🎨 Zero-Overhead Design System Generator\n'))
 
         console.log(chalk.cyan('Usage:'))
-        console.log('  node src/scripts/generate.js generate <config-file> [library]')
-        console.log('  node src/scripts/generate.js validate <config-file>')
+        console.log('  node src/scripts/generate.js generate <config-file> [library] [--template=<type>] [--lang=<lang>]')
+        console.log('  node src/scripts/generate.js validate <config-file|dir> [library] [--format=<format>] [--strict] [--output=<file>]')
         console.log('  node src/scripts/generate.js migrate <from> <to> <config-dir>')
+        console.log('  node src/scripts/generate.js parity [component...] [--libraries=<a,b>] [--format=<format>] [--output=<file>]')
+        console.log('  node src/scripts/generate.js scaffold <library> <library-component> [--name=<Name>] [--output=<file>] [--force]')
+        console.log('  node src/scripts/generate.js types [--output=<file>]')
+        console.log('  node src/scripts/generate.js list-adapters')
+        console.log('')
+
+        console.log(chalk.cyan('Options:'))
+        console.log(`  --template=<type>    Output template (${TEMPLATE_TYPES.join(', ')}; default: sfc)`)
+        console.log(`  --lang=<lang>        Script language (${SCRIPT_LANGS.join(', ')}; ts implies --template=setup)`)
+        console.log(`  --format=<format>    Parity report format (${PARITY_FORMATS.join(', ')}; default: markdown)`)
+        console.log(`                       or validation report format (${VALIDATION_FORMATS.join(', ')}; default: text)`)
+        console.log('  --strict             Fail validation on warnings too')
+        console.log(`  --output=<file>      Write the report, scaffolded config or types to a file (types default: ${TYPES_OUTPUT})`)
+        console.log('  --name=<Name>        Semantic name of a scaffolded component (default: library component name)')
+        console.log('  --force              Overwrite an existing scaffolded config')
+        console.log('  --libraries=<a,b>    Libraries compared by parity (default: all)')
         console.log('')
 
         console.log(chalk.cyan('Libraries:'))
-        console.log('  primevue    PrimeVue components')
-        console.log('  vuetify     Vuetify 3 components (default)')
+        console.log(`  ${this.adapterRegistry.getNames().join(', ')} (default: vuetify)`)
+        console.log(chalk.gray(`  More adapters: ${PROJECT_CONFIG_FILE} "adapters" or ${ADAPTER_PACKAGE_PREFIX}* packages`))
         console.log('')
 
         console.log(chalk.cyan('Examples:'))
         console.log('  npm run generate src/configs/vuetify/button.config.js')
         console.log('  npm run generate src/configs/vuetify/button.config.js vuetify')
+        console.log('  npm run generate src/configs/vuetify/button.config.js vuetify -- --template=setup')
+        console.log('  npm run generate src/configs/vuetify/button.config.js vuetify -- --lang=ts')
         console.log('  node src/scripts/generate.js validate src/configs/vuetify/button.config.js')
+        console.log('  npm run validate -- src/configs --strict --format=sarif --output=configs.sarif')
         console.log('  node src/scripts/generate.js migrate primevue vuetify src/configs/')
+        console.log('  npm run parity -- Button --libraries=vuetify,primevue --format=json')
+        console.log('  npm run scaffold -- vuetify VChip --name=Chip')
+        console.log('  npm run types')
         console.log('')
     }
 }
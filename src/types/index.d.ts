@@ -0,0 +1,238 @@
+/**
+ * Types of vue-design-codegen config files.
+ * Generated from src/schemas/*.schema.json by `npm run types`; do not edit by hand.
+ *
+ * Usage in a config file:
+ *   import { defineComponentConfig } from 'vue-design-codegen'
+ *   export default defineComponentConfig({ extends: 'button', baseComponent: 'VBtn', ... })
+ */
+
+/** Component config: a semantic definition (src/configs/semantic) or a library overlay that extends one */
+export interface ComponentConfig {
+    /** Path or URL of this schema, for editors */
+    $schema?: string
+    /** Semantic config this library overlay is merged onto: a name ('button') or a relative path */
+    extends?: string
+    /** PascalCase name of the generated component */
+    name?: string
+    /** Group used in docs and parity reports, e.g. 'Form' */
+    category?: string
+    description?: string
+    /** Library component (VBtn, ElButton) or native element (button) the wrapper renders */
+    baseComponent?: string
+    /** Semantic props of the generated component */
+    props?: PropDefinition[]
+    /** v-model binding, or several named bindings */
+    model?: ModelDefinition | ModelDefinition[]
+    /** How semantic props become library props */
+    propMappings?: PropMapping[]
+    events?: EventDefinition[]
+    slots?: SlotDefinition[]
+    /** Library instance methods exposed through a ref on the wrapper */
+    methods?: MethodDefinition[]
+    /** Attributes forwarded to the library component: 'all', 'none', a list or { allow } / { deny } */
+    passthrough?: Passthrough
+    /** Forward slots that are not declared in slots to the library component */
+    forwardSlots?: boolean
+    /** Library components rendered inside baseComponent (compound components) */
+    children?: ChildDefinition[]
+    /** CSS added to the generated component */
+    styles?: string
+    performance?: PerformanceOptions
+}
+
+export type PropType = 'string' | 'number' | 'boolean' | 'array' | 'object' | 'function'
+
+export interface PropDefinition {
+    /** camelCase prop name */
+    name: string
+    type?: PropType
+    required?: boolean
+    /** Default value, of the prop type */
+    default?: unknown
+    /** Allowed values */
+    options?: unknown[]
+    description?: string
+}
+
+export interface ModelDefinition {
+    /** Model name: 'modelValue' (v-model) or a named model (v-model:open) */
+    name?: string
+    type?: PropType
+    default?: unknown
+    required?: boolean
+    description?: string
+    /** Library prop bound to the model (default: name) */
+    target?: string
+    /** Library event updating the model (default: update:<target>) */
+    event?: string
+    /** Property path like 'target.value' */
+    extract?: PropertyPath
+    /** Expression converting the library value */
+    transform?: string
+}
+
+export interface PropMapping {
+    /** Transformation type */
+    type: 'direct' | 'conditional' | 'value' | 'enum' | 'computed' | 'librarySpecific'
+    /** Semantic prop read by the mapping */
+    source?: string
+    /** Semantic props combined by conditional, value and computed mappings */
+    sources?: string[]
+    /** Library prop or attribute */
+    target: string
+    /** Expression deciding whether the value is bound (conditional) */
+    condition?: string
+    /** Expression bound when the condition holds (conditional) */
+    value?: string
+    /** Expression bound otherwise (conditional) */
+    fallback?: string | number | boolean
+    /** Function or expression computing the library value */
+    transform?: string
+    /** Semantic value to library value lookup table (enum) */
+    values?: Record<string, string | number | boolean | null>
+    /** Library value for semantic values missing from values (enum) */
+    default?: unknown
+    computedRef?: string
+    computation?: string
+    /** Library the mapping applies to */
+    library?: string
+    /** semver range of library versions the mapping applies to */
+    libraryVersion?: string
+}
+
+export interface EventDefinition {
+    /** Library event listened to */
+    name?: string
+    /** Semantic event emitted by the wrapper */
+    emit?: string
+    /** TypeScript type of the emitted payload */
+    payload?: string
+    description?: string
+    /** Property path like 'target.value' */
+    extract?: PropertyPath
+    /** Expression converting the library payload */
+    transform?: string
+    type?: 'librarySpecific'
+    library?: string
+    libraryVersion?: string
+}
+
+export interface SlotDefinition {
+    /** Semantic slot name */
+    name: string
+    description?: string
+    /** Library slot (default: name) */
+    target?: string
+    /** Prop rendered when the slot is not provided */
+    fallback?: string
+    /** The library has no equivalent slot, so the overlay does not render it */
+    unsupported?: boolean
+    /** Scoped slot props passed on, optionally renamed { semanticName: 'libraryName' } */
+    props?: string[] | Record<string, string>
+}
+
+export interface MethodDefinition {
+    name: string
+    description?: string
+    /** Property path like 'target.value' */
+    target?: PropertyPath
+    type?: 'librarySpecific'
+    library?: string
+    libraryVersion?: string
+}
+
+/** Attributes forwarded to the library component: 'all', 'none', a list or { allow } / { deny } */
+export type Passthrough = 'all' | 'none' | string[] | {
+    allow: string[]
+} | {
+    deny: string[]
+}
+
+export interface ChildDefinition {
+    baseComponent: string
+    /** Slot of the parent the child renders in (default: default) */
+    slot?: string
+    /** Expression deciding whether the child is rendered */
+    if?: string
+    /** Expose this child's methods instead of the root's */
+    ref?: boolean
+    model?: ModelDefinition | ModelDefinition[]
+    propMappings?: PropMapping[]
+    events?: EventDefinition[]
+    slots?: SlotDefinition[]
+    methods?: MethodDefinition[]
+    /** Attributes forwarded to the library component: 'all', 'none', a list or { allow } / { deny } */
+    passthrough?: Passthrough
+    forwardSlots?: boolean
+    children?: ChildDefinition[]
+}
+
+export interface PerformanceOptions {
+    memoize?: boolean
+    lazyLoad?: boolean
+    treeshake?: boolean
+    [key: string]: unknown
+}
+
+/** Property path like 'target.value' */
+export type PropertyPath = string
+
+/** Library config (src/configs/libraries): adapter, app setup and bundle settings of a UI library */
+export interface LibraryConfig {
+    /** Path or URL of this schema, for editors */
+    $schema?: string
+    /** Library name used on the command line, e.g. 'element-plus' */
+    name: string
+    /** Fallback version when the package is not installed */
+    version?: string
+    /** npm package used to detect the installed version */
+    package?: string
+    /** Makes the library usable without an adapter class */
+    adapter?: LibraryAdapterConfig
+    /** Code the bundle's install function runs */
+    setup?: LibrarySetup
+    bundle?: LibraryBundleOptions
+}
+
+/** Makes the library usable without an adapter class */
+export interface LibraryAdapterConfig {
+    /** Name used in log messages */
+    label?: string
+    /** Component configs (default: src/configs/<name>) */
+    configDir?: string
+    /** How generated components import library components. Paths accept {{component}}, {{lowercase}} and {{kebab}} */
+    importTemplate?: ImportTemplate
+}
+
+/** How generated components import library components. Paths accept {{component}}, {{lowercase}} and {{kebab}} */
+export interface ImportTemplate {
+    type: 'named' | 'default' | 'none'
+    from?: string
+    /** Side-effect imports emitted after the component import */
+    css?: string[]
+}
+
+/** Code the bundle's install function runs */
+export interface LibrarySetup {
+    imports?: string[]
+    /** Installs the library on `app` */
+    initialization?: string
+    /** Applies `options.theme` to the library */
+    themeApplication?: string
+    /** Methods added to app.config.globalProperties.$dsUtils */
+    utilities?: string
+}
+
+export interface LibraryBundleOptions {
+    external?: string[]
+    /** UMD globals of external packages */
+    globals?: Record<string, string>
+    cssImports?: string[]
+}
+
+/** Declare a component config (semantic definition or library overlay). Returns the config unchanged. */
+export declare function defineComponentConfig(config: ComponentConfig): ComponentConfig
+
+/** Declare a library config. Returns the config unchanged. */
+export declare function defineLibraryConfig(config: LibraryConfig): LibraryConfig
@@ -0,0 +1,127 @@
+/**
+ * Adapter registry: built-ins, project config and package discovery
+ *
+ * File: test/core/adapters/AdapterRegistry.test.js
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import { pathToFileURL } from 'url'
+import path from 'path'
+import { AdapterRegistry, PROJECT_CONFIG_FILE } from '../../../src/core/adapters/AdapterRegistry.js'
+import { LibraryAdapter } from '../../../src/core/adapters/LibraryAdapter.js'
+
+const LIBRARY_ADAPTER_URL = pathToFileURL(path.resolve('src/core/adapters/LibraryAdapter.js')).href
+
+const adapterModule = (className, library) => `import { LibraryAdapter } from '${LIBRARY_ADAPTER_URL}'
+
+export class ${className} extends LibraryAdapter {
+    constructor() {
+        super('${library}', '1.0.0')
+        this.registerComponent('Button', '${className}Button')
+    }
+}
+`
+
+const writePackage = (root, packageName, source) => {
+    const packageDir = path.join(root, 'node_modules', packageName)
+    mkdirSync(packageDir, { recursive: true })
+    writeFileSync(path.join(packageDir, 'package.json'), JSON.stringify({ name: packageName, type: 'module', exports: { '.': { import: './adapter.js' } } }))
+    writeFileSync(path.join(packageDir, 'adapter.js'), source)
+}
+
+describe('AdapterRegistry', () => {
+    let root
+    let log
+
+    beforeEach(() => {
+        root = mkdtempSync(path.join(tmpdir(), 'vdc-registry-'))
+        log = mock.method(console, 'log', () => {})
+    })
+
+    afterEach(() => {
+        log.mock.restore()
+        rmSync(root, { recursive: true, force: true })
+    })
+
+    it('registers the built-in adapters', () => {
+        const registry = new AdapterRegistry({ cwd: root })
+
+        assert.deepEqual(registry.getNames(), ['vuetify', 'primevue', 'element-plus', 'quasar', 'native'])
+        assert.equal(registry.create('quasar').name, 'quasar')
+        assert.notEqual(registry.create('vuetify'), registry.create('vuetify'))
+        assert.throws(() => registry.create('bootstrap'), /^Error: Unsupported library: bootstrap\. Available: vuetify, primevue/)
+    })
+
+    it('discovers adapter packages, including scoped ones', async () => {
+        writePackage(root, 'vue-design-codegen-adapter-acme', adapterModule('Acme', 'acme'))
+        writePackage(root, '@corp/vue-design-codegen-adapter-corp', `${adapterModule('Corp', 'corp')}\nexport default Corp\n`)
+        writePackage(root, 'unrelated-package', 'export default 1')
+
+        const registry = await new AdapterRegistry({ cwd: root }).discover()
+        const descriptions = await registry.describe()
+
+        assert.equal(registry.create('acme').getComponent('Button'), 'AcmeButton')
+        assert.equal(registry.create('corp').getComponent('Button'), 'CorpButton')
+        assert.equal(registry.has('unrelated-package'), false)
+        assert.deepEqual(descriptions.find(entry => entry.name === 'corp'), {
+            name: 'corp',
+            version: '1.0.0',
+            source: '@corp/vue-design-codegen-adapter-corp',
+            components: [{ semanticName: 'Button', libraryName: 'CorpButton' }]
+        })
+    })
+
+    it('loads project adapters from module paths, classes and factories', async () => {
+        writeFileSync(path.join(root, 'local.adapter.js'), adapterModule('Local', 'local'))
+        writeFileSync(path.join(root, PROJECT_CONFIG_FILE), `import { LibraryAdapter } from '${LIBRARY_ADAPTER_URL}'
+
+class Inline extends LibraryAdapter {
+    constructor() {
+        super('inline', '2.0.0')
+    }
+}
+
+export default {
+    adapters: {
+        local: './local.adapter.js',
+        inline: Inline,
+        vuetify: () => new Inline(),
+        broken: 42
+    }
+}
+`)
+
+        const registry = await new AdapterRegistry({ cwd: root }).discover()
+
+        assert.equal(registry.create('local').getComponent('Button'), 'LocalButton')
+        assert.ok(registry.create('inline') instanceof LibraryAdapter)
+        assert.equal(registry.create('vuetify').name, 'inline')
+        assert.equal(registry.has('broken'), false)
+        assert.match(log.mock.calls.at(-1).arguments[0], /Failed to load adapter 'broken' from design-system\.config\.js/)
+    })
+
+    it('registers declarative adapters from library configs that match the schema', async () => {
+        const libraryConfigDir = path.join(root, 'src', 'configs', 'libraries')
+        mkdirSync(libraryConfigDir, { recursive: true })
+        writeFileSync(path.join(libraryConfigDir, 'acme.config.js'), "export default { name: 'acme', adapter: { importTemplate: { type: 'named', from: 'acme-ui' } } }")
+        writeFileSync(path.join(libraryConfigDir, 'typo.config.js'), "export default { name: 'typo', adaptor: {} }")
+
+        const registry = await new AdapterRegistry({ cwd: root }).discover()
+
+        assert.equal(registry.has('acme'), true)
+        assert.equal(registry.has('typo'), false)
+        assert.match(log.mock.calls[0].arguments[0], /Invalid library config typo\.config\.js: \/adaptor: is not an allowed property/)
+    })
+
+    it('warns and keeps the other adapters when the project config fails to load', async () => {
+        writeFileSync(path.join(root, PROJECT_CONFIG_FILE), 'export default { adapters: {')
+
+        const registry = await new AdapterRegistry({ cwd: root }).discover()
+
+        assert.deepEqual(registry.getNames(), ['vuetify', 'primevue', 'element-plus', 'quasar', 'native'])
+        assert.match(log.mock.calls[0].arguments[0], /Failed to load design-system\.config\.js: /)
+    })
+})
@@ -0,0 +1,91 @@
+/**
+ * Config-driven adapters: import templates, component configs and library config paths
+ *
+ * File: test/core/adapters/DeclarativeAdapter.test.js
+ */
+
+import { describe, it, before, after, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import path from 'path'
+import { DeclarativeAdapter } from '../../../src/core/adapters/DeclarativeAdapter.js'
+import { AdapterRegistry, LIBRARY_CONFIG_DIR } from '../../../src/core/adapters/AdapterRegistry.js'
+import { PrimeVueAdapter } from '../../../src/core/adapters/PrimeVueAdapter.js'
+
+describe('DeclarativeAdapter', () => {
+    let root
+    let configDir
+
+    const createAdapter = importTemplate => new DeclarativeAdapter({
+        name: 'acme',
+        version: '1.0.0',
+        adapter: { label: 'Acme', configDir, importTemplate }
+    })
+
+    before(() => {
+        root = mkdtempSync(path.join(tmpdir(), 'vdc-declarative-'))
+        configDir = path.join(root, 'acme')
+        mkdirSync(configDir)
+        writeFileSync(path.join(configDir, 'datepicker.config.js'), "export default { name: 'DatePicker', baseComponent: 'AcDatePicker' }")
+        writeFileSync(path.join(configDir, 'broken.config.js'), 'export default {')
+    })
+
+    after(() => {
+        rmSync(root, { recursive: true, force: true })
+    })
+
+    it('registers the components of its config directory', async () => {
+        const log = mock.method(console, 'log', () => {})
+        const adapter = createAdapter({ type: 'named', from: 'acme-ui' })
+
+        assert.throws(() => adapter.getComponent('DatePicker'), { message: 'Acme adapter configs not loaded. Call await adapter.initialize() first.' })
+        await adapter.initialize()
+        log.mock.restore()
+
+        assert.deepEqual(adapter.getAllComponents(), [['DatePicker', 'AcDatePicker']])
+        assert.match(log.mock.calls.map(call => call.arguments[0]).join('\n'), /Failed to load config file .*broken\.config\.js/)
+    })
+
+    it('renders named, default and no imports with CSS side effects', async () => {
+        const log = mock.method(console, 'log', () => {})
+        const named = await createAdapter({ type: 'named', from: 'acme-ui', css: ['acme-ui/css/{{kebab}}.css'] }).initialize()
+        const byDefault = await createAdapter({ type: 'default', from: 'acme-ui/{{lowercase}}/{{component}}' }).initialize()
+        const none = await createAdapter({ type: 'none', css: ['acme-ui/base.css'] }).initialize()
+        log.mock.restore()
+
+        assert.equal(named.getImportStatement('DatePicker'), "import { AcDatePicker } from 'acme-ui'\nimport 'acme-ui/css/ac-date-picker.css'")
+        assert.equal(byDefault.getImportStatement('DatePicker'), "import AcDatePicker from 'acme-ui/acdatepicker/AcDatePicker'")
+        assert.equal(none.getImportStatement('DatePicker'), "import 'acme-ui/base.css'")
+    })
+
+    it('rejects unknown import types', () => {
+        assert.throws(() => createAdapter({ type: 'require', from: 'acme-ui' }), {
+            message: 'Acme importTemplate type must be one of: named, default, none'
+        })
+    })
+
+    it('records the library config it was built from', () => {
+        assert.equal(createAdapter({ type: 'none' }).libraryConfigPath, null)
+        assert.equal(new PrimeVueAdapter().libraryConfigPath, path.resolve('src/configs/libraries/primevue.config.js'))
+    })
+
+    it('is registered for library configs with an adapter section', async () => {
+        const log = mock.method(console, 'log', () => {})
+        const libraryDir = path.join(root, LIBRARY_CONFIG_DIR)
+        mkdirSync(libraryDir, { recursive: true })
+        writeFileSync(path.join(libraryDir, 'acme.config.js'), `export default ${JSON.stringify({
+            name: 'acme', version: '3.1.0', adapter: { configDir, importTemplate: { type: 'named', from: 'acme-ui' } }
+        })}`)
+        writeFileSync(path.join(libraryDir, 'plain.config.js'), "export default { name: 'plain' }")
+
+        const registry = await new AdapterRegistry({ cwd: root }).discover()
+        const adapter = await registry.create('acme').initialize()
+        log.mock.restore()
+
+        assert.equal(registry.has('plain'), false)
+        assert.equal(adapter.version, '3.1.0')
+        assert.equal(adapter.libraryConfigPath, path.join(libraryDir, 'acme.config.js'))
+        assert.equal(adapter.getImportStatement('DatePicker'), "import { AcDatePicker } from 'acme-ui'")
+    })
+})
@@ -0,0 +1,61 @@
+/**
+ * Element Plus adapter and the wrappers generated with it
+ *
+ * File: test/core/adapters/ElementPlusAdapter.test.js
+ */
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, readFileSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import path from 'path'
+import { ElementPlusAdapter } from '../../../src/core/adapters/ElementPlusAdapter.js'
+import { ComponentGenerator } from '../../../src/core/components/ComponentGenerator.js'
+import { ConfigLoader } from '../../../src/core/config/ConfigLoader.js'
+
+const loader = new ConfigLoader()
+const buttonConfig = await loader.load('src/configs/element-plus/button.config.js')
+
+describe('ElementPlusAdapter', () => {
+    let outputDir
+
+    before(() => {
+        outputDir = mkdtempSync(path.join(tmpdir(), 'vdc-element-plus-'))
+    })
+
+    after(() => {
+        rmSync(outputDir, { recursive: true, force: true })
+    })
+
+    it('maps semantic components to Element Plus components once initialized', async () => {
+        const adapter = new ElementPlusAdapter()
+
+        assert.throws(() => adapter.getComponent('Button'), /call await adapter.initialize\(\) first/i)
+
+        await adapter.initialize()
+        assert.equal(adapter.name, 'element-plus')
+        assert.equal(adapter.hasComponent('Button'), true)
+        assert.equal(adapter.getComponent('Button'), 'ElButton')
+        assert.equal(adapter.getImportStatement('Button'), "import { ElButton } from 'element-plus'")
+    })
+
+    it('generates an ElButton wrapper', async () => {
+        const generator = new ComponentGenerator({ libraryAdapter: new ElementPlusAdapter(), outputDir })
+        const result = await generator.generateComponent(buttonConfig)
+        const code = readFileSync(result.path, 'utf8')
+
+        assert.equal(result.metadata.library, 'element-plus')
+        assert.match(code, /import \{ ElButton \} from 'element-plus'/)
+        assert.match(code, /<ElButton[\s\S]*:round="rounded"/)
+        assert.match(code, /:data-icon-position="iconPosition"/)
+        assert.match(code, /\.el-button\[data-icon-position="right"\] \{\n {2}flex-direction: row-reverse;/)
+    })
+
+    it('renders the label as default slot content instead of binding it', async () => {
+        const generator = new ComponentGenerator({ libraryAdapter: new ElementPlusAdapter(), outputDir })
+        const code = readFileSync((await generator.generateComponent(buttonConfig)).path, 'utf8')
+
+        assert.match(code, /<slot>\{\{ label \}\}<\/slot>/)
+        assert.doesNotMatch(code, /:label=/)
+    })
+})
@@ -0,0 +1,58 @@
+/**
+ * Installed library version detection
+ *
+ * File: test/core/adapters/LibraryAdapter.version.test.js
+ */
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import path from 'path'
+import { LibraryAdapter } from '../../../src/core/adapters/LibraryAdapter.js'
+import { DeclarativeAdapter } from '../../../src/core/adapters/DeclarativeAdapter.js'
+
+describe('LibraryAdapter.detectInstalledVersion', () => {
+    let root
+
+    before(() => {
+        root = mkdtempSync(path.join(tmpdir(), 'vdc-version-'))
+        const packageDir = path.join(root, 'node_modules', '@acme', 'ui')
+        mkdirSync(packageDir, { recursive: true })
+        writeFileSync(path.join(packageDir, 'package.json'), JSON.stringify({ name: '@acme/ui', version: '2.4.1' }))
+        mkdirSync(path.join(root, 'packages', 'app'), { recursive: true })
+    })
+
+    after(() => {
+        rmSync(root, { recursive: true, force: true })
+    })
+
+    it('reads the version from the nearest node_modules, walking up', () => {
+        const adapter = new LibraryAdapter('acme', null)
+
+        assert.equal(adapter.detectInstalledVersion('@acme/ui', root), '2.4.1')
+        assert.equal(adapter.detectInstalledVersion('@acme/ui', path.join(root, 'packages', 'app')), '2.4.1')
+    })
+
+    it('locates the package directory the version is read from', () => {
+        const packageDir = path.join(root, 'node_modules', '@acme', 'ui')
+
+        assert.equal(LibraryAdapter.findPackageDir('@acme/ui', path.join(root, 'packages', 'app')), packageDir)
+        assert.equal(LibraryAdapter.findPackageDir('@acme/missing', root), null)
+    })
+
+    it('returns null for packages that are not installed', () => {
+        const adapter = new LibraryAdapter('acme', null)
+
+        assert.equal(adapter.detectInstalledVersion('@acme/missing', root), null)
+        assert.equal(adapter.detectInstalledVersion(null, root), null)
+    })
+
+    it('prefers the installed version over the library config version', () => {
+        const libraryConfig = { name: 'vue', package: 'vue', version: '0.0.1', adapter: { importTemplate: { type: 'none' } } }
+
+        assert.notEqual(new DeclarativeAdapter(libraryConfig).version, '0.0.1')
+        assert.equal(new DeclarativeAdapter(libraryConfig, '3.4.0').version, '3.4.0')
+        assert.equal(new DeclarativeAdapter({ ...libraryConfig, package: '@acme/missing' }).version, '0.0.1')
+    })
+})
@@ -0,0 +1,68 @@
+/**
+ * Native HTML adapter for library-free builds
+ *
+ * File: test/core/adapters/NativeAdapter.test.js
+ */
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, readFileSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import path from 'path'
+import { NativeAdapter } from '../../../src/core/adapters/NativeAdapter.js'
+import { LibraryAdapter } from '../../../src/core/adapters/LibraryAdapter.js'
+import { ComponentGenerator } from '../../../src/core/components/ComponentGenerator.js'
+import { ConfigLoader } from '../../../src/core/config/ConfigLoader.js'
+
+const loader = new ConfigLoader()
+const buttonConfig = await loader.load('src/configs/native/button.config.js')
+
+describe('LibraryAdapter.isNativeElement', () => {
+    it('recognizes every HTML element', () => {
+        ['button', 'div', 'h2', 'table', 'tbody', 'video', 'wbr', 'search'].forEach(tag => {
+            assert.equal(LibraryAdapter.isNativeElement(tag), true, tag)
+        })
+    })
+
+    it('rejects library components and custom elements', () => {
+        ['VBtn', 'Button', 'el-button', 'my-widget', 'buttons'].forEach(tag => {
+            assert.equal(LibraryAdapter.isNativeElement(tag), false, tag)
+        })
+    })
+})
+
+describe('NativeAdapter', () => {
+    let outputDir
+
+    before(() => {
+        outputDir = mkdtempSync(path.join(tmpdir(), 'vdc-native-'))
+    })
+
+    after(() => {
+        rmSync(outputDir, { recursive: true, force: true })
+    })
+
+    it('needs no import for HTML elements and rejects library components', async () => {
+        const adapter = await new NativeAdapter().initialize()
+
+        assert.equal(adapter.getComponent('Button'), 'button')
+        assert.equal(adapter.getImportStatement('Button'), '')
+
+        adapter.registerComponent('Card', 'VCard')
+        assert.throws(() => adapter.getImportStatement('Card'), {
+            message: "Native adapter cannot import 'VCard'. Use a plain HTML element as baseComponent."
+        })
+    })
+
+    it('generates a wrapper around a plain element without imports or component registration', async () => {
+        const generator = new ComponentGenerator({ libraryAdapter: new NativeAdapter(), outputDir })
+        const code = readFileSync((await generator.generateComponent(buttonConfig)).path, 'utf8')
+
+        assert.match(code, /<button[\s\S]*:data-variant="variant"/)
+        assert.match(code, /:aria-busy="computedAriaBusy"/)
+        assert.match(code, /computedAriaBusy\(\) \{/)
+        assert.doesNotMatch(code, /^import /m)
+        assert.doesNotMatch(code, /components: \{/)
+        assert.match(code, /button\[data-rounded\] \{/)
+    })
+})
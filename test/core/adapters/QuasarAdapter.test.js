@@ -0,0 +1,91 @@
+/**
+ * Quasar adapter, generated wrappers and brand color theme application
+ *
+ * File: test/core/adapters/QuasarAdapter.test.js
+ */
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, readFileSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import path from 'path'
+import { QuasarAdapter } from '../../../src/core/adapters/QuasarAdapter.js'
+import { ComponentGenerator } from '../../../src/core/components/ComponentGenerator.js'
+import quasarConfig from '../../../src/configs/libraries/quasar.config.js'
+import { ConfigLoader } from '../../../src/core/config/ConfigLoader.js'
+
+const loader = new ConfigLoader()
+const buttonConfig = await loader.load('src/configs/quasar/button.config.js')
+
+/**
+ * Run the library config's theme application code with Quasar's Dark and setCssVar recorded
+ */
+const applyTheme = (themeConfig, theme) => {
+    const calls = { dark: [], cssVars: {} }
+    const Dark = { set: value => calls.dark.push(value) }
+    const setCssVar = (name, value) => { calls.cssVars[name] = value }
+
+    new Function('themeConfig', 'options', 'Dark', 'setCssVar', quasarConfig.setup.themeApplication)(themeConfig, { theme }, Dark, setCssVar)
+    return calls
+}
+
+describe('QuasarAdapter', () => {
+    let outputDir
+
+    before(() => {
+        outputDir = mkdtempSync(path.join(tmpdir(), 'vdc-quasar-'))
+    })
+
+    after(() => {
+        rmSync(outputDir, { recursive: true, force: true })
+    })
+
+    it('maps semantic components to Quasar components', async () => {
+        const adapter = await new QuasarAdapter().initialize()
+
+        assert.equal(adapter.getComponent('Button'), 'QBtn')
+        assert.equal(adapter.getComponent('App'), 'QLayout')
+        assert.equal(adapter.getImportStatement('Button'), "import { QBtn } from 'quasar'")
+    })
+
+    it('generates a QBtn wrapper with Quasar prop names', async () => {
+        const generator = new ComponentGenerator({ libraryAdapter: new QuasarAdapter(), outputDir })
+        const code = readFileSync((await generator.generateComponent(buttonConfig)).path, 'utf8')
+
+        assert.match(code, /<QBtn[\s\S]*:disable="disabled"/)
+        assert.match(code, /:iconRight="/)
+        assert.match(code, /'success': 'positive'/)
+        assert.match(code, /'danger': 'negative'/)
+        assert.doesNotMatch(code, /#icon|name="icon"/)
+    })
+})
+
+describe('Quasar theme application', () => {
+    const themeConfig = {
+        light: {
+            dark: false,
+            colors: { primary: '#1976d2', secondary: '#26a69a', tertiary: '#9c27b0', success: '#21ba45', error: '#c10015', 'inverse-surface': '#1d1d1d' }
+        },
+        dark: { dark: true, colors: { primary: '#90caf9' } }
+    }
+
+    it('sets the dark mode and brand colors from the theme', () => {
+        const calls = applyTheme(themeConfig, 'light')
+
+        assert.deepEqual(calls.dark, [false])
+        assert.deepEqual(calls.cssVars, {
+            primary: '#1976d2',
+            secondary: '#26a69a',
+            accent: '#9c27b0',
+            positive: '#21ba45',
+            negative: '#c10015',
+            dark: '#1d1d1d',
+            'dark-page': '#1d1d1d'
+        })
+    })
+
+    it('skips colors the theme does not define and unknown themes', () => {
+        assert.deepEqual(applyTheme(themeConfig, 'dark'), { dark: [true], cssVars: { primary: '#90caf9' } })
+        assert.deepEqual(applyTheme(themeConfig, 'sepia'), { dark: [], cssVars: {} })
+    })
+})
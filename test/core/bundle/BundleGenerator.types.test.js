@@ -0,0 +1,51 @@
+/**
+ * Typed bundle declarations (types/index.d.ts)
+ *
+ * File: test/core/bundle/BundleGenerator.types.test.js
+ */
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdirSync, mkdtempSync, readFileSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import path from 'path'
+import { BundleGenerator } from '../../../src/core/bundle/BundleGenerator.js'
+
+const button = {
+    name: 'OPCButton',
+    types: {
+        props: ["color?: 'primary' | 'secondary'", 'disabled?: boolean'],
+        emits: [
+            { name: 'click', payloadName: 'event', payloadType: 'MouseEvent' },
+            { name: 'update:open', payloadName: 'value', payloadType: 'boolean' }
+        ],
+        methods: ['focus']
+    }
+}
+
+describe('BundleGenerator type declarations', () => {
+    let outputDir
+
+    before(() => {
+        outputDir = mkdtempSync(path.join(tmpdir(), 'vdc-bundle-types-'))
+        mkdirSync(path.join(outputDir, 'types'))
+    })
+
+    after(() => {
+        rmSync(outputDir, { recursive: true, force: true })
+    })
+
+    it('declares typed components with their methods and registers them as global components', async () => {
+        const generator = new BundleGenerator({ library: 'vuetify', outputDir, generatedComponents: [button, { name: 'OPCCard' }] })
+        await generator.generateTypes()
+        const types = readFileSync(path.join(outputDir, 'types', 'index.d.ts'), 'utf8')
+
+        assert.match(types, /import \{ App, DefineComponent \} from 'vue'/)
+        assert.match(types, /export interface OPCButtonProps \{\n {2}color\?: 'primary' \| 'secondary'\n {2}disabled\?: boolean\n\}/)
+        assert.match(types, /export interface OPCButtonEmits \{\n {2}click: \(event: MouseEvent\) => void\n {2}'update:open': \(value: boolean\) => void\n\}/)
+        assert.match(types, /export interface OPCButtonMethods \{\n {2}focus\(\.\.\.args: any\[\]\): any\n\}/)
+        assert.match(types, /export declare const OPCButton: DefineComponent<OPCButtonProps, \{\}, \{\}, \{\}, OPCButtonMethods, \{\}, \{\}, OPCButtonEmits>/)
+        assert.match(types, /export interface OPCCardProps \{\n\}/)
+        assert.match(types, /declare module 'vue' \{\n {2}export interface GlobalComponents \{\n {4}OPCButton: typeof OPCButton\n {4}OPCCard: typeof OPCCard/)
+    })
+})
@@ -0,0 +1,123 @@
+/**
+ * Compound components built from a tree of child components
+ *
+ * File: test/core/components/ComponentGenerator.children.test.js
+ */
+
+import { describe, it, before, after, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, readFileSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import path from 'path'
+import { ComponentGenerator } from '../../../src/core/components/ComponentGenerator.js'
+import { PrimeVueAdapter } from '../../../src/core/adapters/PrimeVueAdapter.js'
+import { VuetifyAdapter } from '../../../src/core/adapters/VuetifyAdapter.js'
+import { NativeAdapter } from '../../../src/core/adapters/NativeAdapter.js'
+import { ConfigValidator } from '../../../src/core/validation/ConfigValidator.js'
+import { ConfigLoader } from '../../../src/core/config/ConfigLoader.js'
+
+const loader = new ConfigLoader()
+const vuetifyConfirmDialog = await loader.load('src/configs/vuetify/confirmdialog.config.js')
+const primeVueConfirmDialog = await loader.load('src/configs/primevue/confirmdialog.config.js')
+const nativeFormField = await loader.load('src/configs/native/formfield.config.js')
+
+describe('ComponentGenerator children', () => {
+    let outputDir
+
+    before(() => {
+        outputDir = mkdtempSync(path.join(tmpdir(), 'vdc-children-'))
+        mock.method(console, 'log', () => {})
+    })
+
+    after(() => {
+        mock.restoreAll()
+        rmSync(outputDir, { recursive: true, force: true })
+    })
+
+    const generate = async (templateType, config, libraryAdapter) => {
+        const generator = new ComponentGenerator({ libraryAdapter, outputDir, templateType })
+        const result = await generator.generateComponent(config)
+        return readFileSync(result.path, 'utf8')
+    }
+
+    it('nests children and registers every library component in the tree', async () => {
+        const code = await generate('sfc', vuetifyConfirmDialog, new VuetifyAdapter('3.7.2'))
+
+        assert.match(code, /<VCard>[\s\S]*<VCardTitle>[\s\S]*<slot name="title">\{\{ title \}\}<\/slot>[\s\S]*<\/VCardTitle>/)
+        assert.match(code, /<VCardActions>[\s\S]*<VSpacer \/>[\s\S]*<VBtn[\s\S]*:text="cancelText"[\s\S]*@click="\$emit\('cancel', \$event\)"/)
+        assert.match(code, /components: \{ VDialog, VCard, VCardTitle, VCardText, VCardActions, VSpacer, VBtn \}/)
+        assert.match(code, /emits: \['cancel', 'confirm', 'update:open'\]/)
+    })
+
+    it('places children in library slots and maps persistent to closeOnEscape', async () => {
+        const code = await generate('sfc', primeVueConfirmDialog, new PrimeVueAdapter('4.2.0'))
+
+        assert.match(code, /<template v-if="\$slots\.title" #header>/)
+        assert.match(code, /<template #footer>\s*<Button[\s\S]*<Button/)
+        assert.match(code, /:closeOnEscape="computedCloseOnEscape"/)
+        assert.doesNotMatch(code, /:closable/)
+        assert.match(code, /import Button from 'primevue\/button'/)
+    })
+
+    it('renders conditional native children and binds the ref child', async () => {
+        const sfc = await generate('sfc', nativeFormField, new NativeAdapter())
+        const jsx = await generate('jsx', nativeFormField, new NativeAdapter())
+
+        assert.match(sfc, /<label>\s*<span>\s*<slot name="label">\{\{ label \}\}<\/slot>\s*<\/span>\s*<input\n\s*ref="baseRef"/)
+        assert.match(sfc, /<small\n\s*v-if="hint"/)
+        assert.match(sfc, /return this\.\$refs\.baseRef\?\.focus\(\.\.\.args\)/)
+        assert.match(jsx, /\{props\.hint \? \(\s*<small>/)
+    })
+})
+
+describe('ConfigValidator children', () => {
+    const validate = children => new ConfigValidator().validate({ ...nativeFormField, children })
+
+    it('accepts the shipped compound configs', () => {
+        for (const config of [vuetifyConfirmDialog, primeVueConfirmDialog, nativeFormField]) {
+            assert.deepEqual(new ConfigValidator().validate(config).errors, [])
+        }
+    })
+
+    it('rejects malformed children against the schema', () => {
+        assert.deepEqual(validate([
+            { baseComponent: 'label', children: [{ if: 'hint' }] },
+            { baseComponent: 'small', ref: 'yes' }
+        ]).errors, [
+            "/children/0/children/0: missing required property 'baseComponent'",
+            '/children/1/ref: must be a boolean'
+        ])
+    })
+
+    it('labels child errors with their path', () => {
+        const { errors } = validate([
+            { baseComponent: 'label', children: [{ baseComponent: 'span', slots: [{ name: 'label', fallback: 'caption' }] }] },
+            { baseComponent: 'small', if: 'missing' }
+        ])
+
+        assert.deepEqual(errors, [
+            "Child 0.0 (span): Slot 'label': fallback 'caption' is not a declared prop",
+            `Child 1 (small): Unknown identifier 'missing' in "missing"`
+        ])
+    })
+
+    it('prepends the child pointer to pointer-prefixed messages', () => {
+        const { errors } = validate([
+            { baseComponent: 'label', children: [{ baseComponent: 'span', events: [{ name: 'click', emit: 'click', libraryVersion: 'latest' }] }] }
+        ])
+
+        assert.deepEqual(errors, ["/children/0/children/0/events/0/libraryVersion: invalid range 'latest'"])
+    })
+
+    it('reports names declared by more than one node', () => {
+        const { errors } = validate([
+            { baseComponent: 'input', ref: true },
+            { baseComponent: 'input', ref: true },
+            { baseComponent: 'span', slots: [{ name: 'hint' }] },
+            { baseComponent: 'small', slots: [{ name: 'hint' }] }
+        ])
+
+        assert.ok(errors.includes('Only one child may be marked ref: true'))
+        assert.ok(errors.includes("Slot 'hint' is declared by both Child 2 (span) and Child 3 (small)"))
+    })
+})
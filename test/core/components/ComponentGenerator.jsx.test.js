@@ -0,0 +1,90 @@
+/**
+ * JSX render-function output
+ *
+ * File: test/core/components/ComponentGenerator.jsx.test.js
+ */
+
+import { describe, it, before, after, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, readFileSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import path from 'path'
+import { ComponentGenerator } from '../../../src/core/components/ComponentGenerator.js'
+import { TransformationEngine } from '../../../src/core/components/TransformationEngine.js'
+import { NativeAdapter } from '../../../src/core/adapters/NativeAdapter.js'
+import { PrimeVueAdapter } from '../../../src/core/adapters/PrimeVueAdapter.js'
+import { ConfigLoader } from '../../../src/core/config/ConfigLoader.js'
+
+const loader = new ConfigLoader()
+const nativeButton = await loader.load('src/configs/native/button.config.js')
+const nativeTextField = await loader.load('src/configs/native/textfield.config.js')
+const primeVueDialog = await loader.load('src/configs/primevue/dialog.config.js')
+
+describe('ComponentGenerator JSX output', () => {
+    let outputDir
+
+    before(() => {
+        outputDir = mkdtempSync(path.join(tmpdir(), 'vdc-jsx-'))
+        mock.method(console, 'log', () => {})
+    })
+
+    after(() => {
+        mock.restoreAll()
+        rmSync(outputDir, { recursive: true, force: true })
+    })
+
+    const generate = async (libraryAdapter, config) => {
+        const generator = new ComponentGenerator({ libraryAdapter, outputDir, templateType: 'jsx' })
+        const result = await generator.generateComponent(config)
+        return { path: result.path, code: readFileSync(result.path, 'utf8') }
+    }
+
+    it('renders library components with computed values and slot functions', async () => {
+        const { path: outputPath, code } = await generate(new PrimeVueAdapter('4.2.0'), primeVueDialog)
+
+        assert.equal(path.extname(outputPath), '.jsx')
+        assert.match(code, /setup\(props, \{ emit, slots, attrs, expose \}\) \{\n {4}const computedStyle = computed\(\(\) => \(\(width\) => \(\{ width \}\)\)\(props\.width\)\)/)
+        assert.match(code, /<Dialog\n {8}style=\{computedStyle\.value\}/)
+        assert.match(code, /visible=\{props\.open\}\n {8}onUpdate:visible=\{\(event\) => emit\('update:open', event\)\}>/)
+        assert.match(code, /\{\{\n {10}default: slots\.default\n {8}\}\}\n {6}<\/Dialog>/)
+        assert.doesNotMatch(code, /<template>|\$emit|:style=/)
+    })
+
+    it('renders native children with the slot fallback prop', async () => {
+        const { code } = await generate(new NativeAdapter(), nativeButton)
+
+        assert.match(code, /data-color=\{props\.color\}/)
+        assert.match(code, /onClick=\{\(event\) => emit\('click', event\)\}/)
+        assert.match(code, /onBlur=\{\(event\) => emit\('blur', event\)\}>\n {8}\{slots\.icon\?\.\(\)\}\n {8}\{slots\.default\?\.\(\) \?\? props\.label\}\n/)
+    })
+
+    it('self-closes void elements and reads model values from the event', async () => {
+        const { code } = await generate(new NativeAdapter(), nativeTextField)
+
+        assert.match(code, /value=\{props\.modelValue\}/)
+        assert.match(code, /onInput=\{\(event\) => emit\('update:modelValue', event\.target\.value\)\} \/>/)
+    })
+})
+
+describe('TransformationEngine JSX helpers', () => {
+    const engine = new TransformationEngine({ name: 'vuetify', version: '3.7.2' })
+    const props = [{ name: 'icon' }, { name: 'iconPosition' }]
+
+    it('rewrites template expressions to props and computed refs', () => {
+        const mappings = [
+            { type: 'conditional', source: 'icon', target: 'appendIcon', condition: 'iconPosition === "right"' },
+            { type: 'value', source: 'icon', target: 'prependIcon', transform: '(icon) => icon' }
+        ]
+
+        assert.deepEqual(engine.generateJSXPropBindings(mappings, props, [{ name: 'disabled' }]), [
+            "appendIcon={props.iconPosition === 'right' ? props.icon : undefined}",
+            'prependIcon={computedPrependIcon.value}',
+            'disabled={props.disabled}'
+        ])
+    })
+
+    it('names listeners after Vue\'s on + capitalized event convention', () => {
+        assert.equal(engine.getEventHandlerName('click'), 'onClick')
+        assert.equal(engine.getEventHandlerName('update:modelValue'), 'onUpdate:modelValue')
+    })
+})
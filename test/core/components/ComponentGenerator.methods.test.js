@@ -0,0 +1,114 @@
+/**
+ * Library instance methods exposed through a ref
+ *
+ * File: test/core/components/ComponentGenerator.methods.test.js
+ */
+
+import { describe, it, before, after, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, readFileSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import path from 'path'
+import { ComponentGenerator } from '../../../src/core/components/ComponentGenerator.js'
+import { TransformationEngine } from '../../../src/core/components/TransformationEngine.js'
+import { PrimeVueAdapter } from '../../../src/core/adapters/PrimeVueAdapter.js'
+import { VuetifyAdapter } from '../../../src/core/adapters/VuetifyAdapter.js'
+import { ConfigValidator } from '../../../src/core/validation/ConfigValidator.js'
+import { ConfigLoader } from '../../../src/core/config/ConfigLoader.js'
+
+const loader = new ConfigLoader()
+const primeVueTextField = await loader.load('src/configs/primevue/textfield.config.js')
+const vuetifyTextField = await loader.load('src/configs/vuetify/textfield.config.js')
+
+describe('TransformationEngine methods', () => {
+    const engine = new TransformationEngine({ name: 'vuetify', version: '3.7.2' })
+
+    it('forwards calls along the target path with optional chaining', () => {
+        assert.equal(engine.generateMethodCall({ name: 'focus', target: '$el.focus' }, 'baseRef.value'), 'baseRef.value?.$el?.focus(...args)')
+        assert.throws(() => engine.generateMethodCall({ name: 'focus', target: 'focus()' }, 'baseRef.value'), /target must be a property path/)
+    })
+
+    it('generates nothing when no method applies', () => {
+        assert.equal(engine.generateMethodsDefinition([{ name: 'reset', libraryVersion: '>=4' }]), '')
+        assert.equal(engine.generateExposeDefinition(undefined), '')
+    })
+})
+
+describe('ComponentGenerator methods', () => {
+    let outputDir
+
+    before(() => {
+        outputDir = mkdtempSync(path.join(tmpdir(), 'vdc-methods-'))
+        mock.method(console, 'log', () => {})
+    })
+
+    after(() => {
+        mock.restoreAll()
+        rmSync(outputDir, { recursive: true, force: true })
+    })
+
+    const generate = async (templateType, config = vuetifyTextField, libraryAdapter = new VuetifyAdapter('3.7.2'), lang) => {
+        const generator = new ComponentGenerator({ libraryAdapter, outputDir, templateType, lang })
+        const result = await generator.generateComponent(config)
+        return { result, code: readFileSync(result.path, 'utf8') }
+    }
+
+    it('exposes Options API methods calling the library ref', async () => {
+        const { result, code } = await generate('sfc')
+
+        assert.match(code, /<VTextField\n {4}ref="baseRef"/)
+        assert.match(code, /expose: \['focus', 'blur'\],\n {2}methods: \{\n {4}focus\(\.\.\.args\) \{\n {6}return this\.\$refs\.baseRef\?\.focus\(\.\.\.args\)/)
+        assert.deepEqual(result.types.methods, ['focus', 'blur'])
+    })
+
+    it('uses defineExpose with a typed ref in <script setup lang="ts">', async () => {
+        const { code } = await generate('setup', vuetifyTextField, new VuetifyAdapter('3.7.2'), 'ts')
+
+        assert.match(code, /import \{ ref \} from 'vue'/)
+        assert.match(code, /const baseRef = ref<any>\(\)\n\ndefineExpose\(\{\n {2}focus: \(\.\.\.args: any\[\]\) => baseRef\.value\?\.focus\(\.\.\.args\),/)
+    })
+
+    it('calls expose() from render-function setup', async () => {
+        const { code } = await generate('jsx', primeVueTextField, new PrimeVueAdapter('4.2.0'))
+
+        assert.match(code, /setup\(props, \{ emit, slots, attrs, expose \}\)/)
+        assert.match(code, /expose\(\{\n {6}focus: \(\.\.\.args\) => baseRef\.value\?\.\$el\?\.focus\(\.\.\.args\),/)
+        assert.match(code, /ref=\{baseRef\}/)
+    })
+})
+
+describe('ConfigValidator methods', () => {
+    const validate = methods => new ConfigValidator().validate({ ...vuetifyTextField, methods })
+
+    it('rejects malformed methods against the schema', () => {
+        assert.deepEqual(validate({ focus: 'focus' }).errors, ['/methods: must be an array'])
+        assert.deepEqual(validate([
+            { target: 'focus' },
+            { name: 'focus' },
+            { name: 'select', target: 'select()' },
+            { name: 'reset', type: 'native' }
+        ]).errors, [
+            "/methods/0: missing required property 'name'",
+            "/methods/2/target: 'select()' must match ^[A-Za-z_$][\\w$]*(\\.[A-Za-z_$][\\w$]*)*$",
+            '/methods/3/type: must be "librarySpecific"'
+        ])
+    })
+
+    it('reports invalid entries and duplicates', () => {
+        const result = validate([
+            { name: 'label' },
+            { name: 'clear', type: 'librarySpecific' },
+            { name: 'validate', libraryVersion: 'next' },
+            { name: 'focus' },
+            { name: 'focus' },
+            { name: 'focus', libraryVersion: '>=4' }
+        ])
+
+        assert.deepEqual(result.errors, [
+            "Method 'label' collides with a prop of the same name",
+            '/methods/1: librarySpecific method missing library',
+            "/methods/2/libraryVersion: invalid range 'next'",
+            'Duplicate method: focus'
+        ])
+    })
+})
@@ -0,0 +1,140 @@
+/**
+ * v-model support in generated wrappers
+ *
+ * File: test/core/components/ComponentGenerator.model.test.js
+ */
+
+import { describe, it, before, after, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, readFileSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import path from 'path'
+import { TransformationEngine } from '../../../src/core/components/TransformationEngine.js'
+import { ComponentGenerator } from '../../../src/core/components/ComponentGenerator.js'
+import { NativeAdapter } from '../../../src/core/adapters/NativeAdapter.js'
+import { PrimeVueAdapter } from '../../../src/core/adapters/PrimeVueAdapter.js'
+import { VuetifyAdapter } from '../../../src/core/adapters/VuetifyAdapter.js'
+import { ConfigValidator } from '../../../src/core/validation/ConfigValidator.js'
+import { ConfigLoader } from '../../../src/core/config/ConfigLoader.js'
+
+const loader = new ConfigLoader()
+const nativeTextField = await loader.load('src/configs/native/textfield.config.js')
+const primeVueDialog = await loader.load('src/configs/primevue/dialog.config.js')
+const vuetifyTextField = await loader.load('src/configs/vuetify/textfield.config.js')
+
+describe('TransformationEngine models', () => {
+    const engine = new TransformationEngine({ name: 'vuetify', version: '3.7.2' })
+
+    it('defaults to modelValue bound to the same library prop', () => {
+        assert.deepEqual(engine.normalizeModels({ type: 'string' }), [
+            { type: 'string', name: 'modelValue', target: 'modelValue', event: 'update:modelValue', emit: 'update:modelValue' }
+        ])
+        assert.deepEqual(engine.normalizeModels(undefined), [])
+    })
+
+    it('binds named models to a differently named library prop and event', () => {
+        const model = [{ name: 'open', type: 'boolean', default: false, target: 'visible' }]
+
+        assert.deepEqual(engine.getModelProps(model), [{ name: 'open', type: 'boolean', required: false, default: false }])
+        assert.equal(engine.generateModelPropBindings(model), ':visible="open"')
+        assert.equal(engine.generateModelEventBindings(model).trim(), `@update:visible="$emit('update:open', $event)"`)
+    })
+})
+
+describe('ComponentGenerator models', () => {
+    let outputDir
+
+    before(() => {
+        outputDir = mkdtempSync(path.join(tmpdir(), 'vdc-model-'))
+        mock.method(console, 'log', () => {})
+    })
+
+    after(() => {
+        mock.restoreAll()
+        rmSync(outputDir, { recursive: true, force: true })
+    })
+
+    const generate = async (libraryAdapter, config) => {
+        const generator = new ComponentGenerator({ libraryAdapter, outputDir })
+        return readFileSync((await generator.generateComponent(config)).path, 'utf8')
+    }
+
+    it('declares the model prop and its update event', async () => {
+        const code = await generate(new VuetifyAdapter('3.7.2'), vuetifyTextField)
+
+        assert.match(code, /modelValue: \{\n\s+type: String,\n\s+default: '',/)
+        assert.match(code, /:modelValue="modelValue"/)
+        assert.match(code, /@update:modelValue="\$emit\('update:modelValue', \$event\)"/)
+        assert.match(code, /emits: \['focus', 'blur', 'update:modelValue'\]/)
+    })
+
+    it('reads the value back from native input events and self-closes void elements', async () => {
+        const code = await generate(new NativeAdapter(), nativeTextField)
+
+        assert.match(code, /:value="modelValue"/)
+        assert.match(code, /@input="\$emit\('update:modelValue', \$event\.target\.value\)" \/>/)
+        assert.doesNotMatch(code, /<\/input>/)
+    })
+
+    it('supports v-model:open on a PrimeVue Dialog', async () => {
+        const code = await generate(new PrimeVueAdapter('4.2.0'), primeVueDialog)
+
+        assert.match(code, /:visible="open"/)
+        assert.match(code, /@update:visible="\$emit\('update:open', \$event\)"/)
+        assert.match(code, /:closeOnEscape="computedCloseOnEscape"/)
+        assert.doesNotMatch(code, /:closable=/)
+    })
+})
+
+describe('ConfigValidator models', () => {
+    const configWith = (model, overrides = {}) => ({
+        name: 'TextField',
+        category: 'form',
+        description: 'Text field',
+        baseComponent: 'VTextField',
+        props: [{ name: 'label', type: 'string' }],
+        propMappings: [{ type: 'direct', source: 'label', target: 'label' }],
+        events: [{ name: 'update:focused', emit: 'focus' }],
+        model,
+        ...overrides
+    })
+
+    it('accepts a valid model', () => {
+        const result = new ConfigValidator().validate(configWith({ type: 'string', default: '' }))
+
+        assert.deepEqual(result.errors, [])
+        assert.deepEqual(result.warnings, [])
+    })
+
+    it('rejects malformed models against the schema', () => {
+        const result = new ConfigValidator().validate(configWith([
+            { name: 'search', type: 'text' },
+            { name: 'value-model', extract: 'target value' }
+        ]))
+
+        assert.deepEqual(result.errors, [
+            '/model/0/type: must be one of: "string", "number", "boolean", "array", "object", "function"',
+            "/model/1/name: 'value-model' must match ^[A-Za-z_$][A-Za-z0-9_$]*$",
+            "/model/1/extract: 'target value' must match ^[A-Za-z_$][\\w$]*(\\.[A-Za-z_$][\\w$]*)*$"
+        ])
+    })
+
+    it('reports clashes with props, mappings and events', () => {
+        const result = new ConfigValidator().validate(configWith([
+            { name: 'label' },
+            { name: 'search', target: 'label' },
+            { name: 'focused', event: 'update:focused' },
+            { name: 'focused', target: 'active' },
+            { name: 'value', transform: 'value => raw' }
+        ]))
+
+        assert.deepEqual(result.errors, [
+            "Model 'label' is also declared as a prop, remove it from props",
+            "Model 'label' binds 'label', which is also a prop mapping target",
+            "Model 'search' binds 'label', which is also a prop mapping target",
+            'Duplicate model: focused',
+            `Model 'value': Unknown identifier 'raw' in "value => raw"`
+        ])
+        assert.deepEqual(result.warnings, ["Model 'focused' listens to 'update:focused', which is also bound in events"])
+    })
+})
@@ -0,0 +1,124 @@
+/**
+ * Attribute passthrough policies
+ *
+ * File: test/core/components/ComponentGenerator.passthrough.test.js
+ */
+
+import { describe, it, before, after, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, readFileSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import path from 'path'
+import { ComponentGenerator } from '../../../src/core/components/ComponentGenerator.js'
+import { TransformationEngine } from '../../../src/core/components/TransformationEngine.js'
+import { VuetifyAdapter } from '../../../src/core/adapters/VuetifyAdapter.js'
+import { ConfigValidator } from '../../../src/core/validation/ConfigValidator.js'
+import { ConfigLoader } from '../../../src/core/config/ConfigLoader.js'
+
+const loader = new ConfigLoader()
+const vuetifyButton = await loader.load('src/configs/vuetify/button.config.js')
+
+const ALLOWED = "['class', 'style', 'density', 'ripple', 'block', 'href', 'to']"
+
+describe('TransformationEngine passthrough', () => {
+    const engine = new TransformationEngine({ name: 'vuetify', version: '3.7.2' })
+
+    it('normalizes every policy form', () => {
+        assert.equal(engine.resolvePassthrough(undefined), null)
+        assert.deepEqual(engine.resolvePassthrough('all'), { mode: 'all', names: [] })
+        assert.deepEqual(engine.resolvePassthrough('none'), { mode: 'allow', names: [] })
+        assert.deepEqual(engine.resolvePassthrough(['href']), { mode: 'allow', names: ['href'] })
+        assert.deepEqual(engine.resolvePassthrough({ deny: ['onClick'] }), { mode: 'deny', names: ['onClick'] })
+        assert.throws(() => engine.resolvePassthrough('some'), /Invalid passthrough policy: "some"/)
+    })
+
+    it('binds attrs directly for all and the computed property otherwise', () => {
+        assert.equal(engine.getPassthroughBinding(undefined), null)
+        assert.equal(engine.getPassthroughBinding('all'), '$attrs')
+        assert.equal(engine.getPassthroughBinding(['href']), 'computedPassthroughAttrs')
+        assert.equal(engine.generatePassthroughFilter('all', 'attrs'), null)
+    })
+
+    it('matches names in both kebab and camel case', () => {
+        assert.equal(
+            engine.generatePassthroughFilter({ deny: ['aria-label'] }, 'attrs'),
+            "Object.fromEntries(Object.entries(attrs).filter(([key]) => !['aria-label', 'ariaLabel'].includes(key)))"
+        )
+    })
+})
+
+describe('ComponentGenerator passthrough', () => {
+    let outputDir
+
+    before(() => {
+        outputDir = mkdtempSync(path.join(tmpdir(), 'vdc-passthrough-'))
+        mock.method(console, 'log', () => {})
+    })
+
+    after(() => {
+        mock.restoreAll()
+        rmSync(outputDir, { recursive: true, force: true })
+    })
+
+    const generate = async (templateType, config = vuetifyButton) => {
+        const generator = new ComponentGenerator({ libraryAdapter: new VuetifyAdapter('3.7.2'), outputDir, templateType })
+        return readFileSync((await generator.generateComponent(config)).path, 'utf8')
+    }
+
+    it('filters attrs once in a computed property of Options API output', async () => {
+        const code = await generate('sfc')
+
+        assert.match(code, /<VBtn\n {4}v-bind="computedPassthroughAttrs"\n {4}:text="label"/)
+        assert.match(code, /inheritAttrs: false,/)
+        assert.ok(code.includes(`computedPassthroughAttrs() {\n      return Object.fromEntries(${ALLOWED}.filter(key => this.$attrs[key] !== undefined)`))
+        assert.doesNotMatch(code, /v-bind="Object/)
+    })
+
+    it('computes filtered attrs from useAttrs() in <script setup> output', async () => {
+        const code = await generate('setup')
+
+        assert.match(code, /import \{ computed, useAttrs \} from 'vue'/)
+        assert.match(code, /defineOptions\(\{ name: 'Button', inheritAttrs: false \}\)/)
+        assert.match(code, /\ndefineProps\(\{/)
+        assert.ok(code.includes(`const attrs = useAttrs()\nconst computedPassthroughAttrs = computed(() => Object.fromEntries(${ALLOWED}.filter(key => attrs[key] !== undefined)`))
+        assert.match(code, /v-bind="computedPassthroughAttrs"/)
+    })
+
+    it('spreads the computed ref in render functions', async () => {
+        const code = await generate('jsx')
+
+        assert.match(code, /setup\(props, \{ emit, slots, attrs, expose \}\)/)
+        assert.match(code, /<VBtn\n {8}\{\.\.\.computedPassthroughAttrs\.value\}/)
+    })
+
+    it('forwards $attrs as is for the all policy', async () => {
+        const code = await generate('sfc', { ...vuetifyButton, passthrough: 'all' })
+
+        assert.match(code, /v-bind="\$attrs"/)
+        assert.doesNotMatch(code, /computedPassthroughAttrs/)
+    })
+
+    it('keeps Vue\'s default fallthrough without a policy', async () => {
+        const code = await generate('setup', { ...vuetifyButton, passthrough: undefined })
+
+        assert.doesNotMatch(code, /v-bind="\$attrs"|PassthroughAttrs|inheritAttrs|useAttrs/)
+    })
+})
+
+describe('ConfigValidator passthrough', () => {
+    const validate = passthrough => new ConfigValidator().validate({ ...vuetifyButton, passthrough })
+
+    it('rejects malformed policies against the schema', () => {
+        assert.deepEqual(validate('some').errors, ['/passthrough: must be one of: "all", "none"'])
+        assert.deepEqual(validate({ allow: ['href'], deny: ['to'] }).errors, ['/passthrough: does not match any of the allowed forms'])
+        assert.deepEqual(validate(['href', '']).errors, ['/passthrough/1: must not be empty'])
+    })
+
+    it('warns about names shadowed by props or mapped targets', () => {
+        assert.deepEqual(validate({ allow: ['color', 'prependIcon', 'href'] }).warnings, [
+            "passthrough name 'color' collides with semantic prop 'color' and is never forwarded",
+            "passthrough name 'prependIcon' is also a mapped target, the semantic binding takes precedence"
+        ])
+        assert.deepEqual(validate({ deny: ['prependIcon'] }).warnings, [])
+    })
+})
@@ -0,0 +1,77 @@
+/**
+ * <script setup> output
+ *
+ * File: test/core/components/ComponentGenerator.setup.test.js
+ */
+
+import { describe, it, before, after, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, readFileSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import path from 'path'
+import { ComponentGenerator } from '../../../src/core/components/ComponentGenerator.js'
+import { TransformationEngine } from '../../../src/core/components/TransformationEngine.js'
+import { PrimeVueAdapter } from '../../../src/core/adapters/PrimeVueAdapter.js'
+import { VuetifyAdapter } from '../../../src/core/adapters/VuetifyAdapter.js'
+import { ConfigLoader } from '../../../src/core/config/ConfigLoader.js'
+
+const loader = new ConfigLoader()
+const primeVueDialog = await loader.load('src/configs/primevue/dialog.config.js')
+const vuetifyTextField = await loader.load('src/configs/vuetify/textfield.config.js')
+
+describe('ComponentGenerator setup template', () => {
+    let outputDir
+
+    before(() => {
+        outputDir = mkdtempSync(path.join(tmpdir(), 'vdc-setup-'))
+        mock.method(console, 'log', () => {})
+    })
+
+    after(() => {
+        mock.restoreAll()
+        rmSync(outputDir, { recursive: true, force: true })
+    })
+
+    const generate = async (libraryAdapter, config) => {
+        const generator = new ComponentGenerator({ libraryAdapter, outputDir, templateType: 'setup' })
+        const result = await generator.generateComponent(config)
+        return { path: result.path, code: readFileSync(result.path, 'utf8') }
+    }
+
+    it('rejects unknown template types', () => {
+        assert.throws(() => new ComponentGenerator({ templateType: 'tsx' }), /Unknown template type 'tsx'. Available: sfc, setup, jsx/)
+    })
+
+    it('declares props and emits with compiler macros', async () => {
+        const { path: outputPath, code } = await generate(new VuetifyAdapter('3.7.2'), vuetifyTextField)
+
+        assert.equal(path.extname(outputPath), '.vue')
+        assert.match(code, /<script setup>\nimport \{ ref \} from 'vue'\nimport \{ VTextField \} from 'vuetify\/components'\n\ndefineOptions\(\{ name: 'TextField' \}\)/)
+        assert.match(code, /\ndefineProps\(\{\n {2}label: \{\n {4}type: String,\n {4}default: '',\n {4}required: false\n {2}\},/)
+        assert.match(code, /defineEmits\(\['focus', 'blur', 'update:modelValue'\]\)/)
+        assert.doesNotMatch(code, /export default|components:|computed/)
+    })
+
+    it('turns value mappings into computed() reading from props', async () => {
+        const { code } = await generate(new PrimeVueAdapter('4.2.0'), primeVueDialog)
+
+        assert.match(code, /<script setup>\nimport \{ computed \} from 'vue'\nimport Dialog from 'primevue\/dialog'/)
+        assert.match(code, /const props = defineProps\(\{/)
+        assert.match(code, /const computedStyle = computed\(\(\) => \(\(width\) => \(\{ width \}\)\)\(props\.width\)\)/)
+        assert.match(code, /:style="computedStyle"/)
+    })
+})
+
+describe('TransformationEngine setup helpers', () => {
+    const engine = new TransformationEngine({ name: 'vuetify', version: '3.7.2' })
+
+    it('rewrites this. to props. in computed mappings', () => {
+        const mappings = [{ type: 'computed', computedRef: 'buttonClasses', computation: 'return [this.size, this.color]' }]
+
+        assert.equal(engine.generateSetupComputedProperties(mappings), 'const buttonClasses = computed(() => {\n  return [props.size, props.color]\n})')
+    })
+
+    it('emits an empty defineProps call without props', () => {
+        assert.equal(engine.generateSetupPropsDefinition([]), 'defineProps({})')
+    })
+})
@@ -0,0 +1,130 @@
+/**
+ * Slot targets, scoped-prop renames and slot forwarding
+ *
+ * File: test/core/components/ComponentGenerator.slots.test.js
+ */
+
+import { describe, it, before, after, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, readFileSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import path from 'path'
+import { ComponentGenerator } from '../../../src/core/components/ComponentGenerator.js'
+import { NativeAdapter } from '../../../src/core/adapters/NativeAdapter.js'
+import { VuetifyAdapter } from '../../../src/core/adapters/VuetifyAdapter.js'
+import { ConfigValidator } from '../../../src/core/validation/ConfigValidator.js'
+import { ConfigLoader } from '../../../src/core/config/ConfigLoader.js'
+
+const loader = new ConfigLoader()
+const nativeButton = await loader.load('src/configs/native/button.config.js')
+
+const selectConfig = {
+    name: 'Select',
+    category: 'form',
+    description: 'Select',
+    baseComponent: 'VSelect',
+    props: [{ name: 'placeholder', type: 'string' }],
+    slots: [
+        { name: 'default' },
+        { name: 'option', target: 'item', props: { option: 'item', 'is-selected': 'props' } },
+        { name: 'empty', target: 'no-data', fallback: 'placeholder' }
+    ],
+    forwardSlots: true
+}
+
+describe('ComponentGenerator slots', () => {
+    let outputDir
+
+    before(() => {
+        outputDir = mkdtempSync(path.join(tmpdir(), 'vdc-slots-'))
+        mock.method(console, 'log', () => {})
+        mock.method(console, 'warn', () => {})
+    })
+
+    after(() => {
+        mock.restoreAll()
+        rmSync(outputDir, { recursive: true, force: true })
+    })
+
+    const generate = async (templateType, config = selectConfig, libraryAdapter = new VuetifyAdapter('3.7.2')) => {
+        const generator = new ComponentGenerator({ libraryAdapter, outputDir, templateType })
+        return readFileSync((await generator.generateComponent(config)).path, 'utf8')
+    }
+
+    it('passes provided slots to their library target with renamed scope props', async () => {
+        const code = await generate('sfc')
+
+        assert.match(code, /<template v-if="\$slots\.default" #default>\n {6}<slot \/>\n {4}<\/template>/)
+        assert.match(code, /<template v-if="\$slots\.option" #item="scope">\n {6}<slot name="option" :option="scope\.item" :is-selected="scope\.props" \/>/)
+    })
+
+    it('always renders slots with a fallback prop', async () => {
+        const code = await generate('sfc')
+
+        assert.match(code, /<template #no-data>\n {6}<slot name="empty">\{\{ placeholder \}\}<\/slot>/)
+    })
+
+    it('forwards undeclared slots, excluding semantic names and their targets', async () => {
+        const code = await generate('sfc')
+
+        assert.ok(code.includes(`<template v-for="slotName in Object.keys($slots).filter((name) => !['default', 'option', 'item', 'empty', 'no-data'].includes(name))" #[slotName]="scope">`))
+        assert.match(code, /<slot :name="slotName" v-bind="scope \|\| \{\}" \/>/)
+    })
+
+    it('builds the same slot functions for render functions', async () => {
+        const code = await generate('jsx')
+
+        assert.ok(code.includes("...Object.fromEntries(Object.entries(slots).filter(([name]) => !['default', 'option', 'item', 'empty', 'no-data'].includes(name))),"))
+        assert.match(code, /default: slots\.default,/)
+        assert.match(code, /item: slots\.option && \(\(scope\) => slots\.option\(\{ option: scope\.item, 'is-selected': scope\.props \}\)\),/)
+        assert.match(code, /'no-data': \(scope\) => slots\.empty\?\.\(scope\) \?\? props\.placeholder/)
+    })
+
+    it('renders native element content in place', async () => {
+        const code = await generate('sfc', nativeButton, new NativeAdapter())
+
+        assert.match(code, /<button[^>]*>\n {4}<slot name="icon" \/>\n {4}<slot>\{\{ label \}\}<\/slot>\n {4}<slot name="loading" \/>\n {2}<\/button>/)
+        assert.doesNotMatch(code, /<template #/)
+    })
+})
+
+describe('ConfigValidator slots', () => {
+    const validate = overrides => new ConfigValidator().validate({ ...selectConfig, ...overrides })
+
+    it('accepts targets, renames and fallbacks', () => {
+        assert.deepEqual(validate({}).errors, [])
+    })
+
+    it('rejects malformed slots against the schema', () => {
+        const result = validate({
+            forwardSlots: 'yes',
+            slots: [
+                { description: 'Unnamed' },
+                { name: 'row', target: 'item', props: 'item' }
+            ]
+        })
+
+        assert.deepEqual(result.errors, [
+            "/slots/0: missing required property 'name'",
+            '/slots/1/props: does not match any of the allowed forms',
+            '/forwardSlots: must be a boolean'
+        ])
+    })
+
+    it('reports duplicate names and targets and unknown fallbacks', () => {
+        const result = validate({
+            slots: [
+                { name: 'option', target: 'item' },
+                { name: 'option' },
+                { name: 'row', target: 'item' },
+                { name: 'empty', fallback: 'emptyText' }
+            ]
+        })
+
+        assert.deepEqual(result.errors, [
+            'Duplicate slot: option',
+            "Slot 'row': library slot 'item' is already targeted by another slot",
+            "Slot 'empty': fallback 'emptyText' is not a declared prop"
+        ])
+    })
+})
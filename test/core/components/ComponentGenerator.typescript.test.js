@@ -0,0 +1,87 @@
+/**
+ * TypeScript <script setup lang="ts"> output
+ *
+ * File: test/core/components/ComponentGenerator.typescript.test.js
+ */
+
+import { describe, it, before, after, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, readFileSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import path from 'path'
+import { ComponentGenerator } from '../../../src/core/components/ComponentGenerator.js'
+import { TransformationEngine } from '../../../src/core/components/TransformationEngine.js'
+import { PrimeVueAdapter } from '../../../src/core/adapters/PrimeVueAdapter.js'
+import { VuetifyAdapter } from '../../../src/core/adapters/VuetifyAdapter.js'
+import { ConfigLoader } from '../../../src/core/config/ConfigLoader.js'
+
+const loader = new ConfigLoader()
+const primeVueDialog = await loader.load('src/configs/primevue/dialog.config.js')
+const vuetifyButton = await loader.load('src/configs/vuetify/button.config.js')
+
+describe('ComponentGenerator TypeScript output', () => {
+    let outputDir
+
+    before(() => {
+        outputDir = mkdtempSync(path.join(tmpdir(), 'vdc-typescript-'))
+        mock.method(console, 'log', () => {})
+    })
+
+    after(() => {
+        mock.restoreAll()
+        rmSync(outputDir, { recursive: true, force: true })
+    })
+
+    const generate = async (libraryAdapter, config) => {
+        const generator = new ComponentGenerator({ libraryAdapter, outputDir, templateType: 'setup', lang: 'ts' })
+        const result = await generator.generateComponent(config)
+        return { result, code: readFileSync(result.path, 'utf8') }
+    }
+
+    it('only supports TypeScript with the setup template', () => {
+        assert.throws(() => new ComponentGenerator({ lang: 'coffee' }), /Unknown script language 'coffee'. Available: js, ts/)
+        assert.throws(() => new ComponentGenerator({ lang: 'ts' }), /TypeScript output requires the 'setup' template \(got 'sfc'\)/)
+    })
+
+    it('types props from their options and declares defaults with withDefaults', async () => {
+        const { result, code } = await generate(new VuetifyAdapter('3.7.2'), vuetifyButton)
+
+        assert.equal(result.metadata.lang, 'ts')
+        assert.match(code, /<script setup lang="ts">/)
+        assert.match(code, /interface Props \{\n {2}label\?: string\n {2}color\?: 'primary' \| 'secondary' \| 'success' \| 'warning' \| 'danger' \| 'info'/)
+        assert.match(code, /withDefaults\(defineProps<Props>\(\), \{\n {2}label: '',\n {2}color: 'primary',/)
+        assert.match(code, /defineEmits<\{\n {2}click: \[event: MouseEvent\]/)
+    })
+
+    it('types model updates and keeps computed mappings reading from props', async () => {
+        const { result, code } = await generate(new PrimeVueAdapter('4.2.0'), primeVueDialog)
+
+        assert.match(code, /const props = withDefaults\(defineProps<Props>\(\)/)
+        assert.match(code, /'update:open': \[value: boolean\]/)
+        assert.match(code, /computed\(\(\) => \(\(width\) => \(\{ width \}\)\)\(props\.width\)\)/)
+        assert.deepEqual(result.types.emits, [{ name: 'update:open', payloadName: 'value', payloadType: 'boolean' }])
+    })
+})
+
+describe('TransformationEngine TypeScript helpers', () => {
+    const engine = new TransformationEngine({ name: 'vuetify', version: '3.7.2' })
+
+    it('maps config types and options to TypeScript types', () => {
+        assert.equal(engine.getTypeScriptType('array'), 'unknown[]')
+        assert.equal(engine.getTypeScriptType('object'), 'Record<string, unknown>')
+        assert.equal(engine.getTypeScriptType('number', [1, 2]), '1 | 2')
+        assert.deepEqual(engine.generatePropsInterface([{ name: 'items', type: 'array', required: true }]), ['items: unknown[]'])
+    })
+
+    it('types narrowed event payloads as any', () => {
+        const events = [
+            { name: 'input', emit: 'input', extract: 'target.value', payload: 'InputEvent' },
+            { name: 'click', emit: 'click', payload: 'MouseEvent' }
+        ]
+
+        assert.deepEqual(engine.getEmitSignatures(events), [
+            { name: 'input', payloadName: 'payload', payloadType: 'any' },
+            { name: 'click', payloadName: 'event', payloadType: 'MouseEvent' }
+        ])
+    })
+})
@@ -0,0 +1,81 @@
+/**
+ * Condition and fallback expression compilation
+ *
+ * File: test/core/components/ExpressionCompiler.test.js
+ */
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { ExpressionCompiler } from '../../../src/core/components/ExpressionCompiler.js'
+import { TransformationEngine } from '../../../src/core/components/TransformationEngine.js'
+import { ConfigValidator } from '../../../src/core/validation/ConfigValidator.js'
+
+describe('ExpressionCompiler', () => {
+    const compiler = new ExpressionCompiler(['icon', 'iconPosition', 'items'])
+
+    it('prints template-safe code and lists the props it references', () => {
+        assert.deepEqual(compiler.compile('iconPosition === "right" && icon'), {
+            code: "iconPosition === 'right' && icon",
+            references: ['iconPosition', 'icon'],
+            errors: []
+        })
+    })
+
+    it('allows locals, arrow parameters and whitelisted globals', () => {
+        const { code, errors } = compiler.compile('items.filter(item => Boolean(item.id)).length > Math.max(0, NaN)')
+
+        assert.deepEqual(errors, [])
+        assert.equal(code, 'items.filter(item => Boolean(item.id)).length > Math.max(0, NaN)')
+    })
+
+    it('rejects identifiers that are not declared props', () => {
+        assert.deepEqual(compiler.compile('iconPos === "left"').errors, [`Unknown identifier 'iconPos' in "iconPos === "left""`])
+        assert.deepEqual(compiler.compile('window.location').errors, [`Unknown identifier 'window' in "window.location"`])
+    })
+
+    it('rejects this, assignments and statements', () => {
+        assert.deepEqual(compiler.compile('this.icon').errors, [`'this' is not allowed in "this.icon", reference props by name`])
+        assert.deepEqual(compiler.compile('icon = null').errors, ['Assignments are not allowed in "icon = null"'])
+        assert.match(compiler.compile('icon; items').errors[0], /^Invalid expression "icon; items"/)
+    })
+
+
+    it('renames props for script output without escaping quotes', () => {
+        const scriptCompiler = new ExpressionCompiler(['label'], { rename: { label: 'props.label' }, template: false })
+
+        assert.equal(scriptCompiler.compile('label || "Untitled"').code, "props.label || 'Untitled'")
+    })
+})
+
+describe('TransformationEngine conditions', () => {
+    const engine = new TransformationEngine({ name: 'vuetify', version: '3.7.2' })
+    const props = [{ name: 'icon' }, { name: 'iconPosition' }]
+
+    it('compiles conditional mappings into a ternary', () => {
+        const mapping = { type: 'conditional', source: 'icon', target: 'prependIcon', condition: 'iconPosition === "left"' }
+
+        assert.equal(engine.generateSingleBinding(mapping, props), `:prependIcon="iconPosition === 'left' ? icon : undefined"`)
+        assert.equal(engine.processCondition(undefined, props), 'true')
+    })
+
+    it('fails generation on unknown identifiers, naming the mapping target', () => {
+        const mapping = { type: 'conditional', source: 'icon', target: 'prependIcon', condition: 'position === "left"' }
+
+        assert.throws(() => engine.generateSingleBinding(mapping, props), {
+            message: `Mapping 'prependIcon': Unknown identifier 'position' in "position === "left""`
+        })
+    })
+
+    it('is checked by the validator before generation', () => {
+        const result = new ConfigValidator().validate({
+            name: 'Button',
+            category: 'form',
+            description: 'Button',
+            baseComponent: 'VBtn',
+            props: [{ name: 'icon', type: 'string' }],
+            propMappings: [{ type: 'conditional', source: 'icon', target: 'prependIcon', condition: 'iconPos === 1' }]
+        })
+
+        assert.deepEqual(result.errors, [`/propMappings/0/condition: Unknown identifier 'iconPos' in "iconPos === 1"`])
+    })
+})
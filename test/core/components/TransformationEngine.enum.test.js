@@ -0,0 +1,78 @@
+/**
+ * Enum mappings: inline lookup tables and option coverage
+ *
+ * File: test/core/components/TransformationEngine.enum.test.js
+ */
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { TransformationEngine } from '../../../src/core/components/TransformationEngine.js'
+import { ConfigValidator } from '../../../src/core/validation/ConfigValidator.js'
+
+const sizeMapping = { type: 'enum', source: 'size', target: 'size', values: { small: 'sm', large: 'lg' } }
+
+const buttonConfig = propMappings => ({
+    name: 'Button',
+    category: 'form',
+    description: 'Button',
+    baseComponent: 'VBtn',
+    props: [{ name: 'size', type: 'string', options: ['small', 'medium', 'large'], default: 'medium' }],
+    propMappings
+})
+
+describe('TransformationEngine enum mappings', () => {
+    const engine = new TransformationEngine({ name: 'vuetify', version: '3.7.2' })
+    const bind = mapping => engine.generateTemplatePropBindings([mapping]).trim()
+
+    it('compiles to an inline lookup without a computed property', () => {
+        assert.equal(bind(sizeMapping), `:size="({ 'small': 'sm', 'large': 'lg' })[size]"`)
+        assert.equal(engine.generateComputedProperties([sizeMapping]), '')
+    })
+
+    it('falls back to the default for unmapped values', () => {
+        assert.equal(bind({ ...sizeMapping, default: 'md' }), `:size="({ 'small': 'sm', 'large': 'lg' })[size] ?? 'md'"`)
+        assert.equal(bind({ ...sizeMapping, default: null }), `:size="({ 'small': 'sm', 'large': 'lg' })[size] ?? null"`)
+    })
+
+    it('escapes keys and values for a double-quoted template attribute', () => {
+        const binding = bind({ type: 'enum', source: 'tone', target: 'color', values: { "it's": 'say "hi"', level: 2 } })
+
+        assert.equal(binding, `:color="({ 'it\\'s': 'say \\x22hi\\x22', 'level': 2 })[tone]"`)
+        assert.equal(binding.split('"').length, 3)
+    })
+
+    it('reads props through the props object in render functions', () => {
+        assert.deepEqual(
+            engine.generateJSXPropBindings([{ ...sizeMapping, default: 'md' }], [{ name: 'size' }]),
+            ["size={{ 'small': 'sm', 'large': 'lg' }[props.size] ?? 'md'}"]
+        )
+    })
+})
+
+describe('ConfigValidator enum coverage', () => {
+    it('requires every option of the source prop to be mapped or defaulted', () => {
+        const result = new ConfigValidator().validate(buttonConfig([sizeMapping]))
+
+        assert.equal(result.valid, false)
+        assert.deepEqual(result.errors, [
+            "/propMappings/0/values: enum mapping does not cover 'size' options: medium (add them to values or set a default)"
+        ])
+    })
+
+    it('accepts a default and warns about values that are not options', () => {
+        const result = new ConfigValidator().validate(buttonConfig([
+            { ...sizeMapping, values: { ...sizeMapping.values, huge: 'xl' }, default: 'md' }
+        ]))
+
+        assert.equal(result.valid, true)
+        assert.deepEqual(result.warnings, ["/propMappings/0/values: enum mapping maps values not in 'size' options: huge"])
+    })
+    it('requires the default of a prop without options to be mapped', () => {
+        const config = buttonConfig([sizeMapping])
+        config.props = [{ name: 'size', type: 'string', default: 'medium' }]
+
+        assert.deepEqual(new ConfigValidator().validate(config).errors, [
+            `/propMappings/0/values: enum mapping does not cover the default "medium" of 'size'`
+        ])
+    })
+})
@@ -0,0 +1,108 @@
+/**
+ * Event renaming, payload extraction and transforms
+ *
+ * File: test/core/components/TransformationEngine.events.test.js
+ */
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, readFileSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import path from 'path'
+import { TransformationEngine } from '../../../src/core/components/TransformationEngine.js'
+import { ComponentGenerator } from '../../../src/core/components/ComponentGenerator.js'
+import { VuetifyAdapter } from '../../../src/core/adapters/VuetifyAdapter.js'
+import { ConfigValidator } from '../../../src/core/validation/ConfigValidator.js'
+
+const configWith = events => ({
+    name: 'Select',
+    category: 'form',
+    description: 'Select',
+    baseComponent: 'VSelect',
+    props: [{ name: 'items', type: 'array' }],
+    events
+})
+
+describe('TransformationEngine event bindings', () => {
+    const engine = new TransformationEngine({ name: 'vuetify', version: '3.7.2' })
+
+    it('re-emits library events under their semantic name', () => {
+        assert.equal(engine.generateEventBindings([{ name: 'update:modelValue', emit: 'change' }]).trim(), `@update:modelValue="$emit('change', $event)"`)
+        assert.equal(engine.generateEventBindings([]), '')
+    })
+
+    it('extracts a property path and applies the transform to it', () => {
+        const bindings = engine.generateEventBindings([
+            { name: 'input', emit: 'input', extract: 'target.value' },
+            { name: 'change', emit: 'select', extract: 'detail', transform: 'value => value.id' }
+        ])
+
+        assert.match(bindings, /@input="\$emit\('input', \$event\.target\.value\)"/)
+        assert.match(bindings, /@change="\$emit\('select', \(value => value\.id\)\(\$event\.detail\)\)"/)
+    })
+
+    it('rejects extract paths and transforms it cannot compile', () => {
+        assert.throws(() => engine.generateEventPayload({ name: 'input', extract: 'target[0]' }), /extract must be a property path/)
+        assert.throws(() => engine.generateEventPayload({ name: 'input', transform: 'value => window.value' }), /Unknown identifier 'window'/)
+    })
+})
+
+describe('ComponentGenerator events', () => {
+    let outputDir
+
+    before(() => {
+        outputDir = mkdtempSync(path.join(tmpdir(), 'vdc-events-'))
+    })
+
+    after(() => {
+        rmSync(outputDir, { recursive: true, force: true })
+    })
+
+    it('declares each emitted event once, skipping other libraries', async () => {
+        const generator = new ComponentGenerator({ libraryAdapter: new VuetifyAdapter('3.7.2'), outputDir })
+        const config = configWith([
+            { name: 'update:modelValue', emit: 'change' },
+            { name: 'update:menu', emit: 'change', type: 'librarySpecific', library: 'vuetify' },
+            { name: 'show', emit: 'open', type: 'librarySpecific', library: 'primevue' }
+        ])
+        const code = readFileSync((await generator.generateComponent(config)).path, 'utf8')
+
+        assert.match(code, /emits: \['change'\]/)
+        assert.match(code, /@update:menu="\$emit\('change', \$event\)"/)
+        assert.doesNotMatch(code, /@show=/)
+    })
+})
+
+describe('ConfigValidator events', () => {
+    it('rejects malformed events against the schema', () => {
+        const result = new ConfigValidator().validate(configWith([
+            { name: 'change', type: 'native' },
+            { name: 'input', extract: 'target value' }
+        ]))
+
+        assert.deepEqual(result.errors, [
+            '/events/0/type: must be "librarySpecific"',
+            "/events/1/extract: 'target value' must match ^[A-Za-z_$][\\w$]*(\\.[A-Za-z_$][\\w$]*)*$"
+        ])
+    })
+
+    it('reports invalid and duplicate events', () => {
+        const result = new ConfigValidator().validate(configWith([
+            { emit: 'change' },
+            { name: 'blur', type: 'librarySpecific' },
+            { name: 'focus', libraryVersion: 'latest' },
+            { name: 'update:modelValue', transform: 'value => selected' },
+            { name: 'click' },
+            { name: 'click' },
+            { name: 'click', type: 'librarySpecific', library: 'vuetify' }
+        ]))
+
+        assert.deepEqual(result.errors, [
+            '/events/0: event missing name',
+            '/events/1: librarySpecific event missing library',
+            "/events/2/libraryVersion: invalid range 'latest'",
+            `/events/3/transform: Unknown identifier 'selected' in "value => selected"`,
+            'Duplicate event binding: click'
+        ])
+    })
+})
@@ -0,0 +1,111 @@
+/**
+ * Multi-source prop mappings
+ *
+ * File: test/core/components/TransformationEngine.sources.test.js
+ */
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, readFileSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import path from 'path'
+import { TransformationEngine } from '../../../src/core/components/TransformationEngine.js'
+import { ComponentGenerator } from '../../../src/core/components/ComponentGenerator.js'
+import { PrimeVueAdapter } from '../../../src/core/adapters/PrimeVueAdapter.js'
+import { ConfigValidator } from '../../../src/core/validation/ConfigValidator.js'
+import { ConfigLoader } from '../../../src/core/config/ConfigLoader.js'
+
+const loader = new ConfigLoader()
+const buttonConfig = await loader.load('src/configs/primevue/button.config.js')
+
+const severityMapping = {
+    type: 'value',
+    sources: ['color', 'variant'],
+    target: 'severity',
+    transform: '(color, variant) => variant === "plain" ? "secondary" : color'
+}
+
+const configWith = propMappings => ({
+    name: 'Button',
+    category: 'form',
+    description: 'Button',
+    baseComponent: 'VBtn',
+    props: [{ name: 'color', type: 'string' }, { name: 'variant', type: 'string' }],
+    propMappings
+})
+
+describe('TransformationEngine multi-source mappings', () => {
+    const engine = new TransformationEngine({ name: 'vuetify', version: '3.7.2' })
+
+    it('lists the props a mapping consumes', () => {
+        assert.deepEqual(engine.getMappingSources(severityMapping), ['color', 'variant'])
+        assert.deepEqual(engine.getMappingSources({ type: 'direct', source: 'label', target: 'label' }), ['label'])
+        assert.deepEqual(engine.getMappingSources({ type: 'static', target: 'ripple', value: false }), [])
+    })
+
+    it('passes every source to the value transform in declaration order', () => {
+        const computed = engine.generateComputedProperties([severityMapping])
+
+        assert.match(computed, /computedSeverity\(\) \{\n\s+return \(\(color, variant\) => [^\n]+\)\(this\.color, this\.variant\)/)
+        assert.equal(engine.generateTemplatePropBindings([severityMapping]).trim(), ':severity="computedSeverity"')
+    })
+
+    it('lets conditional mappings bind a value expression over several props', () => {
+        const mapping = {
+            type: 'conditional',
+            sources: ['icon', 'iconPosition'],
+            target: 'appendIcon',
+            condition: 'iconPosition === "right"',
+            value: 'icon || "mdi-arrow"'
+        }
+        const props = [{ name: 'icon' }, { name: 'iconPosition' }]
+
+        assert.equal(engine.generateSingleBinding(mapping, props), `:appendIcon="iconPosition === 'right' ? icon || 'mdi-arrow' : undefined"`)
+    })
+})
+
+describe('ComponentGenerator with multi-source mappings', () => {
+    let outputDir
+
+    before(() => {
+        outputDir = mkdtempSync(path.join(tmpdir(), 'vdc-sources-'))
+    })
+
+    after(() => {
+        rmSync(outputDir, { recursive: true, force: true })
+    })
+
+    it('does not bind props consumed through sources directly', async () => {
+        const generator = new ComponentGenerator({ libraryAdapter: new PrimeVueAdapter('4.2.0'), outputDir })
+        const code = readFileSync((await generator.generateComponent(buttonConfig)).path, 'utf8')
+
+        assert.match(code, /:severity="computedSeverity"/)
+        assert.match(code, /\(this\.color, this\.variant\)/)
+        assert.doesNotMatch(code, /:color="color"/)
+        assert.doesNotMatch(code, /:variant="variant"/)
+    })
+})
+
+describe('ConfigValidator multi-source mappings', () => {
+    const validate = mapping => new ConfigValidator().validate(configWith([mapping]))
+
+    it('accepts sources on value, conditional and computed mappings', () => {
+        assert.deepEqual(validate(severityMapping).errors, [])
+    })
+
+    it('rejects sources on single-source mapping types', () => {
+        assert.deepEqual(validate({ type: 'direct', sources: ['color'], target: 'severity' }).errors, [
+            "/propMappings/0: missing required property 'source'"
+        ])
+    })
+
+    it('rejects empty sources and mixing source with sources', () => {
+        assert.deepEqual(validate({ ...severityMapping, sources: [] }).errors, [
+            '/propMappings/0/sources: must not be empty'
+        ])
+
+        const result = validate({ ...severityMapping, source: 'color', sources: ['color', 'size'] })
+        assert.deepEqual(result.errors, ['/propMappings/0: mapping declares both source and sources'])
+        assert.deepEqual(result.warnings, ["Source 'size' not found in props definition"])
+    })
+})
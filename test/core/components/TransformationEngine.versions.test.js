@@ -0,0 +1,71 @@
+/**
+ * Version-aware mappings, events and methods (`libraryVersion` ranges)
+ *
+ * File: test/core/components/TransformationEngine.versions.test.js
+ */
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { TransformationEngine } from '../../../src/core/components/TransformationEngine.js'
+
+const engineFor = version => new TransformationEngine({ name: 'vuetify', version })
+
+describe('TransformationEngine version selection', () => {
+    it('keeps entries without a range and those matching the library version', () => {
+        const mappings = [
+            { type: 'direct', source: 'label', target: 'text' },
+            { type: 'direct', source: 'size', target: 'size', libraryVersion: '>=4' },
+            { type: 'direct', source: 'size', target: 'density', libraryVersion: '^3.5' }
+        ]
+
+        assert.deepEqual(engineFor('3.7.2').resolveMappings(mappings).map(mapping => mapping.target), ['text', 'density'])
+        assert.deepEqual(engineFor('4.0.0').resolveMappings(mappings).map(mapping => mapping.target), ['text', 'size'])
+    })
+
+    it('coerces loose versions before matching', () => {
+        assert.equal(engineFor('v3.7').isVersionApplicable('~3.7'), true)
+        assert.equal(engineFor('3.7.0-beta.1').isVersionApplicable('>=3.7'), true)
+    })
+
+    it('drops ranged entries when the library version is unknown', () => {
+        const engine = engineFor(null)
+
+        assert.equal(engine.isVersionApplicable(undefined), true)
+        assert.equal(engine.isVersionApplicable('>=1'), false)
+        assert.equal(new TransformationEngine().isVersionApplicable('>=1'), false)
+    })
+
+    it('applies ranges and librarySpecific filtering to events', () => {
+        const events = [
+            { name: 'click', emit: 'click' },
+            { name: 'click:append', emit: 'append', type: 'librarySpecific', library: 'Vuetify' },
+            { name: 'blur', emit: 'blur', type: 'librarySpecific', library: 'primevue' },
+            { name: 'update:focused', emit: 'focus', libraryVersion: '<3' }
+        ]
+
+        assert.deepEqual(engineFor('3.7.2').resolveEvents(events).map(event => event.emit), ['click', 'append'])
+    })
+
+    it('applies ranges to methods and defaults their target to the name', () => {
+        const methods = [
+            { name: 'focus' },
+            { name: 'check', target: 'validate', libraryVersion: '3.x' },
+            { name: 'reset', libraryVersion: '>=4' }
+        ]
+
+        assert.deepEqual(engineFor('3.7.2').resolveMethods(methods), [
+            { name: 'focus', target: 'focus' },
+            { name: 'check', target: 'validate', libraryVersion: '3.x' }
+        ])
+    })
+
+    it('leaves mappings for other versions out of the template bindings', () => {
+        const mappings = [
+            { type: 'direct', source: 'size', target: 'size', libraryVersion: '>=4' },
+            { type: 'direct', source: 'size', target: 'density', libraryVersion: '<4' }
+        ]
+        const engine = engineFor('3.7.2')
+
+        assert.equal(engine.generateTemplatePropBindings(engine.resolveMappings(mappings)).trim(), ':density="size"')
+    })
+})
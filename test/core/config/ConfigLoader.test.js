@@ -0,0 +1,169 @@
+/**
+ * `extends`: merging library overlays onto semantic configs
+ *
+ * File: test/core/config/ConfigLoader.test.js
+ */
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import path from 'path'
+import { ConfigLoader } from '../../../src/core/config/ConfigLoader.js'
+
+const semanticButton = () => ({
+    name: 'Button',
+    category: 'form',
+    description: 'Clickable button',
+    props: [{ name: 'label', type: 'string' }],
+    events: [{ emit: 'click', payload: 'MouseEvent' }],
+    slots: [{ name: 'default', description: 'Button content' }, { name: 'icon', description: 'Icon' }],
+    methods: [{ name: 'focus' }],
+    model: { type: 'boolean', default: false }
+})
+
+describe('ConfigLoader.merge', () => {
+    const loader = new ConfigLoader()
+
+    it('adds library fields to the semantic entries with the same key', () => {
+        const merged = loader.merge(semanticButton(), {
+            extends: 'button',
+            baseComponent: 'VBtn',
+            events: [{ emit: 'click', name: 'click:outer' }],
+            slots: [{ name: 'icon', target: 'prepend' }],
+            methods: [{ name: 'focus', target: '$el.focus' }],
+            model: { target: 'active' }
+        })
+
+        assert.equal(merged.extends, undefined)
+        assert.equal(merged.baseComponent, 'VBtn')
+        assert.deepEqual(merged.props, [{ name: 'label', type: 'string' }])
+        assert.deepEqual(merged.events, [{ emit: 'click', payload: 'MouseEvent', name: 'click:outer' }])
+        assert.deepEqual(merged.slots[1], { name: 'icon', description: 'Icon', target: 'prepend' })
+        assert.deepEqual(merged.methods, [{ name: 'focus', target: '$el.focus' }])
+        assert.deepEqual(merged.model, { type: 'boolean', default: false, target: 'active' })
+    })
+
+    it('does not modify the semantic config', () => {
+        const base = semanticButton()
+        loader.merge(base, { extends: 'button', slots: [{ name: 'icon', target: 'prepend' }] })
+
+        assert.deepEqual(base, semanticButton())
+    })
+
+    it('appends librarySpecific events and methods', () => {
+        const merged = loader.merge(semanticButton(), {
+            extends: 'button',
+            events: [{ type: 'librarySpecific', library: 'vuetify', name: 'group:selected', emit: 'selected' }]
+        })
+
+        assert.deepEqual(merged.events.map(event => event.emit), ['click', 'selected'])
+    })
+
+    it('rejects semantic fields, undeclared entries and models in overlays', () => {
+        const base = semanticButton()
+        delete base.model
+
+        assert.throws(() => loader.merge(base, {
+            extends: 'button',
+            props: [{ name: 'size', type: 'string' }],
+            events: [{ emit: 'click', payload: 'PointerEvent' }, { emit: 'hover' }],
+            slots: [{ name: 'icon', description: 'Leading icon' }],
+            model: { target: 'value' }
+        }, 'button.config.js'), {
+            message: 'button.config.js: props is defined by the semantic config; ' +
+                "events 'click': payload is defined by the semantic config; " +
+                "events 'hover' is not declared by the semantic config; " +
+                "slots 'icon': description is defined by the semantic config; " +
+                'model is not declared by the semantic config'
+        })
+    })
+
+    it('accepts semantic fields repeated with the same value', () => {
+        const base = semanticButton()
+
+        assert.doesNotThrow(() => loader.merge(base, { extends: 'button', name: 'Button', props: base.props }))
+    })
+
+    it('places semantic slots on the children that declare them', () => {
+        const merged = loader.merge(semanticButton(), {
+            extends: 'button',
+            baseComponent: 'QBtn',
+            children: [{ baseComponent: 'span', slots: [{ name: 'default', fallback: 'label' }] }]
+        })
+
+        assert.deepEqual(merged.slots, [{ name: 'icon', description: 'Icon' }])
+        assert.deepEqual(merged.children[0].slots, [{ name: 'default', description: 'Button content', fallback: 'label' }])
+    })
+
+    it('rejects child slots that are undeclared or placed twice', () => {
+        assert.throws(() => loader.merge(semanticButton(), {
+            extends: 'button',
+            slots: [{ name: 'icon', target: 'prepend' }],
+            children: [
+                { baseComponent: 'span', slots: [{ name: 'icon' }, { name: 'badge' }] },
+                { baseComponent: 'span', slots: [{ name: 'default' }], children: [{ baseComponent: 'i', slots: [{ name: 'default' }] }] }
+            ]
+        }, 'button.config.js'), {
+            message: "button.config.js: slots 'icon' is placed on more than one node; " +
+                "slots 'badge' is not declared by the semantic config; " +
+                "slots 'default' is placed on more than one node"
+        })
+    })
+})
+
+describe('ConfigLoader.load', () => {
+    let root
+
+    before(() => {
+        root = mkdtempSync(path.join(tmpdir(), 'vdc-extends-'))
+        mkdirSync(path.join(root, 'semantic'))
+        mkdirSync(path.join(root, 'vuetify'))
+        writeFileSync(path.join(root, 'semantic', 'button.config.js'), `export default ${JSON.stringify(semanticButton())}`)
+        writeFileSync(path.join(root, 'semantic', 'chained.config.js'), "export default { extends: 'button', name: 'Chained' }")
+        writeFileSync(path.join(root, 'vuetify', 'button.config.js'), "export default { extends: 'button', baseComponent: 'VBtn' }")
+        writeFileSync(path.join(root, 'vuetify', 'relative.json'), JSON.stringify({ extends: '../semantic/button.config.js', baseComponent: 'VBtn' }))
+        writeFileSync(path.join(root, 'vuetify', 'chained.config.js'), "export default { extends: 'chained', baseComponent: 'VBtn' }")
+    })
+
+    after(() => {
+        rmSync(root, { recursive: true, force: true })
+    })
+
+    it('resolves semantic config names and relative paths', async () => {
+        const loader = new ConfigLoader({ semanticDir: path.join(root, 'semantic') })
+
+        const byName = await loader.load(path.join(root, 'vuetify', 'button.config.js'))
+        const byPath = await loader.load(path.join(root, 'vuetify', 'relative.json'))
+
+        assert.equal(byName.name, 'Button')
+        assert.equal(byName.baseComponent, 'VBtn')
+        assert.deepEqual(byPath, byName)
+    })
+
+    it('does not let semantic configs extend other configs', async () => {
+        const loader = new ConfigLoader({ semanticDir: path.join(root, 'semantic') })
+
+        await assert.rejects(loader.load(path.join(root, 'vuetify', 'chained.config.js')), {
+            message: 'chained.config.js: semantic configs cannot extend other configs'
+        })
+    })
+
+    it('merges the shipped compound overlays', async () => {
+        const loader = new ConfigLoader()
+        const primeVue = await loader.load('src/configs/primevue/confirmdialog.config.js')
+        const vuetify = await loader.load('src/configs/vuetify/confirmdialog.config.js')
+
+        assert.deepEqual(primeVue.slots.map(slot => [slot.name, slot.target || slot.fallback]), [['title', 'header'], ['default', 'message']])
+        assert.deepEqual(vuetify.slots, [])
+        assert.deepEqual(vuetify.children[0].children[0].slots, [
+            { name: 'title', description: 'Dialog title, falls back to the title prop', target: 'default', fallback: 'title' }
+        ])
+    })
+
+    it('keeps slots an overlay marks unsupported', async () => {
+        const config = await new ConfigLoader().load('src/configs/quasar/button.config.js')
+
+        assert.deepEqual(config.slots.find(slot => slot.name === 'icon'), { name: 'icon', description: 'Custom icon content', unsupported: true })
+    })
+})
@@ -0,0 +1,141 @@
+/**
+ * Web-types parsing: prop types, unions, defaults and component lookup
+ *
+ * File: test/core/metadata/LibraryMetadata.test.js
+ */
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import path from 'path'
+import { LibraryMetadata } from '../../../src/core/metadata/LibraryMetadata.js'
+
+const webTypes = {
+    contributions: {
+        html: {
+            'vue-components': [
+                {
+                    name: 'AcChip',
+                    description: 'Compact element',
+                    attributes: [
+                        { name: 'border', value: { type: 'string | number | boolean' }, default: 'false' },
+                        { name: 'size', value: { type: "'small' | 'medium' | 'large'" }, default: "'medium'" },
+                        { name: 'label', value: { type: 'string' }, default: 'Chip' },
+                        { name: 'model-value', value: { type: 'boolean' }, required: true }
+                    ],
+                    events: [{ name: 'update:model-value', arguments: [{ type: ' boolean ' }] }],
+                    slots: [{ name: 'prepend' }]
+                }
+            ]
+        }
+    }
+}
+
+describe('LibraryMetadata.parseType', () => {
+    const metadata = new LibraryMetadata('acme-ui')
+
+    it('turns string literal unions into options', () => {
+        assert.deepEqual(metadata.parseType("'default' | 'comfortable' | 'compact'"), {
+            type: 'string', types: ['string'], options: ['default', 'comfortable', 'compact']
+        })
+        assert.deepEqual(metadata.parseType("'' | 'x'").options, ['x'])
+    })
+
+    it('lists every config type of a union and picks the first', () => {
+        assert.deepEqual(metadata.parseType('string | number'), { type: 'string', types: ['string', 'number'], options: null })
+        assert.deepEqual(metadata.parseType('Record<string, any> | string[]'), { type: 'object', types: ['object', 'array'], options: null })
+        assert.deepEqual(metadata.parseType('(event: Event) => void | string').types, ['function', 'string'])
+        assert.deepEqual(metadata.parseType('string | null').types, ['string'])
+    })
+
+    it('accepts anything for untyped, any and unclassified members', () => {
+        assert.equal(metadata.parseType('').types, null)
+        assert.equal(metadata.parseType('any').types, null)
+        assert.equal(metadata.parseType('string | unknown').types, null)
+        assert.equal(metadata.parseType('string | IconValue').types, null)
+    })
+
+    it('only splits unions at the top level', () => {
+        assert.deepEqual(metadata.splitUnion('(a: A | B) => void | Array<C | D> | { x: 1 | 2 }'), [
+            '(a: A | B) => void', 'Array<C | D>', '{ x: 1 | 2 }'
+        ])
+    })
+})
+
+describe('LibraryMetadata.parseDefault', () => {
+    const metadata = new LibraryMetadata('acme-ui')
+
+    it('parses literals of the prop type, including double-encoded strings', () => {
+        assert.equal(metadata.parseDefault("'button'", 'string'), 'button')
+        assert.equal(metadata.parseDefault(`"'button'"`, 'string'), 'button')
+        assert.equal(metadata.parseDefault('`button`', 'string'), 'button')
+        assert.equal(metadata.parseDefault('false', 'boolean'), false)
+        assert.equal(metadata.parseDefault('12', 'number'), 12)
+    })
+
+    it('drops factories, references and literals of other types', () => {
+        assert.equal(metadata.parseDefault('() => []', 'array'), undefined)
+        assert.equal(metadata.parseDefault('undefined', 'boolean'), undefined)
+        assert.equal(metadata.parseDefault('auto', 'number'), undefined)
+        assert.equal(metadata.parseDefault(undefined, 'string'), undefined)
+    })
+
+    it('only accepts bare words for props that accept nothing but strings', () => {
+        assert.equal(metadata.parseDefault('button', 'string', ['string']), 'button')
+        assert.equal(metadata.parseDefault('button', 'string', ['string', 'number']), undefined)
+        assert.equal(metadata.parseDefault('button', 'string', null), undefined)
+        assert.equal(metadata.parseDefault('false', 'string', ['string']), undefined)
+        assert.equal(metadata.parseDefault('null', 'string', ['string']), undefined)
+        assert.equal(metadata.parseDefault('12', 'string', ['string']), undefined)
+    })
+})
+
+describe('LibraryMetadata.load', () => {
+    let root
+
+    before(() => {
+        root = mkdtempSync(path.join(tmpdir(), 'vdc-metadata-'))
+        const packageDir = path.join(root, 'node_modules', 'acme-ui')
+        mkdirSync(packageDir, { recursive: true })
+        writeFileSync(path.join(packageDir, 'package.json'), JSON.stringify({ name: 'acme-ui', version: '1.2.3', 'web-types': 'web-types.json' }))
+        writeFileSync(path.join(packageDir, 'web-types.json'), JSON.stringify(webTypes))
+    })
+
+    after(() => {
+        rmSync(root, { recursive: true, force: true })
+    })
+
+    it('normalizes web-types components from the installed package', () => {
+        const metadata = new LibraryMetadata('acme-ui', { cwd: root })
+        const chip = metadata.getComponent('ac-chip')
+
+        assert.equal(metadata.isAvailable(), true)
+        assert.equal(metadata.version, '1.2.3')
+        assert.deepEqual(metadata.getComponentNames(), ['AcChip'])
+        assert.deepEqual(chip.props, [
+            { name: 'border', type: 'string', types: ['string', 'number', 'boolean'], rawType: 'string | number | boolean' },
+            { name: 'size', type: 'string', types: ['string'], rawType: "'small' | 'medium' | 'large'", options: ['small', 'medium', 'large'], default: 'medium' },
+            { name: 'label', type: 'string', types: ['string'], rawType: 'string', default: 'Chip' },
+            { name: 'modelValue', type: 'boolean', types: ['boolean'], rawType: 'boolean', required: true }
+        ])
+        assert.deepEqual(chip.events, [{ name: 'update:model-value', payload: 'boolean' }])
+        assert.deepEqual(chip.slots, [{ name: 'prepend' }])
+        assert.deepEqual(chip.model, { prop: 'modelValue', event: 'update:modelValue' })
+    })
+
+    it('finds the package from nested directories', () => {
+        const nested = path.join(root, 'src', 'components')
+        mkdirSync(nested, { recursive: true })
+
+        assert.equal(new LibraryMetadata('acme-ui', { cwd: nested }).findPackageDir(), path.join(root, 'node_modules', 'acme-ui'))
+        assert.equal(new LibraryMetadata('acme-ui', { cwd: nested }).isAvailable(), true)
+    })
+
+    it('is unavailable when the package is not installed', () => {
+        const metadata = new LibraryMetadata('acme-missing', { cwd: root })
+
+        assert.equal(metadata.isAvailable(), false)
+        assert.equal(metadata.getComponent('AcChip'), null)
+    })
+})
@@ -0,0 +1,127 @@
+/**
+ * Completing web-types metadata with runtime props and emits
+ *
+ * File: test/core/metadata/RuntimeComponentLoader.test.js
+ */
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { RuntimeComponentLoader } from '../../../src/core/metadata/RuntimeComponentLoader.js'
+import { LibraryMetadata } from '../../../src/core/metadata/LibraryMetadata.js'
+import { ConfigValidator } from '../../../src/core/validation/ConfigValidator.js'
+import { PrimeVueAdapter } from '../../../src/core/adapters/PrimeVueAdapter.js'
+
+const runtimeButton = {
+    extends: {
+        props: { disabled: { type: Boolean, default: false } },
+        emits: ['focus']
+    },
+    props: {
+        label: String,
+        badgeSeverity: { type: String, default: null },
+        size: { type: [String, Number], default: 'medium' },
+        pt: { type: null },
+        items: { type: Array, default: () => [] }
+    },
+    emits: { click: null, 'update:modelValue': null }
+}
+
+// Serves components from memory instead of importing the library package
+class StaticComponentLoader extends RuntimeComponentLoader {
+    constructor(components) {
+        super({ importTemplate: { type: 'none' } })
+        this.definitions = components
+    }
+
+    async importComponent(componentName) {
+        return this.definitions[componentName] || null
+    }
+}
+
+const createMetadata = component => {
+    const metadata = new LibraryMetadata('acme-ui')
+    metadata.components = new Map([[component.name, component]])
+    return metadata
+}
+
+describe('RuntimeComponentLoader.getProps', () => {
+    const loader = new RuntimeComponentLoader({ importTemplate: { type: 'none' } })
+
+    it('normalizes constructors, option objects and inherited props', () => {
+        assert.deepEqual(loader.getProps(runtimeButton), [
+            { name: 'disabled', type: 'boolean', types: ['boolean'], required: false, default: false },
+            { name: 'label', type: 'string', types: ['string'], required: false },
+            { name: 'badgeSeverity', type: 'string', types: ['string'], required: false },
+            { name: 'size', type: 'string', types: ['string', 'number'], required: false, default: 'medium' },
+            { name: 'pt', type: null, types: null, required: false },
+            { name: 'items', type: 'array', types: ['array'], required: false }
+        ])
+    })
+
+    it('accepts props declared as an array of names', () => {
+        assert.deepEqual(loader.getProps({ props: ['value'] }), [{ name: 'value', type: null, types: null, required: false }])
+    })
+
+    it('collects emits from arrays, validator objects and mixins', () => {
+        assert.deepEqual(loader.getEmits(runtimeButton), ['focus', 'click', 'update:modelValue'])
+        assert.deepEqual(loader.getEmits({ mixins: [{ emits: ['blur'] }], emits: ['blur', 'input'] }), ['blur', 'input'])
+    })
+})
+
+describe('RuntimeComponentLoader.complete', () => {
+    const webTypesButton = {
+        name: 'AcButton',
+        props: [
+            { name: 'label', type: 'string', types: ['string'] },
+            { name: 'size', type: 'string', types: ['string'] },
+            { name: 'pt', type: 'object', types: ['object'] },
+            { name: 'disabled', type: 'boolean', types: null }
+        ],
+        events: [{ name: 'click' }],
+        slots: [],
+        model: null
+    }
+
+    it('adds runtime-only props and emits and widens web-types types', async () => {
+        const metadata = createMetadata(webTypesButton)
+        const completed = await new StaticComponentLoader({ AcButton: runtimeButton }).complete(metadata, ['AcButton', 'AcButton'])
+        const button = completed.getComponent('AcButton')
+
+        assert.deepEqual(button.props.map(prop => [prop.name, prop.types]), [
+            ['label', ['string']],
+            ['size', ['string', 'number']],
+            ['pt', null],
+            ['disabled', null],
+            ['badgeSeverity', ['string']],
+            ['items', ['array']]
+        ])
+        assert.deepEqual(button.events.map(event => event.name), ['click', 'focus', 'update:modelValue'])
+        assert.equal(metadata.getComponent('AcButton'), webTypesButton)
+    })
+
+    it('keeps the web-types definition of components it cannot import', async () => {
+        const metadata = createMetadata(webTypesButton)
+        const completed = await new StaticComponentLoader({}).complete(metadata, ['AcButton', 'AcMissing'])
+
+        assert.equal(completed.getComponent('AcButton'), webTypesButton)
+    })
+})
+
+describe('ConfigValidator runtime API', () => {
+    it('accepts PrimeVue props that its web-types leave out', async () => {
+        const config = {
+            name: 'Button',
+            category: 'form',
+            description: 'Button',
+            baseComponent: 'Button',
+            props: [{ name: 'tone', type: 'string' }],
+            propMappings: [{ type: 'direct', source: 'tone', target: 'badgeSeverity' }]
+        }
+        const validator = new ConfigValidator({ libraryAdapter: new PrimeVueAdapter() })
+
+        assert.deepEqual(validator.validate(config).errors, ["Mapping target 'badgeSeverity' is not a Button prop"])
+
+        await validator.loadRuntimeApi(config)
+        assert.deepEqual(validator.validate(config), { valid: true, errors: [], warnings: [] })
+    })
+})
@@ -0,0 +1,81 @@
+/**
+ * Scaffolding component configs from library web-types
+ *
+ * File: test/core/scaffold/ConfigScaffolder.test.js
+ */
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import path from 'path'
+import { ConfigScaffolder } from '../../../src/core/scaffold/ConfigScaffolder.js'
+
+const webTypes = {
+    contributions: {
+        html: {
+            'vue-components': [
+                {
+                    name: 'AcChip',
+                    description: 'Compact element. Shows a label.',
+                    attributes: [
+                        { name: 'size', value: { type: "'small' | 'medium' | 'large'" }, default: "'medium'" },
+                        { name: 'label', value: { type: 'string' }, default: 'Chip' },
+                        { name: 'model-value', value: { type: 'boolean' } }
+                    ],
+                    events: [
+                        { name: 'click', arguments: [{ type: 'MouseEvent' }] },
+                        { name: 'update:model-value', arguments: [{ type: 'boolean' }] }
+                    ],
+                    slots: [{ name: 'prepend' }, { name: 'item.<name>' }]
+                }
+            ]
+        }
+    }
+}
+
+describe('ConfigScaffolder', () => {
+    // No import template, so only the web-types metadata is used
+    const adapter = { name: 'acme', label: 'Acme', packageName: 'acme-ui', importTemplate: { type: 'none' } }
+    let root
+
+    before(() => {
+        root = mkdtempSync(path.join(tmpdir(), 'vdc-scaffold-'))
+        const packageDir = path.join(root, 'node_modules', 'acme-ui')
+        mkdirSync(packageDir, { recursive: true })
+        writeFileSync(path.join(packageDir, 'package.json'), JSON.stringify({ name: 'acme-ui', version: '1.2.3', 'web-types': 'web-types.json' }))
+        writeFileSync(path.join(packageDir, 'web-types.json'), JSON.stringify(webTypes))
+    })
+
+    after(() => {
+        rmSync(root, { recursive: true, force: true })
+    })
+
+    it('builds a valid config with direct mappings, the v-model and forwarded slots', async () => {
+        const { config, sources, warnings } = await new ConfigScaffolder(adapter, { cwd: root }).scaffold('ac-chip', { name: 'Chip' })
+
+        assert.deepEqual(sources, ['web-types'])
+        assert.equal(config.description, 'Compact element.')
+        assert.deepEqual(config.props, [
+            { name: 'size', type: 'string', required: false, default: 'medium', options: ['small', 'medium', 'large'] },
+            { name: 'label', type: 'string', required: false, default: 'Chip' }
+        ])
+        assert.deepEqual(config.propMappings.map(mapping => mapping.target), ['size', 'label'])
+        assert.deepEqual(config.model, { type: 'boolean' })
+        assert.deepEqual(config.events, [{ name: 'click', emit: 'click', payload: 'MouseEvent' }])
+        assert.deepEqual(config.slots, [{ name: 'prepend' }])
+        assert.equal(config.forwardSlots, true)
+        assert.deepEqual(warnings, [])
+    })
+
+    it('only writes the file header for paths inside the project', async () => {
+        const scaffolder = new ConfigScaffolder(adapter, { cwd: root })
+
+        const inside = await scaffolder.scaffold('AcChip', { filePath: path.join(root, 'src', 'configs', 'acme', 'chip.config.js') })
+        const outside = await scaffolder.scaffold('AcChip', { filePath: path.join(tmpdir(), 'chip.config.js') })
+
+        assert.match(inside.source, /^\/\*\*\n \* Configuration for Acme AcChip\.\n \* Scaffolded from Acme 1\.2\.3 \(web-types\)/)
+        assert.match(inside.source, / \* File: src\/configs\/acme\/chip\.config\.js\n \*\/\n\nexport default \{/)
+        assert.doesNotMatch(outside.source, /File:/)
+    })
+})
@@ -0,0 +1,87 @@
+/**
+ * JSON Schema validation of component and library configs, and the generated types
+ *
+ * File: test/core/schema/SchemaValidator.test.js
+ */
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync, readdirSync } from 'fs'
+import path from 'path'
+import { SchemaValidator } from '../../../src/core/schema/SchemaValidator.js'
+import { SchemaTypeGenerator, TYPES_OUTPUT } from '../../../src/core/schema/SchemaTypeGenerator.js'
+import { ConfigValidator } from '../../../src/core/validation/ConfigValidator.js'
+import { ConfigLoader } from '../../../src/core/config/ConfigLoader.js'
+
+describe('SchemaValidator', () => {
+    const validator = new SchemaValidator({
+        type: 'object',
+        required: ['name'],
+        additionalProperties: false,
+        properties: {
+            name: { type: 'string', minLength: 1, pattern: '^[A-Z]' },
+            'a/b': { type: 'number' },
+            size: { $ref: '#/definitions/size' },
+            value: { anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' }, minItems: 1 }] }
+        },
+        definitions: {
+            size: { enum: ['sm', 'md'] }
+        }
+    })
+    const errors = value => validator.validate(value).map(SchemaValidator.format)
+
+    it('reports errors with the JSON pointer of the offending value', () => {
+        assert.deepEqual(errors({ name: 'Button', size: 'md', value: ['a'] }), [])
+        assert.deepEqual(errors({ size: 'lg', extra: true }), [
+            "(root): missing required property 'name'",
+            '/size: must be one of: "sm", "md"',
+            '/extra: is not an allowed property'
+        ])
+        assert.deepEqual(errors({ name: 'button', 'a/b': '1' }), [
+            "/name: 'button' must match ^[A-Z]",
+            '/a~1b: must be a number'
+        ])
+    })
+
+    it('reports the errors of the only anyOf branch that fits the value', () => {
+        assert.deepEqual(errors({ name: 'Button', value: [] }), ['/value: must not be empty'])
+        assert.deepEqual(errors({ name: 'Button', value: 1 }), ['/value: does not match any of the allowed forms'])
+    })
+
+    it('rejects remote references', () => {
+        assert.throws(() => new SchemaValidator({ $ref: 'https://example.com/schema.json' }).validate({}), /Only local schema references/)
+    })
+})
+
+describe('Published schemas', () => {
+    const loader = new ConfigLoader()
+
+    it('accept every shipped component and library config', async () => {
+        const component = SchemaValidator.load('component')
+        const library = SchemaValidator.load('library')
+
+        for (const dir of readdirSync('src/configs')) {
+            for (const file of readdirSync(path.join('src/configs', dir))) {
+                const configPath = path.join('src/configs', dir, file)
+                const schema = dir === 'libraries' ? library : component
+                assert.deepEqual(schema.validate(await loader.readConfigFile(configPath)), [], configPath)
+            }
+        }
+    })
+
+    it('stop ConfigValidator before the semantic checks', () => {
+        const result = new ConfigValidator().validate({ name: 'Button', baseComponent: 'VBtn', props: [], propMappings: [{ type: 'direct', target: 'text' }] })
+
+        assert.deepEqual(result.errors, ["/propMappings/0: missing required property 'source'"])
+    })
+
+    it('validate library configs', () => {
+        assert.deepEqual(new ConfigValidator().validateLibraryConfig({ name: 'acme', components: 'VBtn' }).errors, [
+            '/components: is not an allowed property'
+        ])
+    })
+
+    it('match the committed type declarations', () => {
+        assert.equal(new SchemaTypeGenerator().generate(), readFileSync(TYPES_OUTPUT, 'utf8'))
+    })
+})
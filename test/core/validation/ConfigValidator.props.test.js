@@ -0,0 +1,82 @@
+/**
+ * Prop declarations: defaults, options, reserved names and collisions
+ *
+ * File: test/core/validation/ConfigValidator.props.test.js
+ */
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { ConfigValidator } from '../../../src/core/validation/ConfigValidator.js'
+import { TransformationEngine } from '../../../src/core/components/TransformationEngine.js'
+
+const validate = (props, overrides = {}) => new ConfigValidator().validate({
+    name: 'Button',
+    category: 'form',
+    description: 'Button',
+    baseComponent: 'VBtn',
+    props,
+    propMappings: [],
+    ...overrides
+})
+
+describe('ConfigValidator props', () => {
+    it('checks defaults and options against the prop type', () => {
+        const { errors, warnings } = validate([
+            { name: 'size', type: 'string', options: ['sm', 'md', 2, 'md'], default: 'huge' },
+            { name: 'count', type: 'number', default: '3' },
+            { name: 'items', type: 'array', default: null },
+            { name: 'label', type: 'string', required: true, default: '' }
+        ])
+
+        assert.deepEqual(errors, [
+            '/props/0/options/2: Prop \'size\' option 2 is not a string',
+            '/props/0/default: Prop \'size\' default "huge" is not one of its options (sm, md, 2, md)',
+            '/props/1/default: Prop \'count\' default "3" is not a number'
+        ])
+        assert.deepEqual(warnings, [
+            '/props/0/options/3: Prop \'size\' option "md" is listed twice',
+            "/props/3/default: Prop 'label' is required, so its default is never used"
+        ])
+    })
+
+    it('rejects reserved and duplicate names', () => {
+        const { errors } = validate([
+            { name: 'label', type: 'string' },
+            { name: 'key', type: 'string' },
+            { name: 'class', type: 'string' },
+            { name: 'label', type: 'string' }
+        ])
+
+        assert.deepEqual(errors, [
+            "/props/1/name: 'key' is reserved by Vue and never reaches the component",
+            "/props/2/name: 'class' is reserved by Vue and never reaches the component",
+            "/props/3/name: prop 'label' is already declared at /props/0"
+        ])
+    })
+
+    it('rejects props that collide with emitted events', () => {
+        const { errors, warnings } = validate([
+            { name: 'onClick', type: 'function' },
+            { name: 'close', type: 'boolean' }
+        ], {
+            events: [{ name: 'click', emit: 'click' }, { name: 'close', emit: 'close' }]
+        })
+
+        assert.deepEqual(errors, [
+            "/props/0/name: 'onClick' is the listener of event 'click', so the prop and the event cannot both be declared"
+        ])
+        assert.deepEqual(warnings, ["/props/1/name: prop 'close' has the same name as event 'close'"])
+    })
+})
+
+describe('TransformationEngine string defaults', () => {
+    const engine = new TransformationEngine({ name: 'vuetify', version: '3.7.2' })
+
+    it('emits escaped literals that cannot close the script block', () => {
+        assert.equal(engine.formatDefaultValue("it's", 'string'), "'it\\'s'")
+        assert.equal(engine.formatDefaultValue('say "hi"\n', 'string'), `'say "hi"\\n'`)
+        assert.equal(engine.formatDefaultValue('</script>', 'string'), "'<\\/script>'")
+        assert.equal(engine.formatDefaultValue(null, 'string'), 'null')
+        assert.equal(engine.getTypeScriptType('string', ["it's", 'b']), "'it\\'s' | 'b'")
+    })
+})
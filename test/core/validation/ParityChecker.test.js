@@ -0,0 +1,115 @@
+/**
+ * Cross-library API parity report
+ *
+ * File: test/core/validation/ParityChecker.test.js
+ */
+
+import { describe, it, before, after, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { ParityChecker } from '../../../src/core/validation/ParityChecker.js'
+import { AdapterRegistry } from '../../../src/core/adapters/AdapterRegistry.js'
+import { TransformationEngine } from '../../../src/core/components/TransformationEngine.js'
+
+const library = (name, config) => ({
+    name,
+    engine: new TransformationEngine({ name, version: '1.0.0' }),
+    configs: new Map(config ? [[config.name, config]] : [])
+})
+
+const button = (overrides = {}) => ({
+    name: 'Button',
+    baseComponent: 'XBtn',
+    props: [
+        { name: 'label', type: 'string', default: '' },
+        { name: 'size', type: 'string', default: 'md', options: ['sm', 'md'] }
+    ],
+    propMappings: [{ type: 'direct', source: 'label', target: 'text' }],
+    events: [{ name: 'click', emit: 'click', payload: 'MouseEvent' }],
+    slots: [{ name: 'default', fallback: 'label' }],
+    ...overrides
+})
+
+describe('ParityChecker.compareComponent', () => {
+    const checker = new ParityChecker()
+
+    it('reports missing components and entries as breaking', () => {
+        const { differences } = checker.compareComponent('Button', [
+            library('alpha', button()),
+            library('beta', button({ events: [], slots: [] })),
+            library('gamma')
+        ])
+
+        assert.deepEqual(differences.map(difference => [difference.severity, difference.message]), [
+            ['breaking', 'Button is not available in gamma'],
+            ['breaking', "event 'click' is missing in beta"],
+            ['breaking', "slot 'default' is missing in beta"]
+        ])
+    })
+
+    it('separates breaking prop differences from behaviour warnings', () => {
+        const { differences } = checker.compareComponent('Button', [
+            library('alpha', button()),
+            library('beta', button({
+                props: [
+                    { name: 'label', type: 'string', default: 'OK' },
+                    { name: 'size', type: 'string', default: 'md', options: ['sm', 'md', 'lg'] }
+                ],
+                propMappings: [
+                    { type: 'direct', source: 'label', target: 'text' },
+                    { type: 'direct', source: 'size', target: 'size' }
+                ],
+                events: [{ name: 'click', emit: 'click', payload: 'PointerEvent' }]
+            }))
+        ])
+
+        assert.deepEqual(differences.map(difference => [difference.severity, difference.message]), [
+            ['warning', 'prop \'label\': default mismatch (alpha: ""; beta: "OK")'],
+            ['breaking', 'prop \'size\': options mismatch (alpha: ["md","sm"]; beta: ["lg","md","sm"])'],
+            ['warning', "prop 'size' is not mapped in alpha (other libraries map it)"],
+            ['warning', 'event \'click\': payload mismatch (alpha: "MouseEvent"; beta: "PointerEvent")']
+        ])
+    })
+
+    it('does not compare library-specific events', () => {
+        const { rows, differences } = checker.compareComponent('Button', [
+            library('alpha', button({ events: [{ type: 'librarySpecific', library: 'alpha', name: 'group:selected', emit: 'selected' }] })),
+            library('beta', button({ events: [] }))
+        ])
+
+        assert.equal(rows.find(row => row.name === 'selected').librarySpecific, true)
+        assert.deepEqual(differences, [])
+    })
+})
+
+describe('ParityChecker with the shipped configs', () => {
+    let report
+    let markdown
+
+    before(async () => {
+        mock.method(console, 'log', () => {})
+        const checker = new ParityChecker({ adapterRegistry: new AdapterRegistry() })
+        report = await checker.check(['vuetify', 'quasar'], ['Button'])
+        markdown = checker.toMarkdown(report)
+    })
+
+    after(() => {
+        mock.restoreAll()
+    })
+
+    it('reports unsupported slots and props bound as-is', () => {
+        assert.deepEqual(report.summary, { components: 1, breaking: 0, warnings: 2 })
+        assert.deepEqual(report.differences.map(difference => difference.message), [
+            "prop 'loading' is not mapped in vuetify (other libraries map it)",
+            "slot 'icon' is not supported by quasar"
+        ])
+    })
+
+    it('renders a matrix of how each library implements the API', () => {
+        assert.match(markdown, /^# Component API Parity\n\nLibraries: vuetify [\d.]+, quasar [\d.]+/)
+        assert.match(markdown, /\| prop `disabled` \| `disabled` \| `disable` \|/)
+        assert.match(markdown, /\| prop `loading` \| as-is \| `loading` \|/)
+        assert.match(markdown, /\| slot `icon` \| `#prepend` \| unsupported \|/)
+        assert.match(markdown, /- ⚠️ slot 'icon' is not supported by quasar/)
+        assert.deepEqual(JSON.parse(new ParityChecker().toJSON(report)).summary, report.summary)
+    })
+})
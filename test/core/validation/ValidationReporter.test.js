@@ -0,0 +1,196 @@
+/**
+ * Machine-readable validation reports (JSON, SARIF, JUnit) and source locations
+ *
+ * File: test/core/validation/ValidationReporter.test.js
+ */
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, writeFileSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import path from 'path'
+import { pathToFileURL } from 'url'
+import { ValidationReporter } from '../../../src/core/validation/ValidationReporter.js'
+
+const overlaySource = `export default {
+    extends: 'button',
+    baseComponent: 'VBtn',
+    propMappings: [
+        { type: 'direct', source: 'label', target: 'text' },
+        { type: 'unknown', source: 'size', target: 'size' }
+    ],
+    events: [
+        { emit: 'click', name: 'click' }
+    ]
+}
+`
+
+const compoundSource = `export default {
+    baseComponent: 'VDialog',
+    children: [
+        {
+            baseComponent: 'VCard',
+            children: [
+                { baseComponent: 'VBtn', events: [{ name: 'click', emit: 'click' }] }
+            ]
+        }
+    ]
+}
+`
+
+describe('ValidationReporter', () => {
+    let root
+    let overlayPath
+    let jsonPath
+    let compoundPath
+
+    before(() => {
+        root = mkdtempSync(path.join(tmpdir(), 'vdc-report-'))
+        overlayPath = path.join(root, 'button.config.js')
+        jsonPath = path.join(root, 'dialog.json')
+        compoundPath = path.join(root, 'dialog.config.js')
+        writeFileSync(overlayPath, overlaySource)
+        writeFileSync(compoundPath, compoundSource)
+        writeFileSync(jsonPath, '{\n  "name": "Dialog",\n  "props": [\n    { "name": "width" }\n  ]\n}\n')
+    })
+
+    after(() => {
+        rmSync(root, { recursive: true, force: true })
+    })
+
+    const createResults = reporter => [
+        reporter.createResult(overlayPath, {
+            errors: ["/propMappings/1/type: must be one of 'direct', 'enum'", 'Button is missing a description'],
+            warnings: ['/events/0/name: unknown event']
+        }, { kind: 'component', component: 'Button', library: 'vuetify', merged: true }),
+        reporter.createResult(jsonPath, { errors: [], warnings: ['/props/0: prop has no type'] }, { kind: 'semantic', component: 'Dialog' }),
+        reporter.createResult(jsonPath, { errors: [], warnings: [] }, { kind: 'library', library: 'acme' })
+    ]
+
+    describe('locate', () => {
+        it('finds the line and column of a JSON pointer in a JS config', () => {
+            const reporter = new ValidationReporter({ cwd: root })
+
+            assert.deepEqual(reporter.locate(overlayPath, '/propMappings/1/type'), { line: 6, column: 17 })
+            assert.deepEqual(reporter.locate(overlayPath, ''), { line: 1, column: 16 })
+        })
+
+        it('stops at the deepest node the config declares', () => {
+            const reporter = new ValidationReporter({ cwd: root })
+
+            assert.deepEqual(reporter.locate(overlayPath, '/props/3/type'), { line: 1, column: 16 })
+            assert.deepEqual(reporter.locate(overlayPath, '/events/0/name', true), { line: 8, column: 13 })
+        })
+
+        it('locates pointers in JSON configs and returns null for unreadable files', () => {
+            const reporter = new ValidationReporter({ cwd: root })
+
+            assert.deepEqual(reporter.locate(jsonPath, '/props/0'), { line: 4, column: 5 })
+            assert.equal(reporter.locate(path.join(root, 'missing.json'), ''), null)
+        })
+    })
+
+    describe('createResult', () => {
+        it('reports paths relative to cwd and issues with their pointer and position', () => {
+            const [result] = createResults(new ValidationReporter({ cwd: root }))
+
+            assert.equal(result.file, 'button.config.js')
+            assert.equal(result.valid, false)
+            assert.deepEqual(result.errors, [
+                { message: "/propMappings/1/type: must be one of 'direct', 'enum'", pointer: '/propMappings/1/type', line: 6, column: 17 },
+                { message: 'Button is missing a description', pointer: null, line: 1, column: 16 }
+            ])
+        })
+
+        it('locates messages of child components by pointer or label', () => {
+            const result = new ValidationReporter({ cwd: root }).createResult(compoundPath, {
+                errors: ["/children/0/children/0/events/0/libraryVersion: invalid range 'latest'"],
+                warnings: ["Child 0.0 (VBtn): Slot 'icon': VBtn has no slot 'icon'"]
+            })
+
+            assert.deepEqual(result.errors.map(issue => [issue.pointer, issue.line, issue.column]), [
+                ['/children/0/children/0/events/0/libraryVersion', 7, 51]
+            ])
+            assert.deepEqual(result.warnings.map(issue => [issue.pointer, issue.line, issue.column]), [
+                ['/children/0/children/0', 7, 17]
+            ])
+        })
+    })
+
+    describe('formats', () => {
+        it('renders JSON with a summary', () => {
+            const reporter = new ValidationReporter({ cwd: root })
+            const report = JSON.parse(reporter.format(createResults(reporter), 'json'))
+
+            assert.deepEqual(report.summary, { files: 3, failed: 1, errors: 2, warnings: 2, strict: false, passed: false })
+            assert.equal(report.results[1].kind, 'semantic')
+        })
+
+        it('fails warnings in strict mode', () => {
+            const reporter = new ValidationReporter({ cwd: root, strict: true })
+            const results = createResults(reporter)
+
+            assert.deepEqual(reporter.summarize(results), { files: 3, failed: 2, errors: 2, warnings: 2, strict: true, passed: false })
+            assert.equal(reporter.summarize(results.slice(2)).passed, true)
+        })
+
+        it('renders SARIF 2.1.0 with source regions', () => {
+            const reporter = new ValidationReporter({ cwd: root })
+            const sarif = JSON.parse(reporter.format(createResults(reporter), 'sarif'))
+            const [run] = sarif.runs
+
+            assert.equal(sarif.version, '2.1.0')
+            assert.deepEqual(run.tool.driver.rules.map(rule => rule.id), ['config-error', 'config-warning'])
+            assert.deepEqual(run.results.map(result => [result.ruleId, result.level]), [
+                ['config-error', 'error'],
+                ['config-error', 'error'],
+                ['config-warning', 'warning'],
+                ['config-warning', 'warning']
+            ])
+            assert.deepEqual(run.results[0].locations[0].physicalLocation, {
+                artifactLocation: { uri: 'button.config.js', uriBaseId: '%SRCROOT%' },
+                region: { startLine: 6, startColumn: 17 }
+            })
+            assert.equal(run.results[0].message.text, "Button: /propMappings/1/type: must be one of 'direct', 'enum'")
+        })
+
+        it('uses absolute file URIs for files outside the working directory', () => {
+            const reporter = new ValidationReporter({ cwd: path.join(root, 'project') })
+            const sarif = JSON.parse(reporter.format(createResults(reporter), 'sarif'))
+
+            assert.equal(createResults(reporter)[0].file, '../button.config.js')
+            assert.deepEqual(sarif.runs[0].results[0].locations[0].physicalLocation.artifactLocation, {
+                uri: pathToFileURL(overlayPath).href
+            })
+        })
+
+        it('reports warnings at error level in strict SARIF', () => {
+            const reporter = new ValidationReporter({ cwd: root, strict: true })
+            const sarif = JSON.parse(reporter.format(createResults(reporter), 'sarif'))
+
+            assert.ok(sarif.runs[0].results.every(result => result.level === 'error'))
+        })
+
+        it('renders one escaped JUnit test case per file', () => {
+            const reporter = new ValidationReporter({ cwd: root })
+            const xml = reporter.format(createResults(reporter), 'junit')
+
+            assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>/)
+            assert.match(xml, /<testsuites name="config validation" tests="3" failures="1">/)
+            assert.match(xml, /<testcase name="button.config.js" classname="vuetify">\n {6}<failure message="2 problems in Button" type="error">line 6: \/propMappings\/1\/type: must be one of &apos;direct&apos;, &apos;enum&apos;\nline 1: Button is missing a description<\/failure>\n {6}<system-out>line 8: \/events\/0\/name: unknown event<\/system-out>/)
+            assert.match(xml, /<testcase name="dialog.json" classname="acme"\/>/)
+        })
+
+        it('turns warnings into JUnit failures in strict mode', () => {
+            const reporter = new ValidationReporter({ cwd: root, strict: true })
+            const xml = reporter.format(createResults(reporter), 'junit')
+
+            assert.match(xml, /<failure message="1 problem in Dialog" type="warning">line 4: \/props\/0: prop has no type<\/failure>/)
+            assert.doesNotMatch(xml, /<system-out>/)
+        })
+
+        it('rejects unknown formats', () => {
+            assert.throws(() => new ValidationReporter().format([], 'xml'), { message: 'Unsupported format: xml. Use text, json, sarif, junit' })
+        })
+    })
+})